@@ -0,0 +1,83 @@
+// backend/achievements.js
+// Achievements are unlocked by verified games: once a game is verified, the
+// catalog in shared/achievements.js is checked against it and the player's
+// verified history. Unlocked achievements can optionally be minted as
+// non-transferable tokens (contracts/Achievements.sol) with a verifier signature.
+// Games are only verified for the signed-in player they belong to, and timings
+// come from the backend's clock, so achievements can't be earned for someone else
+// or with a forged game duration.
+const db = require('./db');
+const { loadShared } = require('./shared');
+const { parseDailyKey } = require('./daily');
+const { parseTournamentKey } = require('./tournaments');
+const { getGameRules, attestAchievement, achievementsContract } = require('./verifier');
+
+const DAY = 24 * 60 * 60 * 1000; // ms
+
+// "2026-10-18" -> "2026-10-17"
+const previousDay = (date) => new Date(Date.parse(date) - DAY).toISOString().slice(0, 10);
+
+// Days in a row with a verified daily game, up to the latest one
+const getDailyStreak = (dates) => {
+  const played = new Set(dates);
+  let streak = 0;
+  for (let date = [...played].sort().pop(); date && played.has(date); date = previousDay(date)) {
+    streak++;
+  }
+  return streak;
+};
+
+// Everything achievements look at in a player's verified history
+const getPlayerStats = (player, parseVariantKey) => {
+  const variants = db.getPlayerVariants(player);
+
+  return {
+    gamesPlayed: variants.reduce((total, { games }) => total + games, 0),
+    variantsPlayed: [...new Set(variants.map(({ variant }) => parseVariantKey(getGameRules(variant)).variant))],
+    dailyStreak: getDailyStreak(variants.map(({ variant }) => parseDailyKey(variant)).filter(Boolean))
+  };
+};
+
+// Check a verified game and store what it unlocks.
+// Returns the newly unlocked achievements as { id, gameId, unlockedAt }.
+async function unlockAchievements(gameId) {
+  const { parseVariantKey, evaluateAchievements, VARIANTS } = await loadShared();
+  const game = db.getVerifiedGame(gameId);
+  if (!game) return [];
+
+  const rules = parseVariantKey(getGameRules(game.variant));
+  const win = game.milestones.find(milestone => milestone.tile >= VARIANTS[rules.variant].winTile);
+  const summary = {
+    variant: rules.variant,
+    maxTile: game.maxTile,
+    moveCount: game.moveCount,
+    undoCount: game.undoCount,
+    won: Boolean(win),
+    winMove: win ? win.move : null,
+    winTime: game.winTime,
+    event: parseDailyKey(game.variant) ? 'daily' : parseTournamentKey(game.variant) ? 'tournament' : null
+  };
+
+  const unlocked = db.getAchievements(game.player).map(achievement => achievement.id);
+  const earned = evaluateAchievements({ game: summary, stats: getPlayerStats(game.player, parseVariantKey), unlocked });
+  const unlockedAt = Date.now();
+
+  return db.unlockAchievements(game.player, earned.map(({ id }) => ({ id, gameId, unlockedAt })));
+}
+
+// Signature for minting an unlocked achievement on-chain
+async function signAchievementClaim(player, achievementId) {
+  if (!achievementsContract) {
+    return { error: 'Achievement minting is not enabled' };
+  }
+  if (!db.hasAchievement(player, achievementId)) {
+    return { error: 'Achievement not unlocked' };
+  }
+
+  return { attestation: await attestAchievement({ player, achievement: achievementId }) };
+}
+
+module.exports = {
+  unlockAchievements,
+  signAchievementClaim
+};
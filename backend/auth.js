@@ -0,0 +1,66 @@
+// backend/auth.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('./db');
+
+// A signed sign-in message is only accepted shortly after it was created
+const SIGN_IN_MAX_AGE = 10 * 60 * 1000; // 10 minutes, in ms
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days, in ms
+
+// Must match signInMessage in frontend/src/api.js
+const signInMessage = (address, issuedAt) => {
+  return `Sign in to Blockchain 2048 to sync your games.\n\nAddress: ${address}\nIssued at: ${issuedAt}`;
+};
+
+// Only a hash of the token is stored, so a leaked database can't be used to sign in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Exchange a wallet signature for a session token.
+// Returns { token, player, expiresAt } or { error }.
+function createSession({ address, issuedAt, signature } = {}) {
+  if (!address || !ethers.isAddress(address)) {
+    return { error: 'Invalid address' };
+  }
+
+  const issuedTime = Date.parse(issuedAt);
+  if (Number.isNaN(issuedTime) || Math.abs(Date.now() - issuedTime) > SIGN_IN_MAX_AGE) {
+    return { error: 'Sign-in message expired' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(signInMessage(address, issuedAt), signature);
+  } catch (error) {
+    return { error: 'Invalid signature' };
+  }
+
+  const player = ethers.getAddress(address);
+  if (signer !== player) {
+    return { error: 'Signature does not match address' };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL;
+  db.createSession({ tokenHash: hashToken(token), player, createdAt: Date.now(), expiresAt });
+
+  return { token, player, expiresAt };
+}
+
+// Express middleware: requires "Authorization: Bearer <token>" and sets req.player
+function requireSession(req, res, next) {
+  const match = /^Bearer ([0-9a-f]{64})$/.exec(req.get('Authorization') || '');
+  const session = match && db.getSession(hashToken(match[1]));
+
+  if (!session || session.expiresAt < Date.now()) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+
+  req.player = session.player;
+  next();
+}
+
+module.exports = {
+  signInMessage,
+  createSession,
+  requireSession
+};
@@ -0,0 +1,63 @@
+// backend/daily.js
+// Daily challenge: one board per UTC day, the same seed for every player.
+// Daily games are attested under the variant "daily/YYYY-MM-DD", which gives
+// each day its own leaderboard on-chain and in the local store.
+const crypto = require('crypto');
+const { startOfUtcDay } = require('./time');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rules every daily challenge is played with
+const DAILY_RULES = 'classic/4x4';
+// A game started just before midnight can still be verified for a while after
+const DAILY_GRACE = 60 * 60 * 1000; // 1 hour, in ms
+
+// Seeds are keyed by a secret so the next days' boards can't be worked out in advance
+const DAILY_SECRET = process.env.DAILY_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.DAILY_SECRET) {
+  console.warn('DAILY_SECRET not set, daily challenge seeds will change when the server restarts');
+}
+
+// UTC date as "YYYY-MM-DD"
+const getDailyDate = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+const dailyKey = (date) => `daily/${date}`;
+
+// "daily/2026-10-18" -> "2026-10-18", or null
+const parseDailyKey = (key) => {
+  const match = /^daily\/(\d{4}-\d{2}-\d{2})$/.exec(String(key));
+  if (!match || Number.isNaN(Date.parse(match[1]))) return null;
+  return match[1];
+};
+
+const getDailySeed = (date) => {
+  return crypto.createHmac('sha256', DAILY_SECRET).update(date).digest('hex').slice(0, 16);
+};
+
+// Public description of today's challenge (without the seed)
+const getDailyChallenge = (now = Date.now()) => {
+  const date = getDailyDate(now);
+  return {
+    date,
+    rules: DAILY_RULES,
+    variant: dailyKey(date),
+    endsAt: startOfUtcDay(new Date(now)) + DAY
+  };
+};
+
+// Whether games of `date` can still be verified
+const isDailyOpen = (date, now = Date.now()) => {
+  const start = Date.parse(`${date}T00:00:00Z`);
+  return start <= now && now < start + DAY + DAILY_GRACE;
+};
+
+module.exports = {
+  DAILY_RULES,
+  getDailyDate,
+  dailyKey,
+  parseDailyKey,
+  getDailySeed,
+  getDailyChallenge,
+  isDailyOpen
+};
@@ -0,0 +1,576 @@
+// backend/db.js
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { dataDir } = require('./deployments');
+
+const DB_FILE = process.env.DB_FILE || path.join(dataDir, 'scores.db');
+
+if (DB_FILE !== ':memory:') {
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+}
+
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+
+// Every row derived from chain logs keeps its block number so a reorg can
+// be undone by deleting everything above the rewind point.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS games (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player TEXT NOT NULL,
+    variant TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    UNIQUE (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS games_player ON games (player, score);
+  CREATE INDEX IF NOT EXISTS games_variant ON games (variant, timestamp);
+  CREATE INDEX IF NOT EXISTS games_timestamp ON games (timestamp);
+
+  CREATE TABLE IF NOT EXISTS name_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player TEXT NOT NULL,
+    name TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    UNIQUE (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS name_changes_player ON name_changes (player, block_number);
+
+  CREATE TABLE IF NOT EXISTS verified_games (
+    game_id TEXT PRIMARY KEY,
+    player TEXT NOT NULL,
+    variant TEXT NOT NULL,
+    seed TEXT NOT NULL,
+    moves TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    max_tile INTEGER NOT NULL,
+    move_count INTEGER NOT NULL,
+    undo_count INTEGER NOT NULL DEFAULT 0,
+    milestones TEXT NOT NULL DEFAULT '[]',
+    started_at INTEGER,
+    win_time INTEGER,
+    nonce TEXT NOT NULL,
+    verified_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS verified_games_player ON verified_games (player, score);
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    player TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  -- Seeds handed out for new games, so verified games can be timed from their start
+  CREATE TABLE IF NOT EXISTS game_starts (
+    player TEXT NOT NULL,
+    seed TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    PRIMARY KEY (player, seed)
+  );
+
+  -- Daily challenges started, one per player and UTC day; game_id is the
+  -- verified game that used the attempt up
+  CREATE TABLE IF NOT EXISTS daily_attempts (
+    player TEXT NOT NULL,
+    date TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    game_id TEXT,
+    PRIMARY KEY (player, date)
+  );
+
+  -- One in-progress game per player, stored as the client serialized it
+  CREATE TABLE IF NOT EXISTS saved_games (
+    player TEXT PRIMARY KEY,
+    state TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  -- Tournaments; round_count is set when a bracket starts, since it depends on the entries
+  CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    format TEXT NOT NULL,
+    rules TEXT NOT NULL,
+    round_count INTEGER,
+    round_duration INTEGER NOT NULL,
+    starts_at INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'registration',
+    current_round INTEGER NOT NULL DEFAULT 0,
+    commit_results INTEGER NOT NULL DEFAULT 0,
+    results_tx TEXT,
+    created_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS tournaments_status ON tournaments (status, starts_at);
+
+  CREATE TABLE IF NOT EXISTS tournament_players (
+    tournament_id INTEGER NOT NULL,
+    player TEXT NOT NULL,
+    name TEXT NOT NULL,
+    registered_at INTEGER NOT NULL,
+    PRIMARY KEY (tournament_id, player)
+  );
+
+  -- Pairings of every round; player_b is null for a bye. Scores and the winner
+  -- are filled in when the round is scored, winner stays null for a draw.
+  CREATE TABLE IF NOT EXISTS tournament_matches (
+    tournament_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    player_a TEXT NOT NULL,
+    player_b TEXT,
+    score_a INTEGER,
+    score_b INTEGER,
+    winner TEXT,
+    scored INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (tournament_id, round, position)
+  );
+
+  -- Achievements unlocked per player, with the verified game that unlocked them
+  CREATE TABLE IF NOT EXISTS achievements (
+    player TEXT NOT NULL,
+    achievement_id TEXT NOT NULL,
+    game_id TEXT NOT NULL,
+    unlocked_at INTEGER NOT NULL,
+    PRIMARY KEY (player, achievement_id)
+  );
+`);
+
+const TOURNAMENT_COLUMNS = `
+  SELECT id, name, format, rules, round_count AS roundCount, round_duration AS roundDuration,
+         starts_at AS startsAt, status, current_round AS currentRound, commit_results AS commitResults,
+         results_tx AS resultsTx, created_by AS createdBy, created_at AS createdAt
+  FROM tournaments
+`;
+
+// Latest name a player submitted with a high score (the name the contract keeps)
+const PLAYER_NAME = `
+  (SELECT n.name FROM name_changes n WHERE n.player = g.player
+   ORDER BY n.block_number DESC, n.log_index DESC LIMIT 1)
+`;
+
+// Only games whose score was replay-verified by this backend count
+const IS_VERIFIED = `
+  EXISTS (SELECT 1 FROM verified_games v
+          WHERE v.player = g.player AND v.variant = g.variant AND v.score = g.score)
+`;
+
+// Verified games on one board (@variant)
+const IS_ON_BOARD = `
+  g.variant = @variant AND ${IS_VERIFIED}
+`;
+
+// The same board's verified games of the player on the current row
+const BOARD_GAMES = `
+  v.player = g.player AND v.variant = @variant
+`;
+
+const LEADERBOARD_BOARDS = ['classic', 'undo'];
+
+// Games that used undo under the 'separate' undo policy are verified and attested under
+// a variant of their own ("classic/4x4+undo"), which keeps them apart on-chain as well
+const UNDO_SUFFIX = '+undo';
+const boardVariant = (variant, board) => (board === 'undo' ? variant + UNDO_SUFFIX : variant);
+
+// Matches DEFAULT_VARIANT_KEY in shared/variants.js and Game2048.DEFAULT_VARIANT
+const DEFAULT_VARIANT = 'classic/4x4';
+
+// Whitelisted sort keys for the leaderboard, ties go to whoever played first
+const LEADERBOARD_SORTS = {
+  highScore: 'highScore DESC',
+  totalScore: 'totalScore DESC',
+  gamesPlayed: 'gamesPlayed DESC, highScore DESC',
+  averageScore: 'averageScore DESC'
+};
+
+const leaderboardStatements = Object.fromEntries(
+  Object.entries(LEADERBOARD_SORTS).map(([sort, orderBy]) => [sort, db.prepare(`
+    SELECT g.player AS address,
+           COALESCE(${PLAYER_NAME}, 'Anonymous') AS name,
+           MAX(g.score) AS highScore,
+           COUNT(*) AS gamesPlayed,
+           SUM(g.score) AS totalScore,
+           CAST(ROUND(AVG(g.score)) AS INTEGER) AS averageScore,
+           (SELECT MAX(v.max_tile) FROM verified_games v WHERE ${BOARD_GAMES}) AS bestTile,
+           (SELECT MIN(v.win_time) FROM verified_games v WHERE ${BOARD_GAMES}) AS fastestWin,
+           (SELECT v.game_id FROM verified_games v
+            WHERE ${BOARD_GAMES} AND EXISTS (
+              SELECT 1 FROM games s WHERE s.player = v.player AND s.variant = v.variant AND s.score = v.score)
+            ORDER BY v.score DESC, v.verified_at ASC LIMIT 1) AS topGameId
+    FROM games g
+    WHERE g.timestamp >= @since AND ${IS_ON_BOARD}
+    GROUP BY g.player
+    ORDER BY ${orderBy}, MIN(g.id) ASC
+    LIMIT @limit OFFSET @offset
+  `)])
+);
+
+const statements = {
+  insertGame: db.prepare(`
+    INSERT OR IGNORE INTO games (player, variant, score, timestamp, block_number, tx_hash, log_index)
+    VALUES (@player, @variant, @score, @timestamp, @blockNumber, @transactionHash, @logIndex)
+  `),
+  insertNameChange: db.prepare(`
+    INSERT OR IGNORE INTO name_changes (player, name, score, timestamp, block_number, tx_hash, log_index)
+    VALUES (@player, @playerName, @score, @timestamp, @blockNumber, @transactionHash, @logIndex)
+  `),
+  deleteGamesFrom: db.prepare('DELETE FROM games WHERE block_number >= ?'),
+  deleteNameChangesFrom: db.prepare('DELETE FROM name_changes WHERE block_number >= ?'),
+  leaderboardCount: db.prepare(`
+    SELECT COUNT(DISTINCT g.player) AS total
+    FROM games g
+    WHERE g.timestamp >= @since AND ${IS_ON_BOARD}
+  `),
+  recentGames: db.prepare(`
+    SELECT g.player AS address,
+           COALESCE(${PLAYER_NAME}, 'Anonymous') AS name,
+           g.variant, g.score, g.timestamp, g.block_number AS blockNumber, g.tx_hash AS transactionHash,
+           ${IS_VERIFIED} AS verified
+    FROM games g
+    ORDER BY g.block_number DESC, g.log_index DESC
+    LIMIT ?
+  `),
+  playerStats: db.prepare(`
+    SELECT g.player AS address,
+           COALESCE(${PLAYER_NAME}, 'Anonymous') AS name,
+           MAX(g.score) AS highScore,
+           COUNT(*) AS gamesPlayed,
+           SUM(g.score) AS totalScore,
+           CAST(ROUND(AVG(g.score)) AS INTEGER) AS averageScore,
+           MIN(g.timestamp) AS firstPlayed,
+           MAX(g.timestamp) AS lastPlayed
+    FROM games g
+    WHERE g.player = ?
+    GROUP BY g.player
+  `),
+  // Rank by verified high score, matching the default leaderboard order
+  playerRank: db.prepare(`
+    WITH best AS (
+      SELECT g.player, MAX(g.score) AS highScore, MIN(g.id) AS firstGame
+      FROM games g
+      WHERE ${IS_ON_BOARD}
+      GROUP BY g.player
+    )
+    SELECT COUNT(*) + 1 AS rank
+    FROM best b, best me
+    WHERE me.player = @player
+      AND (b.highScore > me.highScore OR (b.highScore = me.highScore AND b.firstGame < me.firstGame))
+  `),
+  isRanked: db.prepare(`SELECT 1 FROM games g WHERE g.player = @player AND ${IS_ON_BOARD} LIMIT 1`),
+  playerGames: db.prepare(`
+    SELECT g.variant, g.score, g.timestamp, g.block_number AS blockNumber, g.tx_hash AS transactionHash,
+           ${IS_VERIFIED} AS verified
+    FROM games g
+    WHERE g.player = ?
+    ORDER BY g.block_number DESC, g.log_index DESC
+    LIMIT ?
+  `),
+  playerNames: db.prepare(`
+    SELECT name, score, timestamp
+    FROM name_changes
+    WHERE player = ?
+    ORDER BY block_number ASC, log_index ASC
+  `),
+  bestTile: db.prepare('SELECT MAX(max_tile) AS bestTile FROM verified_games WHERE player = ?'),
+  stats: db.prepare(`
+    SELECT COUNT(*) AS totalGames,
+           COUNT(DISTINCT player) AS totalPlayers,
+           COALESCE(MAX(score), 0) AS topScore
+    FROM games
+  `),
+  insertVerifiedGame: db.prepare(`
+    INSERT OR IGNORE INTO verified_games
+      (game_id, player, variant, seed, moves, score, max_tile, move_count, undo_count,
+       milestones, started_at, win_time, nonce, verified_at)
+    VALUES (@gameId, @player, @variant, @seed, @moves, @score, @maxTile, @moveCount, @undoCount,
+            @milestones, @startedAt, @winTime, @nonce, @verifiedAt)
+  `),
+  getVerifiedGame: db.prepare(`
+    SELECT game_id AS gameId, player, variant, seed, moves, score, max_tile AS maxTile,
+           move_count AS moveCount, undo_count AS undoCount, milestones, started_at AS startedAt,
+           win_time AS winTime, nonce, verified_at AS verifiedAt
+    FROM verified_games WHERE game_id = ?
+  `),
+  insertGameStart: db.prepare(`
+    INSERT OR IGNORE INTO game_starts (player, seed, started_at) VALUES (@player, @seed, @startedAt)
+  `),
+  getGameStart: db.prepare('SELECT started_at AS startedAt FROM game_starts WHERE player = ? AND seed = ?'),
+  insertDailyAttempt: db.prepare(`
+    INSERT OR IGNORE INTO daily_attempts (player, date, started_at) VALUES (@player, @date, @startedAt)
+  `),
+  getDailyAttempt: db.prepare('SELECT started_at AS startedAt, game_id AS gameId FROM daily_attempts WHERE player = ? AND date = ?'),
+  useDailyAttempt: db.prepare(`
+    UPDATE daily_attempts SET game_id = @gameId WHERE player = @player AND date = @date AND game_id IS NULL
+  `),
+  verifiedGameOf: db.prepare('SELECT game_id AS gameId FROM verified_games WHERE player = ? AND variant = ? LIMIT 1'),
+  // Best verified score of every finished day; @before is today's variant key
+  dailyWinners: db.prepare(`
+    SELECT date, address, name, score FROM (
+      SELECT substr(g.variant, 7) AS date,
+             g.player AS address,
+             COALESCE(${PLAYER_NAME}, 'Anonymous') AS name,
+             g.score,
+             ROW_NUMBER() OVER (PARTITION BY g.variant ORDER BY g.score DESC, g.id ASC) AS position
+      FROM games g
+      WHERE g.variant LIKE 'daily/%' AND g.variant < @before AND ${IS_VERIFIED}
+    )
+    WHERE position = 1
+    ORDER BY date DESC
+    LIMIT @limit
+  `),
+  createSession: db.prepare(`
+    INSERT INTO sessions (token_hash, player, created_at, expires_at)
+    VALUES (@tokenHash, @player, @createdAt, @expiresAt)
+  `),
+  getSession: db.prepare('SELECT player, expires_at AS expiresAt FROM sessions WHERE token_hash = ?'),
+  deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at < ?'),
+  createTournament: db.prepare(`
+    INSERT INTO tournaments (name, format, rules, round_count, round_duration, starts_at, commit_results, created_by, created_at)
+    VALUES (@name, @format, @rules, @roundCount, @roundDuration, @startsAt, @commitResults, @createdBy, @createdAt)
+  `),
+  getTournament: db.prepare(`${TOURNAMENT_COLUMNS} WHERE id = ?`),
+  listTournaments: db.prepare(`${TOURNAMENT_COLUMNS} ORDER BY starts_at DESC LIMIT ?`),
+  // Tournaments the scheduler still has work to do on
+  pendingTournaments: db.prepare(`
+    ${TOURNAMENT_COLUMNS}
+    WHERE status IN ('registration', 'running') OR (status = 'finished' AND commit_results = 1 AND results_tx IS NULL)
+  `),
+  updateTournament: db.prepare(`
+    UPDATE tournaments SET status = @status, current_round = @currentRound, round_count = @roundCount WHERE id = @id
+  `),
+  setTournamentResultsTx: db.prepare('UPDATE tournaments SET results_tx = ? WHERE id = ?'),
+  registerTournamentPlayer: db.prepare(`
+    INSERT OR IGNORE INTO tournament_players (tournament_id, player, name, registered_at)
+    VALUES (@tournamentId, @player, @name, @registeredAt)
+  `),
+  tournamentPlayers: db.prepare(`
+    SELECT player AS address, name, registered_at AS registeredAt
+    FROM tournament_players WHERE tournament_id = ? ORDER BY registered_at ASC, player ASC
+  `),
+  insertTournamentMatch: db.prepare(`
+    INSERT INTO tournament_matches (tournament_id, round, position, player_a, player_b)
+    VALUES (@tournamentId, @round, @position, @playerA, @playerB)
+  `),
+  tournamentMatches: db.prepare(`
+    SELECT round, position, player_a AS playerA, player_b AS playerB, score_a AS scoreA, score_b AS scoreB,
+           winner, scored
+    FROM tournament_matches WHERE tournament_id = ? ORDER BY round ASC, position ASC
+  `),
+  // The match a player plays in a round; byes don't count as playing
+  tournamentMatchOf: db.prepare(`
+    SELECT position FROM tournament_matches
+    WHERE tournament_id = @tournamentId AND round = @round AND player_b IS NOT NULL
+      AND (player_a = @player OR player_b = @player)
+  `),
+  scoreTournamentMatch: db.prepare(`
+    UPDATE tournament_matches SET score_a = @scoreA, score_b = @scoreB, winner = @winner, scored = 1
+    WHERE tournament_id = @tournamentId AND round = @round AND position = @position
+  `),
+  // Verified games of a tournament round (or any variant), one per player
+  variantScores: db.prepare(`
+    SELECT player, MAX(score) AS score, MIN(verified_at) AS verifiedAt
+    FROM verified_games WHERE variant = ? GROUP BY player
+  `),
+  // Verified games per variant key, for achievement stats
+  playerVariants: db.prepare(`
+    SELECT variant, COUNT(*) AS games FROM verified_games WHERE player = ? GROUP BY variant
+  `),
+  playerAchievements: db.prepare(`
+    SELECT achievement_id AS id, game_id AS gameId, unlocked_at AS unlockedAt
+    FROM achievements WHERE player = ? ORDER BY unlocked_at ASC
+  `),
+  insertAchievement: db.prepare(`
+    INSERT OR IGNORE INTO achievements (player, achievement_id, game_id, unlocked_at)
+    VALUES (@player, @id, @gameId, @unlockedAt)
+  `),
+  hasAchievement: db.prepare('SELECT 1 FROM achievements WHERE player = ? AND achievement_id = ?'),
+  getSavedGame: db.prepare('SELECT state, updated_at AS updatedAt FROM saved_games WHERE player = ?'),
+  // Keep whichever copy is newer, so a slow request can't overwrite a later save
+  saveGame: db.prepare(`
+    INSERT INTO saved_games (player, state, updated_at) VALUES (@player, @state, @updatedAt)
+    ON CONFLICT (player) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+    WHERE excluded.updated_at >= saved_games.updated_at
+  `)
+};
+
+// Indexed contract events
+const insertGame = (event) => statements.insertGame.run(event);
+const insertNameChange = (event) => statements.insertNameChange.run(event);
+
+// Drop everything indexed from `blockNumber` on, after a reorg
+const deleteFromBlock = db.transaction((blockNumber) => {
+  statements.deleteGamesFrom.run(blockNumber);
+  statements.deleteNameChangesFrom.run(blockNumber);
+});
+
+// One page of the leaderboard; `since` is a unix timestamp limiting which games count
+const getLeaderboard = ({ limit = 10, offset = 0, sort = 'highScore', since = 0, board = 'classic', variant = DEFAULT_VARIANT } = {}) => {
+  const entries = leaderboardStatements[sort].all({ limit, offset, since, variant: boardVariant(variant, board) });
+  return entries.map((entry, i) => ({ rank: offset + i + 1, ...entry }));
+};
+
+const countLeaderboard = ({ since = 0, board = 'classic', variant = DEFAULT_VARIANT } = {}) => {
+  return statements.leaderboardCount.get({ since, variant: boardVariant(variant, board) }).total;
+};
+const getRecentGames = (limit = 10) => {
+  return statements.recentGames.all(limit).map(game => ({ ...game, verified: Boolean(game.verified) }));
+};
+const getStats = () => statements.stats.get();
+
+// Everything the profile page needs about one player, or null if they never played
+const getPlayerProfile = (address, { historyLimit = 500, recentLimit = 10 } = {}) => {
+  const stats = statements.playerStats.get(address);
+  if (!stats) return null;
+
+  const games = statements.playerGames.all(address, historyLimit)
+    .map(game => ({ ...game, verified: Boolean(game.verified) }));
+  // Profile rank is on the default variant's classic (no undo) board
+  const board = { player: address, variant: DEFAULT_VARIANT };
+  const ranked = Boolean(statements.isRanked.get(board));
+
+  return {
+    ...stats,
+    rank: ranked ? statements.playerRank.get(board).rank : null,
+    bestTile: statements.bestTile.get(address).bestTile,
+    names: statements.playerNames.all(address),
+    // Oldest first, for charting
+    history: games.map(({ variant, score, timestamp, verified }) => ({ variant, score, timestamp, verified })).reverse(),
+    recentGames: games.slice(0, recentLimit)
+  };
+};
+
+// Replay-verified games
+// Seeds keep their JSON type: 42 and "42" are different games
+const saveVerifiedGame = (game) => statements.insertVerifiedGame.run({ ...game, seed: JSON.stringify(game.seed) });
+const getVerifiedGame = (gameId) => {
+  const game = statements.getVerifiedGame.get(gameId);
+  return game && { ...game, seed: JSON.parse(game.seed), milestones: JSON.parse(game.milestones) };
+};
+
+// Games started with a seed from the backend; seeds are JSON like in verified_games
+const startGame = (player, seed, startedAt) => {
+  statements.insertGameStart.run({ player, seed: JSON.stringify(seed), startedAt });
+};
+const getGameStart = (player, seed) => statements.getGameStart.get(player, JSON.stringify(seed));
+
+// Daily challenge attempts; starting twice keeps the first start time, `created`
+// tells whether this call started it
+const startDailyAttempt = (player, date, startedAt) => {
+  const created = statements.insertDailyAttempt.run({ player, date, startedAt }).changes > 0;
+  return { ...statements.getDailyAttempt.get(player, date), created };
+};
+const getDailyAttempt = (player, date) => statements.getDailyAttempt.get(player, date);
+// Returns false if the attempt was already used up by another game
+const useDailyAttempt = (player, date, gameId) => statements.useDailyAttempt.run({ player, date, gameId }).changes > 0;
+const getDailyWinners = ({ before, limit = 30 }) => statements.dailyWinners.all({ before, limit });
+
+// Id of a player's verified game on a variant, if any
+const getVerifiedGameId = (player, variant) => {
+  const game = statements.verifiedGameOf.get(player, variant);
+  return game ? game.gameId : null;
+};
+
+// Sign-in sessions
+const createSession = (session) => {
+  statements.deleteExpiredSessions.run(Date.now());
+  statements.createSession.run(session);
+};
+const getSession = (tokenHash) => statements.getSession.get(tokenHash);
+
+// In-progress games synced between devices; saveGame returns false if a newer copy is stored
+const getSavedGame = (player) => {
+  const saved = statements.getSavedGame.get(player);
+  return saved && { ...saved, state: JSON.parse(saved.state) };
+};
+const saveGame = (player, state, updatedAt) => {
+  return statements.saveGame.run({ player, state: JSON.stringify(state), updatedAt }).changes > 0;
+};
+
+// Tournaments
+const createTournament = (tournament) => {
+  return Number(statements.createTournament.run({ roundCount: null, ...tournament, commitResults: tournament.commitResults ? 1 : 0 }).lastInsertRowid);
+};
+const toTournament = (row) => row && { ...row, commitResults: Boolean(row.commitResults) };
+const getTournament = (id) => toTournament(statements.getTournament.get(id));
+const listTournaments = (limit = 50) => statements.listTournaments.all(limit).map(toTournament);
+const getPendingTournaments = () => statements.pendingTournaments.all().map(toTournament);
+const setTournamentResultsTx = (id, txHash) => statements.setTournamentResultsTx.run(txHash, id);
+
+// Returns false if the player was already registered
+const registerTournamentPlayer = (entry) => statements.registerTournamentPlayer.run(entry).changes > 0;
+const getTournamentPlayers = (tournamentId) => statements.tournamentPlayers.all(tournamentId);
+const getTournamentMatches = (tournamentId) => {
+  return statements.tournamentMatches.all(tournamentId).map(match => ({ ...match, scored: Boolean(match.scored) }));
+};
+const isPlayingRound = (tournamentId, round, player) => {
+  return Boolean(statements.tournamentMatchOf.get({ tournamentId, round, player }));
+};
+const getVariantScores = (variant) => statements.variantScores.all(variant);
+
+// Move a tournament on in one go: score the finished round's matches, pair the
+// next round and update its status
+const advanceTournament = db.transaction(({ id, status, currentRound, roundCount, results = [], matches = [] }) => {
+  for (const result of results) statements.scoreTournamentMatch.run({ tournamentId: id, ...result });
+  for (const match of matches) statements.insertTournamentMatch.run({ tournamentId: id, ...match });
+  statements.updateTournament.run({ id, status, currentRound, roundCount });
+});
+
+// Achievements; unlockAchievements returns the ones that weren't held yet
+const getPlayerVariants = (player) => statements.playerVariants.all(player);
+const getAchievements = (player) => statements.playerAchievements.all(player);
+const hasAchievement = (player, id) => Boolean(statements.hasAchievement.get(player, id));
+const unlockAchievements = db.transaction((player, achievements) => {
+  return achievements.filter(achievement => statements.insertAchievement.run({ player, ...achievement }).changes > 0);
+});
+
+module.exports = {
+  db,
+  LEADERBOARD_SORTS,
+  LEADERBOARD_BOARDS,
+  UNDO_SUFFIX,
+  insertGame,
+  insertNameChange,
+  deleteFromBlock,
+  getLeaderboard,
+  countLeaderboard,
+  getRecentGames,
+  getStats,
+  getPlayerProfile,
+  saveVerifiedGame,
+  getVerifiedGame,
+  getVerifiedGameId,
+  startGame,
+  getGameStart,
+  startDailyAttempt,
+  getDailyAttempt,
+  useDailyAttempt,
+  getDailyWinners,
+  createSession,
+  getSession,
+  getSavedGame,
+  saveGame,
+  createTournament,
+  getTournament,
+  listTournaments,
+  getPendingTournaments,
+  setTournamentResultsTx,
+  registerTournamentPlayer,
+  getTournamentPlayers,
+  getTournamentMatches,
+  isPlayingRound,
+  getVariantScores,
+  advanceTournament,
+  getPlayerVariants,
+  getAchievements,
+  hasAchievement,
+  unlockAchievements
+};
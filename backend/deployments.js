@@ -0,0 +1,68 @@
+// backend/deployments.js
+// Which chain and contracts the backend runs against. frontend/scripts/deploy.js
+// records every deployment in deployments/<network>.json; NETWORK selects one, so
+// devnet, testnet and a local Hardhat node can run side by side.
+//
+// Without a manifest for the network, the pre-manifest env vars are used
+// (CONTRACT_ADDRESS, RPC_URL, CHAIN_ID, ACHIEVEMENTS_CONTRACT_ADDRESS).
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_NETWORK = 'fluentTestnet';
+const NETWORK = process.env.NETWORK || DEFAULT_NETWORK;
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', 'deployments');
+const MANIFEST_VERSION = 1;
+
+// Env vars each contract's address came from before manifests
+const LEGACY_ADDRESS_VARS = {
+  Game2048: 'CONTRACT_ADDRESS',
+  Achievements: 'ACHIEVEMENTS_CONTRACT_ADDRESS'
+};
+
+const loadManifest = (network) => {
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployments manifest version ${manifest.version} in ${file}, expected ${MANIFEST_VERSION}`);
+  }
+  return manifest;
+};
+
+const manifest = loadManifest(NETWORK);
+
+if (!manifest) {
+  console.warn(`No deployments manifest for network "${NETWORK}", using CONTRACT_ADDRESS/RPC_URL from the environment`);
+}
+
+// ABIs are generated from the Hardhat artifacts (frontend/scripts/abi.js), never hand-written
+const loadAbi = (name) => require(`../shared/abi/${name}.json`);
+
+// A contract deployed before its ABI last changed no longer matches the code talking to it
+for (const [name, contract] of Object.entries(manifest ? manifest.contracts : {})) {
+  if (contract.abiHash !== ethers.id(JSON.stringify(loadAbi(name)))) {
+    console.warn(`${name} on ${NETWORK} was deployed from a different ABI than shared/abi/${name}.json, redeploy it`);
+  }
+}
+
+// Address, ABI and deploy block of a contract on the selected network
+const getContract = (name) => {
+  const contract = manifest && manifest.contracts[name];
+  return {
+    address: contract ? contract.address : process.env[LEGACY_ADDRESS_VARS[name]] || null,
+    abi: loadAbi(name),
+    deployBlock: contract ? contract.deployBlock : 0
+  };
+};
+
+module.exports = {
+  network: NETWORK,
+  chainId: Number((manifest && manifest.chainId) || process.env.CHAIN_ID || 20994), // Fluent testnet (0x5202)
+  rpcUrl: (manifest && manifest.rpcUrl) || process.env.RPC_URL,
+  explorerUrl: manifest ? manifest.explorerUrl : null,
+  // The default network keeps data/ as it was; others get data/<network>/
+  dataDir: path.join(__dirname, 'data', NETWORK === DEFAULT_NETWORK ? '' : NETWORK),
+  getContract
+};
@@ -0,0 +1,148 @@
+// backend/indexer.js
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { dataDir } = require('./deployments');
+// Generated from the Hardhat artifacts, see frontend/scripts/abi.js
+const GAME2048_ABI = require('../shared/abi/Game2048.json');
+
+const DEFAULT_STATE_FILE = path.join(dataDir, 'indexer-state.json');
+
+const loadState = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveState = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write then rename so a crash never leaves a half-written state file
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+};
+
+// Decode a raw log into a plain event object
+const decodeLog = (iface, log) => {
+  const parsed = iface.parseLog(log);
+  const event = {
+    name: parsed.name,
+    player: parsed.args.player,
+    score: Number(parsed.args.score),
+    timestamp: Number(parsed.args.timestamp),
+    variant: parsed.args.variant,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index
+  };
+
+  if (parsed.name === 'NewHighScore') {
+    event.playerName = parsed.args.playerName;
+  }
+  return event;
+};
+
+// Backfills GamePlayed/NewHighScore logs from startBlock, then tails new blocks.
+// Only blocks at least `confirmations` deep are processed, so shallow reorgs
+// never reach consumers. Emits 'gamePlayed', 'newHighScore' and, after each
+// processed range, 'batch' with all decoded events of that range.
+function createIndexer({
+  provider,
+  address,
+  startBlock = Number(process.env.INDEXER_START_BLOCK || 0),
+  confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 5),
+  batchSize = Number(process.env.INDEXER_BATCH_SIZE || 2000),
+  pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || 5000),
+  stateFile = process.env.INDEXER_STATE_FILE || DEFAULT_STATE_FILE
+}) {
+  const indexer = new EventEmitter();
+  const iface = new ethers.Interface(GAME2048_ABI);
+  const topics = [[iface.getEvent('GamePlayed').topicHash, iface.getEvent('NewHighScore').topicHash]];
+
+  const saved = loadState(stateFile);
+  let lastBlock = saved && saved.address === address ? saved.lastBlock : startBlock - 1;
+  let lastBlockHash = saved && saved.address === address ? saved.lastBlockHash : null;
+  let timer = null;
+  let running = false;
+
+  indexer.synced = false;
+
+  // If the last processed block was reorged out anyway, step back and re-index
+  const checkLastBlock = async () => {
+    if (!lastBlockHash || lastBlock < startBlock) return;
+
+    const block = await provider.getBlock(lastBlock);
+    if (!block || block.hash !== lastBlockHash) {
+      const rewindTo = Math.max(startBlock - 1, lastBlock - confirmations);
+      console.warn(`Indexer: block ${lastBlock} was reorged, rewinding to ${rewindTo}`);
+      lastBlock = rewindTo;
+      lastBlockHash = null;
+      indexer.emit('reorg', { rewindTo });
+    }
+  };
+
+  const processRange = async (fromBlock, toBlock) => {
+    const logs = await provider.getLogs({ address, topics, fromBlock, toBlock });
+    const events = logs.map(log => decodeLog(iface, log));
+    const live = indexer.synced;
+
+    for (const event of events) {
+      indexer.emit(event.name === 'GamePlayed' ? 'gamePlayed' : 'newHighScore', event, { live });
+    }
+
+    const block = await provider.getBlock(toBlock);
+    lastBlock = toBlock;
+    lastBlockHash = block ? block.hash : null;
+    saveState(stateFile, { address, lastBlock, lastBlockHash, updatedAt: new Date().toISOString() });
+
+    indexer.emit('batch', events, { fromBlock, toBlock, live });
+  };
+
+  const poll = async () => {
+    try {
+      await checkLastBlock();
+
+      const head = await provider.getBlockNumber();
+      const safeHead = head - confirmations;
+
+      while (running && lastBlock < safeHead) {
+        const fromBlock = lastBlock + 1;
+        const toBlock = Math.min(safeHead, fromBlock + batchSize - 1);
+        await processRange(fromBlock, toBlock);
+      }
+
+      if (!indexer.synced) {
+        indexer.synced = true;
+        console.log('Indexer: caught up at block', lastBlock);
+        indexer.emit('synced', { lastBlock });
+      }
+    } catch (error) {
+      console.error('Indexer error:', error);
+    } finally {
+      if (running) {
+        timer = setTimeout(poll, pollInterval);
+      }
+    }
+  };
+
+  indexer.start = () => {
+    if (running) return;
+    running = true;
+    console.log(`Indexer: starting from block ${lastBlock + 1} (${confirmations} confirmations)`);
+    poll();
+  };
+
+  indexer.stop = () => {
+    running = false;
+    clearTimeout(timer);
+  };
+
+  indexer.getLastBlock = () => lastBlock;
+
+  return indexer;
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,119 @@
+// backend/relayer.js
+// Gasless score submission: the player signs a ScoreSubmission for their verified
+// game and the relayer account sends Game2048.submitScoreFor, paying the gas.
+const { ethers } = require('ethers');
+const db = require('./db');
+// Generated from the Hardhat artifacts, see frontend/scripts/abi.js
+const GAME2048_ABI = require('../shared/abi/Game2048.json');
+
+// Relayed submissions allowed per player and window
+const RELAY_LIMIT = Number(process.env.RELAY_LIMIT || 10);
+const RELAY_WINDOW = 60 * 60 * 1000; // 1 hour, in ms
+// Below this balance the relayer reports itself unhealthy
+const MIN_BALANCE = ethers.parseEther(process.env.RELAYER_MIN_BALANCE || '0.01');
+const MAX_NAME_LENGTH = 50;
+
+function createRelayer({ provider, address, privateKey = process.env.RELAYER_PRIVATE_KEY }) {
+  const wallet = privateKey && address ? new ethers.Wallet(privateKey, provider) : null;
+  const contract = wallet && new ethers.Contract(address, GAME2048_ABI, wallet);
+  // Recent relay times per player
+  const recent = new Map();
+  // Transactions go out one at a time so the account nonce never races
+  let queue = Promise.resolve();
+
+  if (!wallet) {
+    console.warn('RELAYER_PRIVATE_KEY not set, gasless score submission is disabled');
+  }
+
+  // Counts the relay if it is allowed
+  const takeSlot = (player, now = Date.now()) => {
+    const times = (recent.get(player) || []).filter(time => time > now - RELAY_WINDOW);
+    if (times.length >= RELAY_LIMIT) {
+      recent.set(player, times);
+      return false;
+    }
+    recent.set(player, [...times, now]);
+    return true;
+  };
+
+  const validate = ({ player, playerName, score, variant, gameId, nonce, expiry, signature, playerSignature }) => {
+    if (!player || !ethers.isAddress(player)) {
+      return 'Invalid player address';
+    }
+    if (typeof playerName !== 'string' || !playerName.trim() || playerName.length > MAX_NAME_LENGTH) {
+      return 'Invalid player name';
+    }
+    if (!ethers.isHexString(signature, 65) || !ethers.isHexString(playerSignature, 65)) {
+      return 'Invalid signature';
+    }
+
+    // Only games this backend verified are relayed, and only for the player they belong to
+    const game = ethers.isHexString(gameId, 32) && db.getVerifiedGame(gameId);
+    if (!game || game.player !== ethers.getAddress(player)) {
+      return 'Unknown game';
+    }
+    if (String(nonce) !== game.nonce || Number(score) !== game.score || variant !== game.variant) {
+      return 'Submission does not match the verified game';
+    }
+    if (!Number.isSafeInteger(Number(expiry)) || Number(expiry) * 1000 < Date.now()) {
+      return 'Attestation expired';
+    }
+    return null;
+  };
+
+  // Submit a verified score for a player; returns { txHash }, or { error, status }
+  async function relayScore(submission = {}) {
+    if (!contract) {
+      return { error: 'Relayer is not enabled', status: 503 };
+    }
+
+    const error = validate(submission);
+    if (error) {
+      return { error, status: 400 };
+    }
+
+    const { playerName, score, variant, gameId, nonce, expiry, signature, playerSignature } = submission;
+    const player = ethers.getAddress(submission.player);
+    const args = [player, score, playerName, variant, gameId, nonce, expiry, signature, playerSignature];
+
+    // Simulate first so a bad signature or a used nonce doesn't cost gas
+    try {
+      await contract.submitScoreFor.staticCall(...args);
+    } catch (callError) {
+      return { error: callError.reason || 'Submission rejected by the contract', status: 400 };
+    }
+
+    if (!takeSlot(player)) {
+      return { error: 'Too many relayed submissions, try again later', status: 429 };
+    }
+
+    const send = queue.then(() => contract.submitScoreFor(...args));
+    queue = send.catch(() => {});
+    const tx = await send;
+    return { txHash: tx.hash };
+  }
+
+  // Relayer account status for /api/health
+  async function getHealth() {
+    if (!wallet) {
+      return { enabled: false };
+    }
+
+    const balance = await provider.getBalance(wallet.address);
+    return {
+      enabled: true,
+      address: wallet.address,
+      balance: ethers.formatEther(balance),
+      minBalance: ethers.formatEther(MIN_BALANCE),
+      healthy: balance >= MIN_BALANCE
+    };
+  }
+
+  return {
+    enabled: Boolean(wallet),
+    relayScore,
+    getHealth
+  };
+}
+
+module.exports = { createRelayer };
@@ -5,6 +5,28 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { verifyGame, startGame, signAttestation, getGameRules, verifierAddress, achievementsContract, undoPolicy } = require('./verifier');
+const { unlockAchievements, signAchievementClaim } = require('./achievements');
+const { createIndexer } = require('./indexer');
+const db = require('./db');
+const { LEADERBOARD_WINDOWS, getWindowStart } = require('./time');
+const { loadShared } = require('./shared');
+const { createSession, requireSession } = require('./auth');
+const { getDailyChallenge, getDailySeed, parseDailyKey } = require('./daily');
+const { createVersus } = require('./versus');
+const { createSpectate } = require('./spectate');
+const { createRelayer } = require('./relayer');
+const deployments = require('./deployments');
+const {
+  isAdmin,
+  tournamentKey,
+  getRoundSeed,
+  getRoundTimes,
+  validateTournament,
+  getTournamentDetails,
+  summarize,
+  createTournamentScheduler
+} = require('./tournaments');
 
 const app = express();
 const httpServer = createServer(app);
@@ -51,7 +73,8 @@ const corsOptions = {
 
 // Apply CORS middleware
 app.use(cors(corsOptions));
-app.use(express.json());
+// Move logs of long games run to a few hundred KB
+app.use(express.json({ limit: '1mb' }));
 
 // Socket.io with CORS
 const io = new Server(httpServer, {
@@ -60,120 +83,591 @@ const io = new Server(httpServer, {
 });
 
 // Contract setup
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const CONTRACT_ABI = [
-  "function submitScore(uint256 _score, string memory _playerName) public",
-  "function getTopPlayers(uint256 _count) public view returns (tuple(address player, string playerName, uint256 highScore, uint256 gamesPlayed, uint256 totalScore)[])",
-  "function getPlayerStats(address _player) public view returns (uint256 highScore, uint256 gamesPlayed, uint256 totalScore, string memory playerName)",
-  "event ScoreSubmitted(address indexed player, uint256 score, string playerName)"
-];
-
-// Provider and contract instance
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
-
-// In-memory cache for leaderboard
-let leaderboardCache = [];
-let lastCacheUpdate = 0;
-const CACHE_DURATION = 30000; // 30 seconds
-
-// Function to fetch leaderboard from blockchain
-async function fetchLeaderboard() {
-  try {
-    console.log('Fetching leaderboard from blockchain...');
-    const topPlayers = await contract.getTopPlayers(10);
-    
-    leaderboardCache = topPlayers.map(player => ({
-      address: player.player,
-      name: player.playerName || 'Anonymous',
-      highScore: Number(player.highScore),
-      gamesPlayed: Number(player.gamesPlayed),
-      totalScore: Number(player.totalScore)
-    })).sort((a, b) => b.highScore - a.highScore);
-    
-    lastCacheUpdate = Date.now();
-    console.log('Leaderboard updated:', leaderboardCache.length, 'players');
-    return leaderboardCache;
+// Selected by NETWORK from deployments/<network>.json
+const game2048 = deployments.getContract('Game2048');
+const CONTRACT_ADDRESS = game2048.address;
+const provider = new ethers.JsonRpcProvider(deployments.rpcUrl);
+
+// Tournament results are committed on-chain by the verifier account, when a tournament asks for it
+const resultsContract = process.env.VERIFIER_PRIVATE_KEY && CONTRACT_ADDRESS
+  ? new ethers.Contract(CONTRACT_ADDRESS, game2048.abi, new ethers.Wallet(process.env.VERIFIER_PRIVATE_KEY, provider))
+  : null;
+
+// Pays the gas for players who submit through /api/relay/score
+const relayer = createRelayer({ provider, address: CONTRACT_ADDRESS });
+
+const LEADERBOARD_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Leaderboard is served from the local store, which the indexer keeps in sync
+function fetchLeaderboard() {
+  try {
+    return db.getLeaderboard({ limit: LEADERBOARD_SIZE });
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
-    return leaderboardCache; // Return cached data on error
+    return [];
   }
 }
 
 // API Routes
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  let relayerHealth;
+  try {
+    relayerHealth = await relayer.getHealth();
+  } catch (error) {
+    console.error('Error checking relayer balance:', error);
+    relayerHealth = { enabled: true, healthy: false, error: 'Balance unavailable' };
+  }
+
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
     contract: CONTRACT_ADDRESS,
-    network: process.env.RPC_URL
+    network: deployments.network,
+    chainId: deployments.chainId,
+    verifier: verifierAddress,
+    relayer: relayerHealth,
+    indexer: {
+      synced: indexer.synced,
+      lastBlock: indexer.getLastBlock()
+    }
   });
 });
 
+// Game rules the client needs to know about
+app.get('/api/config', async (req, res) => {
+  const { listVariantKeys } = await loadShared();
+  res.json({
+    undoPolicy: undoPolicy.policy,
+    undoPenalty: undoPolicy.penalty,
+    variants: listVariantKeys(),
+    achievementsContract,
+    relayer: relayer.enabled
+  });
+});
+
+// Seed for a new game; games started here are timed by the backend when verified
+app.post('/api/games/start', requireSession, (req, res) => {
+  try {
+    res.json(startGame(req.player));
+  } catch (error) {
+    console.error('Error in /api/games/start:', error);
+    res.status(500).json({ error: 'Failed to start game' });
+  }
+});
+
+// Re-simulate a game from its move log and attest the score if it is genuine.
+// Players can only verify their own games: daily challenges and tournament rounds
+// allow one verified game each, which anyone could otherwise use up for them.
+app.post('/api/games/verify', requireSession, async (req, res) => {
+  try {
+    const { player } = req.body;
+    if (!player || !ethers.isAddress(player) || ethers.getAddress(player) !== req.player) {
+      return res.status(403).json({ error: 'You can only verify your own games' });
+    }
+
+    const result = await verifyGame(req.body);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Achievements this game unlocked come back with the attestation
+    const achievements = await unlockAchievements(result.attestation.gameId);
+    res.json({ ...result.attestation, achievements });
+
+    // Live standings follow the round's verified games
+    if (req.body.tournament) tournaments.emitUpdate(Number(req.body.tournament.id));
+  } catch (error) {
+    console.error('Error in /api/games/verify:', error);
+    res.status(500).json({ error: 'Failed to verify game' });
+  }
+});
+
+// Issue a fresh EIP-712 attestation for a game that was already verified
+app.post('/api/games/:gameId/attestation', async (req, res) => {
+  try {
+    const result = await signAttestation(req.params.gameId, req.body.player);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.attestation);
+  } catch (error) {
+    console.error('Error in /api/games/:gameId/attestation:', error);
+    res.status(500).json({ error: 'Failed to sign attestation' });
+  }
+});
+
+// Submit a verified score for the player, with the relayer paying the gas.
+// The player signs the submission; resolves with the transaction hash once sent.
+app.post('/api/relay/score', async (req, res) => {
+  try {
+    const result = await relayer.relayScore(req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in /api/relay/score:', error);
+    res.status(500).json({ error: 'Failed to relay score' });
+  }
+});
+
+// Recording of a verified game, for the replay viewer
+app.get('/api/games/:gameId/recording', async (req, res) => {
+  try {
+    const game = db.getVerifiedGame(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Unknown game' });
+    }
+
+    // The stored score may carry an undo penalty; recordings hold the score the moves produce
+    const { replayGame, parseVariantKey, createRecording } = await loadShared();
+    const rules = getGameRules(game.variant);
+    const replay = replayGame({ seed: game.seed, moves: game.moves, ...parseVariantKey(rules) });
+
+    res.json(createRecording({
+      seed: game.seed,
+      variant: rules,
+      moves: game.moves,
+      score: replay.score,
+      player: game.player
+    }));
+  } catch (error) {
+    console.error('Error in /api/games/:gameId/recording:', error);
+    res.status(500).json({ error: 'Failed to fetch recording' });
+  }
+});
+
+// GET /api/leaderboard?limit=20&offset=0&sort=highScore&window=weekly&board=classic&variant=classic/4x4
 app.get('/api/leaderboard', async (req, res) => {
   try {
-    // Check if cache is still valid
-    if (Date.now() - lastCacheUpdate > CACHE_DURATION || leaderboardCache.length === 0) {
-      await fetchLeaderboard();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || LEADERBOARD_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const sort = req.query.sort || 'highScore';
+    const window = req.query.window || 'all';
+    const board = req.query.board || 'classic';
+    const { parseVariantKey, DEFAULT_VARIANT_KEY } = await loadShared();
+    const variant = req.query.variant || DEFAULT_VARIANT_KEY;
+
+    if (!db.LEADERBOARD_SORTS[sort]) {
+      return res.status(400).json({ error: `Invalid sort, expected one of: ${Object.keys(db.LEADERBOARD_SORTS).join(', ')}` });
     }
-    
-    res.json(leaderboardCache);
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      return res.status(400).json({ error: `Invalid window, expected one of: ${LEADERBOARD_WINDOWS.join(', ')}` });
+    }
+    if (!db.LEADERBOARD_BOARDS.includes(board)) {
+      return res.status(400).json({ error: `Invalid board, expected one of: ${db.LEADERBOARD_BOARDS.join(', ')}` });
+    }
+    // Daily challenges ("daily/2026-10-18") have a board of their own per day
+    if (!parseVariantKey(variant) && !parseDailyKey(variant)) {
+      return res.status(400).json({ error: `Unknown variant "${variant}"` });
+    }
+
+    const since = getWindowStart(window);
+    const entries = db.getLeaderboard({ limit, offset, sort, since, board, variant });
+    const total = db.countLeaderboard({ since, board, variant });
+
+    res.json({
+      entries,
+      total,
+      limit,
+      offset,
+      sort,
+      window,
+      board,
+      variant,
+      since,
+      nextOffset: offset + entries.length < total ? offset + entries.length : null
+    });
   } catch (error) {
     console.error('Error in /api/leaderboard:', error);
     res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 });
 
+app.get('/api/games/recent', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    res.json(db.getRecentGames(limit));
+  } catch (error) {
+    console.error('Error in /api/games/recent:', error);
+    res.status(500).json({ error: 'Failed to fetch recent games' });
+  }
+});
+
+app.get('/api/players/:address', (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    const profile = db.getPlayerProfile(ethers.getAddress(req.params.address));
+    if (!profile) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error in /api/players/:address:', error);
+    res.status(500).json({ error: 'Failed to fetch player' });
+  }
+});
+
+// Achievements a player unlocked, oldest first
+app.get('/api/players/:address/achievements', (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    res.json({ achievements: db.getAchievements(ethers.getAddress(req.params.address)) });
+  } catch (error) {
+    console.error('Error in /api/players/:address/achievements:', error);
+    res.status(500).json({ error: 'Failed to fetch achievements' });
+  }
+});
+
+// Verifier signature for minting an unlocked achievement
+app.post('/api/players/:address/achievements/:id/attestation', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    const result = await signAchievementClaim(ethers.getAddress(req.params.address), req.params.id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.attestation);
+  } catch (error) {
+    console.error('Error in /api/players/:address/achievements/:id/attestation:', error);
+    res.status(500).json({ error: 'Failed to sign achievement claim' });
+  }
+});
+
+// Today's daily challenge; the seed is only handed out by /api/daily/start
+app.get('/api/daily', (req, res) => {
+  res.json(getDailyChallenge());
+});
+
+// Register the player's attempt at today's challenge and hand out its seed.
+// The seed is only handed out once per wallet and day: calling it again returns the
+// same attempt without it, so it can be resumed from its save but not started over.
+app.post('/api/daily/start', requireSession, (req, res) => {
+  try {
+    const challenge = getDailyChallenge();
+    const attempt = db.startDailyAttempt(req.player, challenge.date, Date.now());
+
+    res.json({
+      ...challenge,
+      seed: attempt.created ? getDailySeed(challenge.date) : null,
+      startedAt: attempt.startedAt,
+      resumed: !attempt.created,
+      alreadyPlayed: Boolean(attempt.gameId)
+    });
+  } catch (error) {
+    console.error('Error in /api/daily/start:', error);
+    res.status(500).json({ error: 'Failed to start daily challenge' });
+  }
+});
+
+// Winners of past daily challenges, newest first
+app.get('/api/daily/winners', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 365);
+    res.json(db.getDailyWinners({ before: getDailyChallenge().variant, limit }));
+  } catch (error) {
+    console.error('Error in /api/daily/winners:', error);
+    res.status(500).json({ error: 'Failed to fetch daily winners' });
+  }
+});
+
+// Sign in with a wallet signature; the token authorizes the saved game routes
+app.post('/api/auth/session', (req, res) => {
+  try {
+    const result = createSession(req.body);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in /api/auth/session:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// The signed-in player's in-progress game, so it can be resumed on another device
+app.get('/api/saved-game', requireSession, (req, res) => {
+  try {
+    const saved = db.getSavedGame(req.player);
+    if (!saved) {
+      return res.status(404).json({ error: 'No saved game' });
+    }
+
+    res.json(saved);
+  } catch (error) {
+    console.error('Error in GET /api/saved-game:', error);
+    res.status(500).json({ error: 'Failed to fetch saved game' });
+  }
+});
+
+app.put('/api/saved-game', requireSession, (req, res) => {
+  try {
+    const { state, updatedAt } = req.body;
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return res.status(400).json({ error: 'Invalid game state' });
+    }
+    if (!Number.isSafeInteger(updatedAt) || updatedAt <= 0) {
+      return res.status(400).json({ error: 'Invalid updatedAt' });
+    }
+
+    if (!db.saveGame(req.player, state, updatedAt)) {
+      return res.status(409).json({ error: 'A newer game is already saved', ...db.getSavedGame(req.player) });
+    }
+
+    res.json({ updatedAt });
+  } catch (error) {
+    console.error('Error in PUT /api/saved-game:', error);
+    res.status(500).json({ error: 'Failed to save game' });
+  }
+});
+
+// The signed-in player, and what they're allowed to manage
+app.get('/api/auth/me', requireSession, (req, res) => {
+  res.json({ player: req.player, tournamentAdmin: isAdmin(req.player) });
+});
+
+// Tournament management is limited to the wallets in TOURNAMENT_ADMINS
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.player)) {
+    return res.status(403).json({ error: 'Only tournament admins can do this' });
+  }
+  next();
+};
+
+app.get('/api/tournaments', (req, res) => {
+  try {
+    res.json(db.listTournaments().map(tournament => ({
+      ...summarize(tournament),
+      playerCount: db.getTournamentPlayers(tournament.id).length
+    })));
+  } catch (error) {
+    console.error('Error in /api/tournaments:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+});
+
+// Players, rounds with their pairings and scores, and standings
+app.get('/api/tournaments/:id', (req, res) => {
+  try {
+    const tournament = getTournamentDetails(Number(req.params.id));
+    if (!tournament) {
+      return res.status(404).json({ error: 'Unknown tournament' });
+    }
+
+    res.json(tournament);
+  } catch (error) {
+    console.error('Error in /api/tournaments/:id:', error);
+    res.status(500).json({ error: 'Failed to fetch tournament' });
+  }
+});
+
+// POST /api/tournaments { name, format, rules, rounds, roundDuration, startsAt, commitResults }
+app.post('/api/tournaments', requireSession, requireAdmin, async (req, res) => {
+  try {
+    const { parseVariantKey } = await loadShared();
+    const result = validateTournament(req.body, parseVariantKey);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const id = db.createTournament({ ...result.tournament, createdBy: req.player, createdAt: Date.now() });
+    tournaments.emitUpdate(id);
+    res.json(getTournamentDetails(id));
+  } catch (error) {
+    console.error('Error in POST /api/tournaments:', error);
+    res.status(500).json({ error: 'Failed to create tournament' });
+  }
+});
+
+app.post('/api/tournaments/:id/register', requireSession, (req, res) => {
+  try {
+    const tournament = getTournamentDetails(Number(req.params.id));
+    if (!tournament) {
+      return res.status(404).json({ error: 'Unknown tournament' });
+    }
+    if (!tournament.registrationOpen) {
+      return res.status(400).json({ error: 'Registration is closed' });
+    }
+
+    const name = String(req.body.name || '').trim().slice(0, 20);
+    if (!name) {
+      return res.status(400).json({ error: 'Name required' });
+    }
+
+    if (!db.registerTournamentPlayer({ tournamentId: tournament.id, player: req.player, name, registeredAt: Date.now() })) {
+      return res.status(409).json({ error: 'Already registered' });
+    }
+
+    tournaments.emitUpdate(tournament.id);
+    res.json(getTournamentDetails(tournament.id));
+  } catch (error) {
+    console.error('Error in /api/tournaments/:id/register:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Hand out the current round's seed to a player paired in it
+app.post('/api/tournaments/:id/play', requireSession, (req, res) => {
+  try {
+    const tournament = db.getTournament(Number(req.params.id));
+    if (!tournament) {
+      return res.status(404).json({ error: 'Unknown tournament' });
+    }
+
+    const round = tournament.currentRound;
+    const { startsAt, endsAt } = getRoundTimes(tournament, round);
+    if (tournament.status !== 'running' || Date.now() < startsAt || Date.now() >= endsAt) {
+      return res.status(400).json({ error: 'No round is being played right now' });
+    }
+    if (!db.isPlayingRound(tournament.id, round, req.player)) {
+      return res.status(403).json({ error: 'You are not playing in this round' });
+    }
+
+    const variant = tournamentKey(tournament.id, round);
+    res.json({
+      id: tournament.id,
+      name: tournament.name,
+      round,
+      rules: tournament.rules,
+      variant,
+      endsAt,
+      seed: getRoundSeed(tournament.id, round),
+      alreadyPlayed: Boolean(db.getVerifiedGameId(req.player, variant))
+    });
+  } catch (error) {
+    console.error('Error in /api/tournaments/:id/play:', error);
+    res.status(500).json({ error: 'Failed to start tournament round' });
+  }
+});
+
+app.get('/api/stats', (req, res) => {
+  try {
+    res.json(db.getStats());
+  } catch (error) {
+    console.error('Error in /api/stats:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// Tournaments run on their schedule; standings are pushed as 'tournamentUpdate'
+const tournaments = createTournamentScheduler({ io, contract: resultsContract });
+
+// Real-time versus matches run over the same socket connection
+const versus = createVersus({ io });
+// Players can opt in to streaming their game to spectators
+const spectate = createSpectate({ io });
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
   
   // Send current leaderboard to new client
-  socket.emit('leaderboardUpdate', leaderboardCache);
+  socket.emit('leaderboardUpdate', fetchLeaderboard());
+
+  versus.attach(socket);
+  spectate.attach(socket);
+
+  socket.on('tournament:standings', ({ id } = {}, ack) => {
+    if (typeof ack !== 'function') return;
+    const tournament = getTournamentDetails(Number(id));
+    ack(tournament ? { ...summarize(tournament), standings: tournament.standings } : { error: 'Unknown tournament' });
+  });
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
-// Listen for blockchain events
-contract.on('ScoreSubmitted', async (player, score, playerName) => {
-  console.log('New score submitted:', player, score, playerName);
-  
-  // Update leaderboard
-  const updatedLeaderboard = await fetchLeaderboard();
-  
-  // Broadcast to all connected clients
-  io.emit('leaderboardUpdate', updatedLeaderboard);
-  
-  // Notify about new high score
+// Index contract events; socket pushes are driven by confirmed logs
+const indexer = createIndexer({
+  provider,
+  address: CONTRACT_ADDRESS,
+  // No need to scan blocks from before the contract existed
+  startBlock: Number(process.env.INDEXER_START_BLOCK || game2048.deployBlock)
+});
+
+// Persist every decoded event; inserts are idempotent so re-indexed ranges are safe
+indexer.on('gamePlayed', (event) => {
+  db.insertGame(event);
+});
+
+indexer.on('newHighScore', (event, { live }) => {
+  db.insertNameChange(event);
+
+  if (!live) return; // Don't replay historical high scores while backfilling
+
+  console.log('New high score:', event.player, event.score, event.playerName);
   io.emit('newHighScore', {
-    player,
-    score: Number(score),
-    playerName
+    player: event.player,
+    score: event.score,
+    playerName: event.playerName
   });
 });
 
-// Initial leaderboard fetch
-fetchLeaderboard().then(() => {
-  console.log('Initial leaderboard loaded');
+indexer.on('reorg', ({ rewindTo }) => {
+  db.deleteFromBlock(rewindTo + 1);
 });
 
-// Periodic leaderboard refresh
-setInterval(async () => {
-  const updated = await fetchLeaderboard();
-  if (updated.length > 0) {
-    io.emit('leaderboardUpdate', updated);
-  }
-}, 60000); // Refresh every minute
+indexer.on('batch', (events, { live }) => {
+  if (!live || events.length === 0) return;
+  io.emit('leaderboardUpdate', fetchLeaderboard());
+});
+
+indexer.on('synced', () => {
+  io.emit('leaderboardUpdate', fetchLeaderboard());
+});
+
+// Tell clients when a new daily challenge begins
+function scheduleDailyReset() {
+  setTimeout(() => {
+    io.emit('dailyReset', getDailyChallenge());
+    scheduleDailyReset();
+  }, getDailyChallenge().endsAt - Date.now() + 1000);
+}
 
 // Start server
 const PORT = process.env.PORT || 3001;
 const HOST = '0.0.0.0'; // Important for cloud environments
 
-httpServer.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
-  console.log('Contract Address:', CONTRACT_ADDRESS);
-  console.log('RPC URL:', process.env.RPC_URL);
-  console.log('Frontend URL:', process.env.FRONTEND_URL);
-});
+function start() {
+  indexer.start();
+  tournaments.start();
+  scheduleDailyReset();
+
+  httpServer.listen(PORT, HOST, () => {
+    console.log(`Server running on http://${HOST}:${PORT}`);
+    console.log('Contract Address:', CONTRACT_ADDRESS);
+    console.log('Network:', deployments.network, `(chain ${deployments.chainId})`);
+    console.log('RPC URL:', deployments.rpcUrl);
+    console.log('Frontend URL:', process.env.FRONTEND_URL);
+  });
+}
+
+// Requiring the server (e.g. from a test harness with DB_FILE=:memory:) gives the app
+// without polling the chain or taking the port
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, httpServer, io, indexer, start };
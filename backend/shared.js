@@ -0,0 +1,21 @@
+// backend/shared.js
+// The game engine in ../shared is an ES module, so it has to be loaded with import()
+
+let modules = null;
+
+async function loadShared() {
+  if (!modules) {
+    const [engine, rng, replay, variants, recording, achievements] = await Promise.all([
+      import('../shared/engine.js'),
+      import('../shared/rng.js'),
+      import('../shared/replay.js'),
+      import('../shared/variants.js'),
+      import('../shared/recording.js'),
+      import('../shared/achievements.js')
+    ]);
+    modules = { ...engine, ...rng, ...replay, ...variants, ...recording, ...achievements };
+  }
+  return modules;
+}
+
+module.exports = { loadShared };
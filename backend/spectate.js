@@ -0,0 +1,210 @@
+// backend/spectate.js
+// Live spectating over Socket.IO. Players who opt in stream their board after
+// every move; spectators list the live games and watch any of them. Streams are
+// display only: nothing here is verified, scores still go through /api/games/verify.
+const crypto = require('crypto');
+
+const MAX_STREAM_ID_LENGTH = 64;
+const MAX_CELLS = 64; // 8x8, the largest board
+// A streamer who drops off has this long to reconnect before the stream ends
+const RECONNECT_GRACE = 30 * 1000; // ms
+
+const LOBBY = 'live:lobby';
+const streamChannel = (streamId) => `live:${streamId}`;
+
+const isValidGrid = (grid) => {
+  if (!Array.isArray(grid) || grid.length === 0 || grid.length > MAX_CELLS) return false;
+  if (!Number.isInteger(Math.sqrt(grid.length))) return false;
+  return grid.every(cell => Number.isInteger(cell));
+};
+
+const isCell = (index, cells) => Number.isInteger(index) && index >= 0 && index < cells;
+
+// The slide details of a frame ({ moves, merges, spawned } from applyMove), keeping
+// only the fields spectators animate with. Details that don't fit the board are
+// dropped, and viewers redraw the frame instead.
+const pickResult = (result, cells) => {
+  if (!result || typeof result !== 'object') return null;
+  const { moves, merges, spawned = null } = result;
+
+  if (!Array.isArray(moves) || moves.length > cells || !Array.isArray(merges) || merges.length > cells) return null;
+  const validMoves = moves.every(move => {
+    return move && isCell(move.from, cells) && isCell(move.to, cells) && Number.isInteger(move.value);
+  });
+  const validMerges = merges.every(merge => {
+    return merge && isCell(merge.index, cells) && Number.isInteger(merge.value) &&
+      Array.isArray(merge.from) && merge.from.length === 2 && merge.from.every(from => isCell(from, cells));
+  });
+  const validSpawn = spawned === null || (isCell(spawned.index, cells) && Number.isInteger(spawned.value));
+  if (!validMoves || !validMerges || !validSpawn) return null;
+
+  return {
+    moves: moves.map(({ from, to, value }) => ({ from, to, value })),
+    merges: merges.map(({ index, value, from }) => ({ index, value, from: [from[0], from[1]] })),
+    spawned: spawned && { index: spawned.index, value: spawned.value }
+  };
+};
+
+function createSpectate({ io }) {
+  const streams = new Map();
+  // socket id -> stream id it broadcasts, and -> stream ids it watches
+  const streaming = new Map();
+  const watching = new Map();
+
+  const publicStream = (stream) => ({
+    id: stream.id,
+    name: stream.name,
+    address: stream.address,
+    variant: stream.variant,
+    grid: stream.grid,
+    score: stream.score,
+    over: stream.over,
+    viewers: stream.viewers.size,
+    connected: stream.connected,
+    startedAt: stream.startedAt
+  });
+
+  const listStreams = () => [...streams.values()]
+    .map(publicStream)
+    .sort((a, b) => b.viewers - a.viewers || b.score - a.score);
+
+  const broadcastList = () => io.to(LOBBY).emit('live:games', listStreams());
+
+  // Everything but the board itself changed: viewer count, connection
+  const broadcastStatus = (stream) => {
+    io.to(streamChannel(stream.id)).emit('live:frame', { stream: publicStream(stream), result: null });
+    if (stream.connected) io.to(stream.socketId).emit('live:viewers', { streamId: stream.id, viewers: stream.viewers.size });
+    broadcastList();
+  };
+
+  const endStream = (stream) => {
+    clearTimeout(stream.removeTimer);
+    streams.delete(stream.id);
+    if (streaming.get(stream.socketId) === stream.id) streaming.delete(stream.socketId);
+
+    io.to(streamChannel(stream.id)).emit('live:ended', { streamId: stream.id });
+    for (const viewerId of stream.viewers) {
+      const viewer = io.sockets.sockets.get(viewerId);
+      if (viewer) viewer.leave(streamChannel(stream.id));
+      if (watching.has(viewerId)) watching.get(viewerId).delete(stream.id);
+    }
+    broadcastList();
+  };
+
+  const unwatch = (socket, streamId) => {
+    const stream = streams.get(streamId);
+    socket.leave(streamChannel(streamId));
+    if (watching.has(socket.id)) watching.get(socket.id).delete(streamId);
+    if (stream && stream.viewers.delete(socket.id)) broadcastStatus(stream);
+  };
+
+  // Register a connected socket's spectating handlers; every handler answers
+  // through the Socket.IO acknowledgement, with { error } when refused
+  const attach = (socket) => {
+    const safeAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+    // The first update of a stream starts it and hands the streamer its token; a
+    // streamer who reconnected resumes their stream by sending its id and token again
+    socket.on('live:update', (payload = {}, ack) => {
+      ack = safeAck(ack);
+      const { streamId, token, name, address = null, variant, grid, score, over, result = null } = payload;
+
+      if (typeof streamId !== 'string' || !streamId || streamId.length > MAX_STREAM_ID_LENGTH) {
+        return ack({ error: 'Invalid stream id' });
+      }
+      if (!isValidGrid(grid) || !Number.isInteger(score) || score < 0) {
+        return ack({ error: 'Invalid board' });
+      }
+
+      let stream = streams.get(streamId);
+      if (stream && stream.connected && stream.socketId !== socket.id) {
+        return ack({ error: 'Stream is already live' });
+      }
+      // The stream id is public, so only the token proves the stream is the sender's
+      if (stream && stream.socketId !== socket.id && token !== stream.token) {
+        return ack({ error: 'Stream belongs to another player' });
+      }
+
+      // One stream per connection
+      const previous = streaming.get(socket.id);
+      if (previous && previous !== streamId && streams.has(previous)) endStream(streams.get(previous));
+
+      const isNew = !stream;
+      const reconnected = stream && !stream.connected;
+      if (isNew) {
+        stream = { id: streamId, token: crypto.randomBytes(16).toString('hex'), viewers: new Set(), startedAt: Date.now() };
+        streams.set(streamId, stream);
+      }
+      clearTimeout(stream.removeTimer);
+
+      Object.assign(stream, {
+        socketId: socket.id,
+        name: String(name || 'Anonymous').slice(0, 20),
+        address,
+        variant: String(variant || ''),
+        grid,
+        score,
+        over: Boolean(over),
+        connected: true
+      });
+      streaming.set(socket.id, streamId);
+
+      io.to(streamChannel(streamId)).emit('live:frame', { stream: publicStream(stream), result: pickResult(result, grid.length) });
+      if (isNew || reconnected) broadcastStatus(stream);
+      const response = { live: true, viewers: stream.viewers.size };
+      ack(isNew ? { ...response, token: stream.token } : response);
+    });
+
+    socket.on('live:stop', (payload, ack) => {
+      const stream = streams.get(streaming.get(socket.id));
+      if (stream) endStream(stream);
+      safeAck(ack)({ live: false });
+    });
+
+    // Join the lobby to get 'live:games' whenever the list changes
+    socket.on('live:list', (payload, ack) => {
+      socket.join(LOBBY);
+      safeAck(ack)({ games: listStreams() });
+    });
+
+    socket.on('live:unlist', () => socket.leave(LOBBY));
+
+    socket.on('live:watch', ({ streamId } = {}, ack) => {
+      ack = safeAck(ack);
+      const stream = streams.get(streamId);
+      if (!stream) return ack({ error: 'This game is no longer live' });
+
+      socket.join(streamChannel(streamId));
+      if (!watching.has(socket.id)) watching.set(socket.id, new Set());
+      watching.get(socket.id).add(streamId);
+      // Streamers don't count as viewers of their own game
+      if (stream.socketId !== socket.id) stream.viewers.add(socket.id);
+
+      ack({ stream: publicStream(stream) });
+      broadcastStatus(stream);
+    });
+
+    socket.on('live:unwatch', ({ streamId } = {}) => unwatch(socket, streamId));
+
+    socket.on('disconnect', () => {
+      for (const streamId of watching.get(socket.id) || []) unwatch(socket, streamId);
+      watching.delete(socket.id);
+
+      // Keep the stream around for a while in case the streamer comes back
+      const stream = streams.get(streaming.get(socket.id));
+      streaming.delete(socket.id);
+      if (!stream) return;
+
+      stream.connected = false;
+      stream.removeTimer = setTimeout(() => endStream(stream), RECONNECT_GRACE);
+      broadcastStatus(stream);
+    });
+  };
+
+  return {
+    attach,
+    getStatus: () => ({ streams: streams.size })
+  };
+}
+
+module.exports = { createSpectate };
@@ -0,0 +1,109 @@
+// backend/test/auth.test.js
+// Wallet sign-in and the saved games it unlocks
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { loadServer, signIn } = require('./helpers');
+
+const { app } = loadServer();
+const { signInMessage } = require('../auth');
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sign-in request body, signed by `signer` for `address`
+const signInBody = async ({ signer = alice, address = signer.address, issuedAt = new Date().toISOString() } = {}) => {
+  const signature = await signer.signMessage(signInMessage(address, issuedAt));
+  return { address, issuedAt, signature };
+};
+
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+let aliceToken;
+let bobToken;
+
+before(async () => {
+  aliceToken = await signIn(app, alice);
+  bobToken = await signIn(app, bob);
+});
+
+test('a signed sign-in message is exchanged for a session', async () => {
+  const res = await request(app).post('/api/auth/session').send(await signInBody()).expect(200);
+
+  assert.match(res.body.token, /^[0-9a-f]{64}$/);
+  assert.equal(res.body.player, alice.address);
+  assert.ok(Math.abs(res.body.expiresAt - (Date.now() + 30 * DAY)) < 60 * 1000);
+
+  const me = await request(app).get('/api/auth/me').set(auth(res.body.token)).expect(200);
+  assert.deepEqual(me.body, { player: alice.address, tournamentAdmin: false });
+});
+
+test('sign-in rejects stale messages, foreign signatures and bad addresses', async () => {
+  const cases = [
+    [{ issuedAt: new Date(Date.now() - 11 * 60 * 1000).toISOString() }, 'Sign-in message expired'],
+    [{ issuedAt: new Date(Date.now() + 11 * 60 * 1000).toISOString() }, 'Sign-in message expired'],
+    [{ issuedAt: 'yesterday' }, 'Sign-in message expired'],
+    [{ signer: bob, address: alice.address }, 'Signature does not match address'],
+    [{ address: 'alice' }, 'Invalid address']
+  ];
+
+  for (const [options, error] of cases) {
+    const res = await request(app).post('/api/auth/session').send(await signInBody(options)).expect(401);
+    assert.equal(res.body.error, error);
+  }
+
+  const garbled = { ...(await signInBody()), signature: '0x1234' };
+  const res = await request(app).post('/api/auth/session').send(garbled).expect(401);
+  assert.equal(res.body.error, 'Invalid signature');
+});
+
+test('sessions are required, and stop working once they expire', async () => {
+  await request(app).get('/api/auth/me').expect(401);
+  await request(app).get('/api/auth/me').set(auth('f'.repeat(64))).expect(401);
+  await request(app).get('/api/auth/me').set({ Authorization: aliceToken }).expect(401);
+
+  const realNow = Date.now;
+  mock.method(Date, 'now', () => realNow() + 31 * DAY);
+  try {
+    const res = await request(app).get('/api/auth/me').set(auth(aliceToken)).expect(401);
+    assert.equal(res.body.error, 'Sign in required');
+  } finally {
+    mock.restoreAll();
+  }
+  await request(app).get('/api/auth/me').set(auth(aliceToken)).expect(200);
+});
+
+test('saved games are stored per player and keep the newest copy', async () => {
+  const state = { version: 2, seed: 7, moves: 'LR', score: 4 };
+
+  await request(app).get('/api/saved-game').set(auth(aliceToken)).expect(404);
+  await request(app).put('/api/saved-game').send({ state, updatedAt: 1000 }).expect(401);
+
+  await request(app).put('/api/saved-game').set(auth(aliceToken)).send({ state, updatedAt: 1000 }).expect(200);
+  const saved = await request(app).get('/api/saved-game').set(auth(aliceToken)).expect(200);
+  assert.deepEqual(saved.body, { state, updatedAt: 1000 });
+
+  // An older copy arriving late is turned away with the stored one
+  const stale = await request(app)
+    .put('/api/saved-game')
+    .set(auth(aliceToken))
+    .send({ state: { ...state, moves: 'L' }, updatedAt: 900 })
+    .expect(409);
+  assert.deepEqual(stale.body.state, state);
+
+  // Each player only sees and overwrites their own game
+  await request(app).get('/api/saved-game').set(auth(bobToken)).expect(404);
+  await request(app).put('/api/saved-game').set(auth(bobToken)).send({ state: { seed: 8 }, updatedAt: 2000 }).expect(200);
+  const own = await request(app).get('/api/saved-game').set(auth(aliceToken)).expect(200);
+  assert.deepEqual(own.body.state, state);
+});
+
+test('saved games must be an object with a timestamp', async () => {
+  for (const body of [{ updatedAt: 1 }, { state: [1], updatedAt: 1 }, { state: {} }, { state: {}, updatedAt: -1 }]) {
+    const res = await request(app).put('/api/saved-game').set(auth(aliceToken)).send(body).expect(400);
+    assert.match(res.body.error, /Invalid (game state|updatedAt)/);
+  }
+});
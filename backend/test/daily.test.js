@@ -0,0 +1,123 @@
+// backend/test/daily.test.js
+// Daily challenge: one secret-keyed seed per UTC day, one attempt per wallet and day,
+// and verified daily games bound to that attempt
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { loadServer, signIn, playMoves } = require('./helpers');
+
+const { app } = loadServer();
+const { getDailySeed, getDailyDate } = require('../daily');
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const tokens = {};
+
+const today = getDailyDate();
+
+const startDaily = (wallet) => {
+  return request(app).post('/api/daily/start').set('Authorization', `Bearer ${tokens[wallet.address]}`);
+};
+
+const verifyDaily = (wallet, body) => {
+  return request(app)
+    .post('/api/games/verify')
+    .set('Authorization', `Bearer ${tokens[wallet.address]}`)
+    .send({ player: wallet.address, daily: today, ...body });
+};
+
+before(async () => {
+  for (const wallet of [alice, bob]) {
+    tokens[wallet.address] = await signIn(app, wallet);
+  }
+});
+
+test('daily seeds are derived from the date with the server secret', () => {
+  const expected = crypto.createHmac('sha256', 'test').update(today).digest('hex').slice(0, 16);
+
+  assert.equal(getDailySeed(today), expected);
+  assert.equal(getDailySeed(today), getDailySeed(today));
+  assert.notEqual(getDailySeed('2026-10-18'), getDailySeed('2026-10-19'));
+});
+
+test('GET /api/daily describes today\'s challenge without its seed', async () => {
+  const res = await request(app).get('/api/daily').expect(200);
+
+  assert.equal(res.body.date, today);
+  assert.equal(res.body.rules, 'classic/4x4');
+  assert.equal(res.body.variant, `daily/${today}`);
+  assert.equal(res.body.endsAt, Date.parse(`${today}T00:00:00Z`) + 24 * 60 * 60 * 1000);
+  assert.equal(res.body.seed, undefined);
+});
+
+test('the seed is handed out once per wallet and day', async () => {
+  await request(app).post('/api/daily/start').expect(401);
+
+  const first = await startDaily(alice).expect(200);
+  assert.equal(first.body.seed, getDailySeed(today));
+  assert.equal(first.body.resumed, false);
+  assert.equal(first.body.alreadyPlayed, false);
+
+  const again = await startDaily(alice).expect(200);
+  assert.equal(again.body.seed, null);
+  assert.equal(again.body.resumed, true);
+  assert.equal(again.body.startedAt, first.body.startedAt);
+});
+
+test('a daily game is attested under the day\'s variant, once per attempt', async () => {
+  const seed = getDailySeed(today);
+  const game = await playMoves({ seed, limit: 50 });
+
+  const res = await verifyDaily(alice, { seed, moves: game.moves, score: game.score }).expect(200);
+  assert.equal(res.body.variant, `daily/${today}`);
+
+  // The same game verifies again to the same attestation, any other is refused
+  const again = await verifyDaily(alice, { seed, moves: game.moves, score: game.score }).expect(200);
+  assert.equal(again.body.gameId, res.body.gameId);
+  assert.equal(again.body.nonce, res.body.nonce);
+
+  const retry = await playMoves({ seed, limit: 20 });
+  const refused = await verifyDaily(alice, { seed, moves: retry.moves, score: retry.score }).expect(400);
+  assert.equal(refused.body.error, 'You already submitted a game for this daily challenge');
+
+  const restart = await startDaily(alice).expect(200);
+  assert.equal(restart.body.alreadyPlayed, true);
+  assert.equal(restart.body.seed, null);
+});
+
+test('daily games need a started attempt, the day\'s seed, an open day and no undo', async () => {
+  const seed = getDailySeed(today);
+  const game = await playMoves({ seed, limit: 20 });
+
+  const notStarted = await verifyDaily(bob, { seed, moves: game.moves, score: game.score }).expect(400);
+  assert.equal(notStarted.body.error, 'Daily challenge was not started');
+
+  await startDaily(bob).expect(200);
+
+  const otherSeed = await playMoves({ seed: 7, limit: 20 });
+  const wrongSeed = await verifyDaily(bob, { seed: 7, moves: otherSeed.moves, score: otherSeed.score }).expect(400);
+  assert.equal(wrongSeed.body.error, 'Seed does not match the daily challenge');
+
+  const undone = game.moves + 'Z' + game.moves.slice(-1);
+  const withUndo = await verifyDaily(bob, { seed, moves: undone, score: game.score }).expect(400);
+  assert.equal(withUndo.body.error, 'Undo is not allowed in the daily challenge');
+
+  const lastWeek = getDailyDate(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const oldSeed = getDailySeed(lastWeek);
+  const oldGame = await playMoves({ seed: oldSeed, limit: 20 });
+  const closed = await verifyDaily(bob, { seed: oldSeed, moves: oldGame.moves, score: oldGame.score, daily: lastWeek }).expect(400);
+  assert.equal(closed.body.error, 'This daily challenge is closed');
+
+  // None of the refused games used up the attempt
+  const res = await verifyDaily(bob, { seed, moves: game.moves, score: game.score }).expect(200);
+  assert.equal(res.body.variant, `daily/${today}`);
+});
+
+test('each day has a leaderboard of its own', async () => {
+  const res = await request(app).get(`/api/leaderboard?variant=daily/${today}`).expect(200);
+  assert.equal(res.body.variant, `daily/${today}`);
+
+  await request(app).get('/api/leaderboard?variant=daily/someday').expect(400);
+});
@@ -0,0 +1,85 @@
+// backend/test/helpers.js
+// Shared setup for the route tests. node:test runs every test file in a process of
+// its own, so each file gets a fresh server on an in-memory store. No chain is
+// involved unless a file brings its own RPC endpoint.
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { loadShared } = require('../shared');
+
+const CONTRACT_ADDRESS = ethers.getAddress('0x' + '20'.repeat(20));
+const VERIFIER_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+
+const TEST_ENV = {
+  DB_FILE: ':memory:',
+  // No deployments manifest for this network, so the contract comes from CONTRACT_ADDRESS
+  NETWORK: 'test',
+  CONTRACT_ADDRESS,
+  RPC_URL: 'http://127.0.0.1:8545',
+  CHAIN_ID: '31337',
+  INDEXER_STATE_FILE: path.join(os.tmpdir(), `indexer-state-${process.pid}.json`),
+  VERIFIER_PRIVATE_KEY,
+  RELAYER_PRIVATE_KEY: '',
+  DAILY_SECRET: 'test',
+  TOURNAMENT_SECRET: 'test'
+};
+
+// Configure the backend for tests and load the server; `env` overrides the defaults.
+// Has to come before anything else requires a backend module, as they read their settings on load.
+function loadServer(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  return require('../server');
+}
+
+// Start listening on a free port; resolves with the port
+async function listen(httpServer) {
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  return httpServer.address().port;
+}
+
+// Resolves with the next `event` the client receives
+const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// Session token for `wallet`, signed in the way the frontend does it
+async function signIn(app, wallet) {
+  const { signInMessage } = require('../auth');
+  const issuedAt = new Date().toISOString();
+  const signature = await wallet.signMessage(signInMessage(wallet.address, issuedAt));
+  const res = await request(app)
+    .post('/api/auth/session')
+    .send({ address: wallet.address, issuedAt, signature })
+    .expect(200);
+  return res.body.token;
+}
+
+// Play a seeded game by always taking the first direction that moves, up to `limit`
+// moves or game over. Resolves with the encoded move log and the score it gives.
+async function playMoves({ seed, variant = 'classic', size = 4, limit = Infinity }) {
+  const { createRng, createGame, applyMove, encodeMoves, DIRECTIONS } = await loadShared();
+  const rng = createRng(seed);
+  let state = createGame({ size, variant, rng });
+  const directions = [];
+
+  while (!state.over && directions.length < limit) {
+    for (const direction of DIRECTIONS) {
+      const result = applyMove(state, direction, rng);
+      if (result.moved) {
+        state = result.state;
+        directions.push(direction);
+        break;
+      }
+    }
+  }
+  return { moves: encodeMoves(directions), score: state.score, state };
+}
+
+module.exports = {
+  CONTRACT_ADDRESS,
+  VERIFIER_PRIVATE_KEY,
+  loadServer,
+  listen,
+  nextEvent,
+  signIn,
+  playMoves
+};
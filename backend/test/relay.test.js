@@ -0,0 +1,236 @@
+// backend/test/relay.test.js
+// POST /api/relay/score: gasless submissions of verified scores, sent by the relayer
+// account to a stand-in JSON-RPC node that keeps track of used nonces like Game2048
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { CONTRACT_ADDRESS, loadServer, listen, signIn, playMoves } = require('./helpers');
+const GAME2048_ABI = require('../../shared/abi/Game2048.json');
+
+const RELAY_LIMIT = 2;
+const CHAIN_ID = 31337;
+
+const game2048 = new ethers.Interface(GAME2048_ABI);
+const relayerWallet = ethers.Wallet.createRandom();
+
+// What the node has seen: transactions sent, and the attestation nonces they used up
+const chain = { sent: [], usedNonces: new Set() };
+
+// Revert the way a node reports a failed require()
+class Revert extends Error {
+  constructor(reason) {
+    super(`execution reverted: ${reason}`);
+    this.data = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]).slice(2);
+  }
+}
+
+const latestBlock = () => ({
+  number: ethers.toQuantity(chain.sent.length + 1),
+  hash: ethers.id(`block ${chain.sent.length + 1}`),
+  parentHash: ethers.ZeroHash,
+  timestamp: ethers.toQuantity(Math.floor(Date.now() / 1000)),
+  nonce: '0x0000000000000000',
+  difficulty: '0x0',
+  gasLimit: ethers.toQuantity(30000000),
+  gasUsed: '0x0',
+  miner: ethers.ZeroAddress,
+  extraData: '0x',
+  baseFeePerGas: ethers.toQuantity(ethers.parseUnits('1', 'gwei')),
+  transactions: []
+});
+
+// submitScoreFor(player, score, playerName, variant, gameId, nonce, ...)
+const nonceOf = (data) => game2048.parseTransaction({ data }).args[5];
+
+const rpc = ({ method, params }) => {
+  switch (method) {
+    case 'eth_chainId':
+      return ethers.toQuantity(CHAIN_ID);
+    case 'eth_blockNumber':
+      return ethers.toQuantity(chain.sent.length + 1);
+    case 'eth_getBlockByNumber':
+      return latestBlock();
+    case 'eth_getBalance':
+      return ethers.toQuantity(ethers.parseEther('1'));
+    case 'eth_getTransactionCount':
+      return ethers.toQuantity(chain.sent.length);
+    case 'eth_gasPrice':
+    case 'eth_maxPriorityFeePerGas':
+      return ethers.toQuantity(ethers.parseUnits('1', 'gwei'));
+    case 'eth_estimateGas':
+      return ethers.toQuantity(200000);
+    case 'eth_call': {
+      const nonce = nonceOf(params[0].data || params[0].input);
+      if (chain.usedNonces.has(nonce)) throw new Revert('Nonce already used');
+      return '0x';
+    }
+    case 'eth_sendRawTransaction': {
+      const tx = ethers.Transaction.from(params[0]);
+      chain.usedNonces.add(nonceOf(tx.data));
+      chain.sent.push(tx);
+      return tx.hash;
+    }
+    default:
+      throw Object.assign(new Error(`Method ${method} not supported`), { code: -32601 });
+  }
+};
+
+const answer = ({ id, ...call }) => {
+  try {
+    return { jsonrpc: '2.0', id, result: rpc(call) };
+  } catch (error) {
+    return { jsonrpc: '2.0', id, error: { code: error.code || 3, message: error.message, data: error.data } };
+  }
+};
+
+const node = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const tokens = {};
+let app;
+let seed = 1;
+// Alice's first relayed score, sent again later
+let relayed;
+
+// Same domain and type Game2048.submitScoreFor checks the player's signature against
+const SUBMISSION_DOMAIN = { name: 'Game2048', version: '1', chainId: CHAIN_ID, verifyingContract: CONTRACT_ADDRESS };
+const SUBMISSION_TYPES = {
+  ScoreSubmission: [
+    { name: 'player', type: 'address' },
+    { name: 'score', type: 'uint256' },
+    { name: 'playerName', type: 'string' },
+    { name: 'variant', type: 'string' },
+    { name: 'gameId', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// Verify a fresh game for `wallet` and build the relay request the frontend sends for it
+const verifiedSubmission = async (wallet, playerName = 'Alice') => {
+  const game = await playMoves({ seed: seed++, limit: 30 });
+  const { body: attestation } = await request(app)
+    .post('/api/games/verify')
+    .set('Authorization', `Bearer ${tokens[wallet.address]}`)
+    .send({ player: wallet.address, seed: seed - 1, moves: game.moves, score: game.score })
+    .expect(200);
+
+  const submission = {
+    player: wallet.address,
+    score: attestation.score,
+    playerName,
+    variant: attestation.variant,
+    gameId: attestation.gameId,
+    nonce: attestation.nonce
+  };
+  return {
+    ...submission,
+    expiry: attestation.expiry,
+    signature: attestation.signature,
+    playerSignature: await wallet.signTypedData(SUBMISSION_DOMAIN, SUBMISSION_TYPES, submission)
+  };
+};
+
+const relay = (body) => request(app).post('/api/relay/score').send(body);
+
+before(async () => {
+  const port = await listen(node);
+  ({ app } = loadServer({
+    RPC_URL: `http://127.0.0.1:${port}`,
+    RELAYER_PRIVATE_KEY: relayerWallet.privateKey,
+    RELAY_LIMIT: String(RELAY_LIMIT)
+  }));
+
+  for (const wallet of [alice, bob]) {
+    tokens[wallet.address] = await signIn(app, wallet);
+  }
+});
+
+after(() => node.close());
+
+test('the relayer shows up in the health check and the config', async () => {
+  const health = await request(app).get('/api/health').expect(200);
+  assert.deepEqual(health.body.relayer, {
+    enabled: true,
+    address: relayerWallet.address,
+    balance: '1.0',
+    minBalance: '0.01',
+    healthy: true
+  });
+
+  const config = await request(app).get('/api/config').expect(200);
+  assert.equal(config.body.relayer, true);
+});
+
+test('a verified score is sent to the contract with the player\'s signature', async () => {
+  const submission = await verifiedSubmission(alice);
+  const res = await relay(submission).expect(200);
+  relayed = submission;
+
+  const [tx] = chain.sent;
+  assert.equal(res.body.txHash, tx.hash);
+  assert.equal(tx.from, relayerWallet.address);
+  assert.equal(tx.to, CONTRACT_ADDRESS);
+  assert.equal(tx.chainId, BigInt(CHAIN_ID));
+
+  const call = game2048.parseTransaction({ data: tx.data });
+  assert.equal(call.name, 'submitScoreFor');
+  assert.deepEqual(
+    call.args.toArray().map(String),
+    ['player', 'score', 'playerName', 'variant', 'gameId', 'nonce', 'expiry', 'signature', 'playerSignature'].map(key => String(submission[key]))
+  );
+});
+
+test('submissions are checked against the verified game before anything is sent', async () => {
+  const submission = await verifiedSubmission(alice);
+  const sent = chain.sent.length;
+
+  const cases = [
+    [{ player: 'alice' }, 'Invalid player address'],
+    [{ playerName: ' ' }, 'Invalid player name'],
+    [{ playerName: 'x'.repeat(51) }, 'Invalid player name'],
+    [{ signature: '0x1234' }, 'Invalid signature'],
+    [{ playerSignature: undefined }, 'Invalid signature'],
+    [{ gameId: ethers.hexlify(ethers.randomBytes(32)) }, 'Unknown game'],
+    // Only the player the game was verified for can have it relayed
+    [{ player: bob.address }, 'Unknown game'],
+    [{ score: submission.score + 4 }, 'Submission does not match the verified game'],
+    [{ nonce: '1' }, 'Submission does not match the verified game'],
+    [{ variant: 'classic/5x5' }, 'Submission does not match the verified game'],
+    [{ expiry: Math.floor(Date.now() / 1000) - 1 }, 'Attestation expired']
+  ];
+
+  for (const [change, error] of cases) {
+    const res = await relay({ ...submission, ...change }).expect(400);
+    assert.equal(res.body.error, error, JSON.stringify(change));
+  }
+  assert.equal(chain.sent.length, sent);
+});
+
+test('a score already on-chain is reported as submitted, and each player has a relay limit', async () => {
+  // Sending it again comes back with the contract's reason, so the frontend can tell
+  // it went through earlier. That doesn't use up one of Alice's slots.
+  const resent = await relay(relayed).expect(400);
+  assert.equal(resent.body.error, 'Nonce already used');
+
+  await relay(await verifiedSubmission(alice)).expect(200);
+  assert.equal(chain.sent.length, RELAY_LIMIT);
+
+  const limited = await relay(await verifiedSubmission(alice)).expect(429);
+  assert.equal(limited.body.error, 'Too many relayed submissions, try again later');
+  assert.equal(chain.sent.length, RELAY_LIMIT);
+
+  // The limit is per player
+  await relay(await verifiedSubmission(bob, 'Bob')).expect(200);
+  assert.equal(chain.sent.length, RELAY_LIMIT + 1);
+});
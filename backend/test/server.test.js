@@ -0,0 +1,157 @@
+// backend/test/server.test.js
+// REST and socket routes against an in-memory store. No chain is involved: the
+// indexer is never started, and the contract's events are emitted on it directly,
+// decoded the way it would hand them over.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { io: connect } = require('socket.io-client');
+const { CONTRACT_ADDRESS, VERIFIER_PRIVATE_KEY, loadServer, listen, nextEvent } = require('./helpers');
+
+const { app, httpServer, io, indexer } = loadServer();
+const db = require('../db');
+
+const [alice, bob, carol, dave] = [1, 2, 3, 4].map(n => ethers.getAddress('0x' + String(n).repeat(40)));
+
+let blockNumber = 0;
+
+// One submitScore as the contract would log it: GamePlayed, NewHighScore when `name`
+// is given, then the batch the indexer emits for the block. Games are verified by
+// default, like those attested by /api/games/verify.
+const playGame = ({ player, score, name, variant = 'classic/4x4', verified = true }) => {
+  blockNumber++;
+  const log = {
+    player,
+    score,
+    variant,
+    timestamp: Math.floor(Date.now() / 1000),
+    blockNumber,
+    blockHash: ethers.id(`block ${blockNumber}`),
+    transactionHash: ethers.id(`tx ${blockNumber}`)
+  };
+
+  if (verified) {
+    db.saveVerifiedGame({
+      gameId: ethers.id(`game ${blockNumber}`),
+      player,
+      variant,
+      seed: blockNumber,
+      moves: 'LR',
+      score,
+      maxTile: 128,
+      moveCount: 2,
+      undoCount: 0,
+      milestones: '[]',
+      startedAt: null,
+      winTime: null,
+      nonce: String(blockNumber),
+      verifiedAt: Date.now()
+    });
+  }
+
+  const events = [{ ...log, name: 'GamePlayed', logIndex: 0 }];
+  if (name) events.push({ ...log, name: 'NewHighScore', playerName: name, logIndex: 1 });
+
+  for (const event of events) {
+    indexer.emit(event.name === 'GamePlayed' ? 'gamePlayed' : 'newHighScore', event, { live: true });
+  }
+  indexer.emit('batch', events, { fromBlock: blockNumber, toBlock: blockNumber, live: true });
+};
+
+let port;
+
+before(async () => {
+  port = await listen(httpServer);
+});
+
+after(() => {
+  io.close();
+});
+
+test('GET /api/health reports the contract, chain, relayer and indexer', async () => {
+  const res = await request(app).get('/api/health').expect(200);
+
+  assert.equal(res.body.status, 'ok');
+  assert.equal(res.body.contract, CONTRACT_ADDRESS);
+  assert.equal(res.body.network, 'test');
+  assert.equal(res.body.chainId, 31337);
+  assert.equal(res.body.verifier, new ethers.Wallet(VERIFIER_PRIVATE_KEY).address);
+  assert.deepEqual(res.body.relayer, { enabled: false });
+  assert.deepEqual(res.body.indexer, { synced: false, lastBlock: -1 });
+  assert.ok(!Number.isNaN(Date.parse(res.body.timestamp)));
+});
+
+test('GET /api/leaderboard is empty before any games', async () => {
+  const res = await request(app).get('/api/leaderboard').expect(200);
+
+  assert.deepEqual(res.body.entries, []);
+  assert.equal(res.body.total, 0);
+  assert.equal(res.body.nextOffset, null);
+  assert.equal(res.body.variant, 'classic/4x4');
+});
+
+test('GET /api/leaderboard rejects unknown sorts, windows, boards and variants', async () => {
+  for (const query of ['sort=bestTile', 'window=yearly', 'board=speed', 'variant=classic/9x9']) {
+    const res = await request(app).get(`/api/leaderboard?${query}`).expect(400);
+    assert.match(res.body.error, /Invalid|Unknown/);
+  }
+});
+
+test('socket clients get the leaderboard on connect and after every live batch', async () => {
+  const socket = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'] });
+  try {
+    assert.deepEqual(await nextEvent(socket, 'leaderboardUpdate'), []);
+
+    const update = nextEvent(socket, 'leaderboardUpdate');
+    const highScore = nextEvent(socket, 'newHighScore');
+    playGame({ player: alice, score: 1200, name: 'Alice' });
+
+    assert.deepEqual(await highScore, { player: alice, score: 1200, playerName: 'Alice' });
+    const entries = await update;
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].address, alice);
+    assert.equal(entries[0].name, 'Alice');
+    assert.equal(entries[0].highScore, 1200);
+  } finally {
+    socket.close();
+  }
+});
+
+test('GET /api/leaderboard ranks verified games by high score', async () => {
+  playGame({ player: bob, score: 3000, name: 'Bob' });
+  playGame({ player: bob, score: 500 });
+  playGame({ player: carol, score: 2000, name: 'Carol' });
+  // Scores the backend never verified stay off the board
+  playGame({ player: dave, score: 9000, name: 'Dave', verified: false });
+  // Other variants have boards of their own
+  playGame({ player: alice, score: 8000, variant: 'classic/5x5' });
+
+  const res = await request(app).get('/api/leaderboard').expect(200);
+
+  assert.equal(res.body.total, 3);
+  assert.deepEqual(res.body.entries.map(entry => [entry.name, entry.highScore]), [
+    ['Bob', 3000],
+    ['Carol', 2000],
+    ['Alice', 1200]
+  ]);
+  assert.deepEqual(
+    { gamesPlayed: res.body.entries[0].gamesPlayed, totalScore: res.body.entries[0].totalScore },
+    { gamesPlayed: 2, totalScore: 3500 }
+  );
+});
+
+test('GET /api/leaderboard pages, sorts and filters by variant', async () => {
+  const page = await request(app).get('/api/leaderboard?limit=2&offset=1').expect(200);
+  assert.deepEqual(page.body.entries.map(entry => entry.address), [carol, alice]);
+  assert.equal(page.body.nextOffset, null);
+
+  const first = await request(app).get('/api/leaderboard?limit=1').expect(200);
+  assert.equal(first.body.nextOffset, 1);
+
+  const byGames = await request(app).get('/api/leaderboard?sort=gamesPlayed').expect(200);
+  assert.equal(byGames.body.entries[0].address, bob);
+
+  const bigBoard = await request(app).get('/api/leaderboard?variant=classic/5x5').expect(200);
+  assert.deepEqual(bigBoard.body.entries.map(entry => [entry.address, entry.highScore]), [[alice, 8000]]);
+});
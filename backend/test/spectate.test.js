@@ -0,0 +1,119 @@
+// backend/test/spectate.test.js
+// Live streams over Socket.IO: only the streamer can resume a stream after a
+// reconnect, and viewers only get the slide details that fit the board
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { listen, nextEvent } = require('./helpers');
+const { createSpectate } = require('../spectate');
+
+const httpServer = http.createServer();
+const io = new Server(httpServer);
+const spectate = createSpectate({ io });
+io.on('connection', socket => spectate.attach(socket));
+
+let port;
+const sockets = [];
+
+const client = () => {
+  const socket = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'] });
+  sockets.push(socket);
+  return socket;
+};
+
+const frame = (streamId, extra = {}) => ({
+  streamId,
+  name: 'Alice',
+  variant: 'classic/4x4',
+  grid: [2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2],
+  score: 0,
+  over: false,
+  ...extra
+});
+
+before(async () => {
+  port = await listen(httpServer);
+});
+
+// Streams that just drop off wait out the reconnect grace period, so end them first
+after(async () => {
+  for (const socket of sockets.filter(socket => socket.connected)) {
+    await socket.emitWithAck('live:stop', {});
+    socket.close();
+  }
+  io.close();
+});
+
+test('only the streamer can take a stream back after a reconnect', async () => {
+  const streamer = client();
+  const started = await streamer.emitWithAck('live:update', frame('stream-1'));
+  assert.equal(started.live, true);
+  assert.match(started.token, /^[0-9a-f]{32}$/);
+
+  // Later frames of a running stream don't hand the token out again
+  const next = await streamer.emitWithAck('live:update', frame('stream-1', { score: 4 }));
+  assert.equal(next.token, undefined);
+
+  const intruder = client();
+  assert.deepEqual(
+    await intruder.emitWithAck('live:update', frame('stream-1', { token: started.token })),
+    { error: 'Stream is already live' }
+  );
+
+  const viewer = client();
+  await viewer.emitWithAck('live:watch', { streamId: 'stream-1' });
+  const dropped = nextEvent(viewer, 'live:frame');
+  streamer.disconnect();
+  assert.equal((await dropped).stream.connected, false);
+
+  // During the reconnect grace period the public id alone is not enough
+  for (const token of [undefined, 'f'.repeat(32)]) {
+    assert.deepEqual(
+      await intruder.emitWithAck('live:update', frame('stream-1', { token, name: 'Mallory' })),
+      { error: 'Stream belongs to another player' }
+    );
+  }
+
+  const back = client();
+  const resumed = nextEvent(viewer, 'live:frame');
+  assert.deepEqual(await back.emitWithAck('live:update', frame('stream-1', { token: started.token, score: 8 })), { live: true, viewers: 1 });
+  const { stream } = await resumed;
+  assert.equal(stream.name, 'Alice');
+  assert.equal(stream.score, 8);
+  assert.equal(stream.connected, true);
+});
+
+test('frames carry only slide details that fit the board', async () => {
+  const streamer = client();
+  const viewer = client();
+  await streamer.emitWithAck('live:update', frame('stream-2'));
+  await viewer.emitWithAck('live:watch', { streamId: 'stream-2' });
+
+  const result = {
+    moves: [{ from: 15, to: 12, value: 2, note: 'extra' }],
+    merges: [{ index: 0, value: 4, from: [0, 3], html: '<b>' }],
+    spawned: { index: 5, value: 2, extra: true },
+    debug: 'dropped'
+  };
+  const animated = nextEvent(viewer, 'live:frame');
+  await streamer.emitWithAck('live:update', frame('stream-2', { result }));
+  assert.deepEqual((await animated).result, {
+    moves: [{ from: 15, to: 12, value: 2 }],
+    merges: [{ index: 0, value: 4, from: [0, 3] }],
+    spawned: { index: 5, value: 2 }
+  });
+
+  const invalid = [
+    { moves: 'all', merges: [], spawned: null },
+    { moves: [{ from: 16, to: 0, value: 2 }], merges: [], spawned: null },
+    { moves: [], merges: [{ index: 0, value: 4, from: [0] }], spawned: null },
+    { moves: [], merges: [], spawned: { index: -1, value: 2 } }
+  ];
+  for (const bad of invalid) {
+    const redrawn = nextEvent(viewer, 'live:frame');
+    assert.equal((await streamer.emitWithAck('live:update', frame('stream-2', { result: bad }))).live, true);
+    assert.equal((await redrawn).result, null);
+  }
+});
@@ -0,0 +1,252 @@
+// backend/test/tournaments.test.js
+// Tournaments: pairing and scoring on their own, then a bracket run through its
+// schedule on a mocked clock, from registration to the results committed on-chain
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { loadServer, signIn, playMoves } = require('./helpers');
+
+const admin = ethers.Wallet.createRandom();
+const { app } = loadServer({ TOURNAMENT_ADMINS: admin.address });
+const {
+  decideMatch,
+  computeStandings,
+  pairSwiss,
+  pairBracket,
+  getRoundSeed,
+  createTournamentScheduler
+} = require('../tournaments');
+
+const MINUTE = 60 * 1000;
+const ROUND_DURATION = 5 * MINUTE;
+
+// Registered in this order, so the first round pairs them the same way
+const players = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+const [p1, p2, p3] = players;
+const outsider = ethers.Wallet.createRandom();
+const tokens = {};
+
+const auth = (wallet) => ({ Authorization: `Bearer ${tokens[wallet.address]}` });
+
+// Stands in for the Game2048 contract the scheduler commits results to
+const commits = [];
+const contract = {
+  commitTournamentResults: async (...args) => {
+    commits.push(args);
+    return { hash: '0x' + 'ab'.repeat(32), wait: async () => {} };
+  }
+};
+const scheduler = createTournamentScheduler({ io: { emit: () => {} }, contract });
+
+// The clock the server and the scheduler see; tests move it forward by hand
+let now;
+
+before(async () => {
+  for (const wallet of [admin, ...players, outsider]) {
+    tokens[wallet.address] = await signIn(app, wallet);
+  }
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+});
+
+after(() => mock.restoreAll());
+
+const row = (address, extra = {}) => ({ address, name: address, registeredAt: 0, ...extra });
+
+test('brackets pair neighbours, give the odd one out a bye and go on with the winners', () => {
+  const entries = ['a', 'b', 'c', 'd', 'e'].map((address, i) => row(address, { registeredAt: i }));
+
+  assert.deepEqual(pairBracket(entries, [], 1), [['a', 'b'], ['c', 'd'], ['e', null]]);
+
+  const firstRound = [
+    { round: 1, position: 0, playerA: 'a', playerB: 'b', winner: 'b' },
+    { round: 1, position: 1, playerA: 'c', playerB: 'd', winner: 'c' },
+    { round: 1, position: 2, playerA: 'e', playerB: null, winner: 'e' }
+  ];
+  assert.deepEqual(pairBracket(entries, firstRound, 2), [['b', 'c'], ['e', null]]);
+});
+
+test('swiss pairs down the standings, avoiding rematches and second byes', () => {
+  assert.deepEqual(pairSwiss([row('a'), row('b'), row('c')], []), [['a', 'b'], ['c', null]]);
+
+  // c already had its bye, so the lowest ranked player without one sits out
+  const played = [
+    { round: 1, playerA: 'a', playerB: 'b' },
+    { round: 1, playerA: 'c', playerB: null }
+  ];
+  assert.deepEqual(pairSwiss([row('a'), row('c'), row('b')], played), [['a', 'c'], ['b', null]]);
+
+  const rematches = [
+    { round: 1, playerA: 'a', playerB: 'b' },
+    { round: 1, playerA: 'c', playerB: 'd' }
+  ];
+  assert.deepEqual(pairSwiss([row('a'), row('b'), row('c'), row('d')], rematches), [['a', 'c'], ['b', 'd']]);
+});
+
+test('matches are decided on score, and brackets always get a winner', () => {
+  const match = { playerA: 'a', playerB: 'b' };
+  const scores = (a, b) => new Map([a && ['a', a], b && ['b', b]].filter(Boolean));
+
+  assert.deepEqual(decideMatch('bracket', { playerA: 'a', playerB: null }, scores()), { scoreA: null, scoreB: null, winner: 'a' });
+  assert.deepEqual(
+    decideMatch('swiss', match, scores({ score: 100, verifiedAt: 2 }, { score: 200, verifiedAt: 1 })),
+    { scoreA: 100, scoreB: 200, winner: 'b' }
+  );
+  assert.deepEqual(decideMatch('swiss', match, scores(null, { score: 50, verifiedAt: 1 })), { scoreA: 0, scoreB: 50, winner: 'b' });
+
+  // Equal scores: a draw in Swiss, the game verified first in a bracket
+  const tied = scores({ score: 100, verifiedAt: 2 }, { score: 100, verifiedAt: 1 });
+  assert.equal(decideMatch('swiss', match, tied).winner, null);
+  assert.equal(decideMatch('bracket', match, tied).winner, 'b');
+  // Neither turned up: the higher seed goes through
+  assert.equal(decideMatch('bracket', match, scores()).winner, 'a');
+});
+
+test('standings count points, draws and byes, and rank brackets by how far players got', () => {
+  const entries = [row('a', { registeredAt: 1 }), row('b', { registeredAt: 2 }), row('c', { registeredAt: 3 })];
+  const matches = [
+    { round: 1, playerA: 'a', playerB: 'b', scoreA: 100, scoreB: 100, winner: null, scored: true },
+    { round: 1, playerA: 'c', playerB: null, scoreA: null, scoreB: null, winner: 'c', scored: true },
+    { round: 2, playerA: 'c', playerB: 'a', scoreA: 300, scoreB: 200, winner: 'c', scored: true },
+    { round: 3, playerA: 'b', playerB: 'c', scoreA: null, scoreB: null, winner: null, scored: false }
+  ];
+
+  const swiss = computeStandings({ format: 'swiss' }, entries, matches);
+  assert.deepEqual(swiss.map(r => [r.rank, r.address, r.points, r.wins, r.draws, r.losses, r.byes, r.totalScore]), [
+    [1, 'c', 2, 1, 0, 0, 1, 300],
+    [2, 'a', 0.5, 0, 1, 1, 0, 300],
+    [3, 'b', 0.5, 0, 1, 0, 0, 100]
+  ]);
+
+  const bracket = computeStandings({ format: 'bracket' }, entries, matches.slice(1, 3));
+  assert.deepEqual(bracket.map(r => [r.address, r.eliminatedIn]), [['c', null], ['b', null], ['a', 2]]);
+});
+
+test('a bracket runs on its schedule from registration to the committed results', async () => {
+  const startsAt = now + MINUTE;
+  const settings = { name: 'Friday Cup', format: 'bracket', rules: 'classic/4x4', roundDuration: ROUND_DURATION, startsAt, commitResults: true };
+
+  await request(app).post('/api/tournaments').send(settings).expect(401);
+  const refused = await request(app).post('/api/tournaments').set(auth(p1)).send(settings).expect(403);
+  assert.equal(refused.body.error, 'Only tournament admins can do this');
+
+  const created = await request(app).post('/api/tournaments').set(auth(admin)).send(settings).expect(200);
+  const { id } = created.body;
+  assert.equal(created.body.status, 'registration');
+  assert.equal(created.body.registrationOpen, true);
+
+  for (const [i, wallet] of players.entries()) {
+    now++;
+    await request(app).post(`/api/tournaments/${id}/register`).set(auth(wallet)).send({ name: `Player ${i + 1}` }).expect(200);
+  }
+  await request(app).post(`/api/tournaments/${id}/register`).set(auth(p1)).send({ name: 'Again' }).expect(409);
+
+  const details = () => request(app).get(`/api/tournaments/${id}`).expect(200).then(res => res.body);
+  const play = (wallet) => request(app).post(`/api/tournaments/${id}/play`).set(auth(wallet));
+  const verify = (wallet, round, body) => {
+    return request(app)
+      .post('/api/games/verify')
+      .set(auth(wallet))
+      .send({ player: wallet.address, tournament: { id, round }, ...body });
+  };
+
+  // Registration closes at the start, when the first round is paired
+  now = startsAt;
+  await request(app).post(`/api/tournaments/${id}/register`).set(auth(outsider)).send({ name: 'Late' }).expect(400);
+  await scheduler.tick();
+
+  let tournament = await details();
+  assert.equal(tournament.status, 'running');
+  assert.equal(tournament.currentRound, 1);
+  assert.equal(tournament.roundCount, 2);
+  assert.deepEqual(tournament.rounds[0].matches.map(m => [m.playerA, m.playerB]), [[p1.address, p2.address], [p3.address, null]]);
+
+  // Round 1: only the paired players get the seed, and each plays one game with it
+  now = startsAt + 1000;
+  const seed = getRoundSeed(id, 1);
+  const round = await play(p1).expect(200);
+  assert.equal(round.body.seed, seed);
+  assert.equal(round.body.variant, `tournament/${id}/1`);
+  assert.equal(round.body.alreadyPlayed, false);
+
+  for (const wallet of [p3, outsider]) {
+    const res = await play(wallet).expect(403);
+    assert.equal(res.body.error, 'You are not playing in this round');
+  }
+
+  const winning = await playMoves({ seed, limit: 60 });
+  const losing = await playMoves({ seed, limit: 10 });
+  assert.ok(winning.score > losing.score);
+
+  const verified = await verify(p1, 1, { seed, moves: winning.moves, score: winning.score }).expect(200);
+  assert.equal(verified.body.variant, `tournament/${id}/1`);
+  assert.equal((await play(p1).expect(200)).body.alreadyPlayed, true);
+
+  const second = await verify(p1, 1, { seed, moves: losing.moves, score: losing.score }).expect(400);
+  assert.equal(second.body.error, 'You already submitted a game for this round');
+
+  const bye = await verify(p3, 1, { seed, moves: losing.moves, score: losing.score }).expect(400);
+  assert.equal(bye.body.error, 'You are not playing in this round');
+
+  const other = await playMoves({ seed: 7, limit: 10 });
+  const wrongSeed = await verify(p2, 1, { seed: 7, moves: other.moves, score: other.score }).expect(400);
+  assert.equal(wrongSeed.body.error, 'Seed does not match the tournament round');
+
+  await verify(p2, 1, { seed, moves: losing.moves, score: losing.score }).expect(200);
+
+  // Games can still come in during the grace period; the round is scored after it
+  now = startsAt + ROUND_DURATION + 2 * MINUTE - 1;
+  await scheduler.tick();
+  assert.equal((await details()).currentRound, 1);
+
+  now = startsAt + ROUND_DURATION + 2 * MINUTE;
+  await scheduler.tick();
+
+  tournament = await details();
+  assert.equal(tournament.currentRound, 2);
+  assert.deepEqual(tournament.rounds[0].matches.map(m => [m.scoreA, m.scoreB, m.winner, m.scored]), [
+    [winning.score, losing.score, p1.address, true],
+    [null, null, p3.address, true]
+  ]);
+  assert.deepEqual(tournament.rounds[1].matches.map(m => [m.playerA, m.playerB]), [[p1.address, p3.address]]);
+
+  const late = await verify(p1, 1, { seed, moves: winning.moves, score: winning.score }).expect(400);
+  assert.equal(late.body.error, 'This tournament round is not open');
+
+  // Round 2 starts after the break; the eliminated player is out
+  const { startsAt: secondStart, endsAt: secondEnd } = tournament.rounds[1];
+  assert.equal(secondStart, startsAt + ROUND_DURATION + 5 * MINUTE);
+
+  now = secondStart - 1;
+  await play(p3).expect(400);
+
+  now = secondStart + 1000;
+  assert.equal((await play(p2).expect(403)).body.error, 'You are not playing in this round');
+  const finalSeed = (await play(p3).expect(200)).body.seed;
+  assert.equal(finalSeed, getRoundSeed(id, 2));
+  assert.notEqual(finalSeed, seed);
+
+  const final = await playMoves({ seed: finalSeed, limit: 30 });
+  await verify(p3, 2, { seed: finalSeed, moves: final.moves, score: final.score }).expect(200);
+
+  // The last round finishes the tournament, and the standings go on-chain
+  now = secondEnd + 2 * MINUTE;
+  await scheduler.tick();
+
+  tournament = await details();
+  assert.equal(tournament.status, 'finished');
+  assert.deepEqual(tournament.standings.map(r => [r.address, r.eliminatedIn, r.totalScore]), [
+    [p3.address, null, final.score],
+    [p1.address, 2, winning.score],
+    [p2.address, 1, losing.score]
+  ]);
+
+  assert.deepEqual(commits, [[id, [p3.address, p1.address, p2.address], [final.score, winning.score, losing.score]]]);
+  assert.equal(tournament.resultsTx, '0x' + 'ab'.repeat(32));
+
+  // Committed results are not sent again
+  now += 10 * MINUTE;
+  await scheduler.tick();
+  assert.equal(commits.length, 1);
+});
@@ -0,0 +1,72 @@
+// backend/test/undo.test.js
+// The 'separate' undo policy: games that used undo are attested under a variant
+// of their own, so they are ranked apart from the others here and on-chain
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { loadServer, signIn, playMoves } = require('./helpers');
+
+const { app, indexer } = loadServer({ UNDO_POLICY: 'separate' });
+
+const alice = ethers.Wallet.createRandom();
+let token;
+let game;
+
+const verify = (body) => {
+  return request(app)
+    .post('/api/games/verify')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ player: alice.address, seed: 11, ...body });
+};
+
+// The verified game as the contract would log its submission
+const submit = ({ score, variant }, blockNumber) => {
+  const event = {
+    name: 'GamePlayed',
+    player: alice.address,
+    score,
+    variant,
+    timestamp: Math.floor(Date.now() / 1000),
+    blockNumber,
+    blockHash: ethers.id(`block ${blockNumber}`),
+    transactionHash: ethers.id(`tx ${blockNumber}`),
+    logIndex: 0
+  };
+  indexer.emit('gamePlayed', event, { live: true });
+  indexer.emit('batch', [event], { fromBlock: blockNumber, toBlock: blockNumber, live: true });
+};
+
+before(async () => {
+  token = await signIn(app, alice);
+  game = await playMoves({ seed: 11, limit: 40 });
+});
+
+test('games that used undo are attested under the undo variant at full score', async () => {
+  // Take the last move back and play it again: same board, one undo
+  const moves = game.moves + 'Z' + game.moves.slice(-1);
+  const res = await verify({ moves, score: game.score }).expect(200);
+
+  assert.equal(res.body.variant, 'classic/4x4+undo');
+  assert.equal(res.body.score, game.score);
+
+  // Recordings still carry the rules the game was played with
+  const recording = await request(app).get(`/api/games/${res.body.gameId}/recording`).expect(200);
+  assert.equal(recording.body.variant, 'classic/4x4');
+  assert.equal(recording.body.score, game.score);
+});
+
+test('games without undo keep their variant', async () => {
+  const res = await verify({ moves: game.moves, score: game.score }).expect(200);
+  assert.equal(res.body.variant, 'classic/4x4');
+});
+
+test('the undo board ranks the games submitted under the undo variant', async () => {
+  submit({ score: game.score, variant: 'classic/4x4+undo' }, 1);
+
+  const undoBoard = await request(app).get('/api/leaderboard?board=undo').expect(200);
+  assert.deepEqual(undoBoard.body.entries.map(entry => [entry.address, entry.highScore]), [[alice.address, game.score]]);
+
+  const classic = await request(app).get('/api/leaderboard').expect(200);
+  assert.deepEqual(classic.body.entries, []);
+});
@@ -0,0 +1,141 @@
+// backend/test/verify.test.js
+// POST /api/games/verify: move logs are replayed and only genuine games get an attestation
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const request = require('supertest');
+const { CONTRACT_ADDRESS, VERIFIER_PRIVATE_KEY, loadServer, signIn, playMoves } = require('./helpers');
+const { loadShared } = require('../shared');
+
+const { app } = loadServer();
+
+// Must match the domain and type Game2048.submitScore checks
+const ATTESTATION_DOMAIN = { name: 'Game2048', version: '1', chainId: 31337, verifyingContract: CONTRACT_ADDRESS };
+const ATTESTATION_TYPES = {
+  ScoreAttestation: [
+    { name: 'player', type: 'address' },
+    { name: 'score', type: 'uint256' },
+    { name: 'variant', type: 'string' },
+    { name: 'gameId', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+let aliceToken;
+let game;
+
+const verify = (body, token = aliceToken) => {
+  return request(app)
+    .post('/api/games/verify')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ player: alice.address, ...body });
+};
+
+// Signer of an attestation as the contract would recover it
+const recoverSigner = ({ player, score, variant, gameId, nonce, expiry, signature }) => {
+  return ethers.verifyTypedData(ATTESTATION_DOMAIN, ATTESTATION_TYPES, { player, score, variant, gameId, nonce, expiry }, signature);
+};
+
+before(async () => {
+  aliceToken = await signIn(app, alice);
+  game = await playMoves({ seed: 7, limit: 60 });
+});
+
+test('a genuine move log gets an attestation signed by the verifier', async () => {
+  const res = await verify({ seed: 7, moves: game.moves, score: game.score }).expect(200);
+  const attestation = res.body;
+
+  assert.equal(attestation.player, alice.address);
+  assert.equal(attestation.score, game.score);
+  assert.equal(attestation.variant, 'classic/4x4');
+  assert.match(attestation.gameId, /^0x[0-9a-f]{64}$/);
+  assert.ok(attestation.expiry > Date.now() / 1000);
+  assert.ok(Array.isArray(attestation.achievements));
+
+  const verifier = new ethers.Wallet(VERIFIER_PRIVATE_KEY).address;
+  assert.equal(attestation.verifier, verifier);
+  assert.equal(recoverSigner(attestation), verifier);
+});
+
+test('verifying the same log again hands out the same game id and nonce', async () => {
+  const first = await verify({ seed: 7, moves: game.moves, score: game.score }).expect(200);
+  const again = await verify({ seed: 7, moves: game.moves, score: game.score }).expect(200);
+
+  assert.equal(again.body.gameId, first.body.gameId);
+  assert.equal(again.body.nonce, first.body.nonce);
+
+  // A different game gets an id and nonce of its own
+  const shorter = await playMoves({ seed: 7, limit: 30 });
+  const other = await verify({ seed: 7, moves: shorter.moves, score: shorter.score }).expect(200);
+  assert.notEqual(other.body.gameId, first.body.gameId);
+  assert.notEqual(other.body.nonce, first.body.nonce);
+
+  // A re-signed attestation keeps the nonce, so it can't be used to submit twice
+  const resigned = await request(app)
+    .post(`/api/games/${first.body.gameId}/attestation`)
+    .send({ player: alice.address })
+    .expect(200);
+  assert.equal(resigned.body.nonce, first.body.nonce);
+  assert.equal(recoverSigner(resigned.body), resigned.body.verifier);
+});
+
+test('a claimed score the replay does not give is rejected', async () => {
+  const res = await verify({ seed: 7, moves: game.moves, score: game.score + 4 }).expect(400);
+  assert.equal(res.body.error, `Score mismatch: claimed ${game.score + 4}, replay gives ${game.score}`);
+});
+
+test('impossible moves and unknown move codes are rejected', async () => {
+  // Replay the log up to the first position where some direction would not change the board
+  const { createRng, createGame, applyMove, decodeMoves, encodeMoves, DIRECTIONS } = await loadShared();
+  const rng = createRng(7);
+  let state = createGame({ rng });
+  const played = [];
+  let stuck;
+  for (const direction of decodeMoves(game.moves)) {
+    stuck = DIRECTIONS.find(candidate => !applyMove(state, candidate, () => 0).moved);
+    if (stuck) break;
+    state = applyMove(state, direction, rng).state;
+    played.push(direction);
+  }
+  assert.ok(stuck, 'the log should reach a board where some move is blocked');
+
+  const impossible = await verify({ seed: 7, moves: encodeMoves([...played, stuck]), score: state.score }).expect(400);
+  assert.equal(impossible.body.error, `Impossible game: Move ${played.length} (${stuck}) does not change the board`);
+
+  const unknown = await verify({ seed: 7, moves: game.moves + 'X', score: game.score }).expect(400);
+  assert.equal(unknown.body.error, `Impossible game: Invalid move code "X" at position ${game.moves.length}`);
+
+  const undo = await verify({ seed: 7, moves: 'Z', score: 4 }).expect(400);
+  assert.equal(undo.body.error, 'Impossible game: Undo at move 0 has no move to take back');
+});
+
+test('unknown variants are rejected', async () => {
+  const res = await verify({ seed: 7, moves: game.moves, score: game.score, variant: 'classic/9x9' }).expect(400);
+  assert.equal(res.body.error, 'Unknown variant "classic/9x9"');
+
+  // Win tiles outside the variant's choices, or spelling out its default, are unknown too
+  for (const variant of ['classic/4x4/1000', 'classic/4x4/2048']) {
+    const winTile = await verify({ seed: 7, moves: game.moves, score: game.score, variant }).expect(400);
+    assert.equal(winTile.body.error, `Unknown variant "${variant}"`);
+  }
+});
+
+test('games played to another win tile are attested under a variant of their own', async () => {
+  const res = await verify({ seed: 7, moves: game.moves, score: game.score, variant: 'classic/4x4/256' }).expect(200);
+  assert.equal(res.body.variant, 'classic/4x4/256');
+  assert.equal(recoverSigner(res.body), res.body.verifier);
+});
+
+test('players can only verify their own games, and only when signed in', async () => {
+  const bobToken = await signIn(app, bob);
+  const res = await verify({ seed: 7, moves: game.moves, score: game.score }, bobToken).expect(403);
+  assert.equal(res.body.error, 'You can only verify your own games');
+
+  await request(app)
+    .post('/api/games/verify')
+    .send({ player: alice.address, seed: 7, moves: game.moves, score: game.score })
+    .expect(401);
+});
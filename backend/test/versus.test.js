@@ -0,0 +1,165 @@
+// backend/test/versus.test.js
+// Versus matches over Socket.IO, on a server of their own with short timings:
+// match-making, moves applied by the server only, and the declared result
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { listen, nextEvent } = require('./helpers');
+const { loadShared } = require('../shared');
+const { createVersus } = require('../versus');
+
+const LOBBY_WAIT = 50;
+const COUNTDOWN = 100;
+const DURATION = 600;
+
+const httpServer = http.createServer();
+const io = new Server(httpServer);
+const versus = createVersus({ io, duration: DURATION, lobbyWait: LOBBY_WAIT, countdown: COUNTDOWN });
+io.on('connection', socket => versus.attach(socket));
+
+let port;
+const sockets = [];
+
+const player = () => {
+  const socket = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'] });
+  sockets.push(socket);
+  return socket;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queue the players and resolve with the match each of them is told about
+const matchUp = async (players, options = {}) => {
+  const matched = Promise.all(players.map(socket => nextEvent(socket, 'versus:matched')));
+  for (const [i, socket] of players.entries()) {
+    await socket.emitWithAck('versus:join', { name: `Player ${i + 1}`, ...options });
+  }
+  return matched;
+};
+
+before(async () => {
+  port = await listen(httpServer);
+});
+
+after(() => {
+  for (const socket of sockets) socket.close();
+  io.close();
+});
+
+test('waiting players are matched on the same seeded board', async () => {
+  const [alice, bob] = [player(), player()];
+  const queued = await alice.emitWithAck('versus:join', { name: 'Alice' });
+  assert.deepEqual(queued, { queued: true, waiting: 1 });
+
+  const matched = Promise.all([nextEvent(alice, 'versus:matched'), nextEvent(bob, 'versus:matched')]);
+  assert.deepEqual(await bob.emitWithAck('versus:join', { name: 'Bob' }), { queued: true, waiting: 2 });
+  const [match, bobsMatch] = await matched;
+
+  assert.deepEqual(bobsMatch, match);
+  assert.equal(match.rules, 'classic/4x4');
+  assert.equal(match.attacks, false);
+  assert.equal(match.endsAt - match.startsAt, DURATION);
+  assert.deepEqual(match.players.map(p => [p.id, p.name, p.score]), [[alice.id, 'Alice', 0], [bob.id, 'Bob', 0]]);
+
+  // Everyone starts from the board the seed gives
+  const { createGame, createRng } = await loadShared();
+  const board = createGame({ rng: createRng(match.seed) }).grid;
+  for (const p of match.players) assert.deepEqual(p.grid, board);
+
+  assert.deepEqual(await alice.emitWithAck('versus:join', { name: 'Alice' }), { error: 'Already in a match' });
+  await nextEvent(alice, 'versus:end');
+});
+
+test('matches with and without attacks are queued apart', async () => {
+  const [alice, bob] = [player(), player()];
+  await alice.emitWithAck('versus:join', { name: 'Alice', attacks: true });
+  await bob.emitWithAck('versus:join', { name: 'Bob' });
+  await wait(LOBBY_WAIT * 3);
+
+  assert.deepEqual(versus.getStatus(), { rooms: 0, waiting: 2 });
+
+  await alice.emitWithAck('versus:leave', {});
+  await bob.emitWithAck('versus:leave', {});
+  assert.deepEqual(versus.getStatus(), { rooms: 0, waiting: 0 });
+});
+
+test('the server applies every move itself and only once the match runs', async () => {
+  const [alice, bob] = [player(), player()];
+  const [match] = await matchUp([alice, bob]);
+  const { roomId } = match;
+
+  assert.deepEqual(await alice.emitWithAck('versus:move', { roomId, direction: 'left' }), { error: 'Match is not running' });
+  await wait(match.startsAt - Date.now() + 10);
+
+  assert.deepEqual(await alice.emitWithAck('versus:move', { roomId, direction: 'sideways' }), { error: 'Invalid direction' });
+  assert.deepEqual(await alice.emitWithAck('versus:move', { roomId: 'elsewhere', direction: 'left' }), { error: 'Not in this match' });
+
+  // The board follows the seed, whatever score or grid the client claims
+  const { createGame, createRng, applyMove, DIRECTIONS } = await loadShared();
+  const rng = createRng(match.seed);
+  const game = createGame({ rng });
+  const direction = DIRECTIONS.find(candidate => applyMove(game, candidate, () => 0).moved);
+  const expected = applyMove(game, direction, rng).state;
+
+  const update = nextEvent(bob, 'versus:update');
+  const ack = await alice.emitWithAck('versus:move', { roomId, direction, score: 99999, grid: Array(16).fill(2048) });
+  assert.deepEqual(ack, { moved: true });
+
+  const { player: moved, result } = await update;
+  assert.equal(moved.id, alice.id);
+  assert.deepEqual(moved.grid, expected.grid);
+  assert.equal(moved.score, expected.score);
+  assert.ok(Array.isArray(result.moves));
+
+  await nextEvent(alice, 'versus:end');
+});
+
+test('the top score wins when the clock runs out, and leaving forfeits', async () => {
+  const [alice, bob, carol] = [player(), player(), player()];
+  const [match] = await matchUp([alice, bob, carol]);
+  const { roomId } = match;
+  await wait(match.startsAt - Date.now() + 10);
+
+  // Alice plays until she scores, Bob never moves, Carol leaves
+  const { DIRECTIONS } = await loadShared();
+  let score = 0;
+  for (let i = 0; score === 0 && i < 50; i++) {
+    const direction = DIRECTIONS[i % DIRECTIONS.length];
+    const update = nextEvent(bob, 'versus:update');
+    const { moved } = await alice.emitWithAck('versus:move', { roomId, direction });
+    if (moved) score = (await update).player.score;
+  }
+  assert.ok(score > 0);
+
+  const left = nextEvent(bob, 'versus:update');
+  await carol.emitWithAck('versus:leave', {});
+  assert.equal((await left).player.left, true);
+
+  const end = await nextEvent(bob, 'versus:end');
+  assert.equal(end.roomId, roomId);
+  assert.deepEqual(end.results.map(r => [r.id, r.score, r.left]), [
+    [alice.id, score, false],
+    [bob.id, 0, false],
+    [carol.id, 0, true]
+  ]);
+  assert.deepEqual(end.winners, [alice.id]);
+
+  assert.deepEqual(await alice.emitWithAck('versus:move', { roomId, direction: 'left' }), { error: 'Not in this match' });
+  assert.deepEqual(versus.getStatus(), { rooms: 0, waiting: 0 });
+});
+
+test('a match where everyone else left goes to whoever stayed', async () => {
+  const [alice, bob] = [player(), player()];
+  const [match] = await matchUp([alice, bob]);
+  await wait(match.startsAt - Date.now() + 10);
+
+  const end = nextEvent(bob, 'versus:end');
+  const aliceId = alice.id;
+  alice.close();
+  const { results, winners } = await end;
+
+  assert.deepEqual(winners, [bob.id]);
+  assert.equal(results.find(r => r.id === aliceId).left, true);
+});
@@ -0,0 +1,29 @@
+// backend/time.js
+// Calendar periods are UTC so every player sees the same daily/weekly/monthly boundaries
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LEADERBOARD_WINDOWS = ['all', 'daily', 'weekly', 'monthly'];
+
+const startOfUtcDay = (date) => {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Start of the current window as a unix timestamp in seconds (0 for all-time)
+function getWindowStart(window, now = new Date()) {
+  switch (window) {
+    case 'daily':
+      return startOfUtcDay(now) / 1000;
+    case 'weekly': {
+      // Weeks start on Monday
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      return (startOfUtcDay(now) - daysSinceMonday * DAY) / 1000;
+    }
+    case 'monthly':
+      return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) / 1000;
+    default:
+      return 0;
+  }
+}
+
+module.exports = { LEADERBOARD_WINDOWS, getWindowStart, startOfUtcDay };
@@ -0,0 +1,426 @@
+// backend/tournaments.js
+// Tournaments: players register with their wallet, then play a series of
+// scheduled rounds. Everyone in a round gets the same seed and plays one
+// verified game, attested under the variant "tournament/<id>/<round>"; pairs
+// are decided on those scores. Formats are Swiss (everyone plays every round,
+// paired by points) and single-elimination brackets.
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('./db');
+
+const FORMATS = ['swiss', 'bracket'];
+const MAX_SWISS_ROUNDS = 10;
+const MIN_ROUND_DURATION = 5 * 60 * 1000; // ms
+const MAX_ROUND_DURATION = 7 * 24 * 60 * 60 * 1000; // ms
+const MAX_NAME_LENGTH = 60;
+
+// A game started just before a round ends can still be verified for a while after;
+// the round is scored once this has passed, and the next one starts after the break
+const ROUND_GRACE = 2 * 60 * 1000; // ms
+const ROUND_BREAK = 5 * 60 * 1000; // ms
+const TICK_INTERVAL = 15 * 1000; // ms
+// Wait between attempts to commit results on-chain
+const COMMIT_RETRY = 5 * 60 * 1000; // ms
+
+// Seeds are keyed by a secret so upcoming rounds can't be played in advance
+const TOURNAMENT_SECRET = process.env.TOURNAMENT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.TOURNAMENT_SECRET) {
+  console.warn('TOURNAMENT_SECRET not set, tournament round seeds will change when the server restarts');
+}
+
+// Wallets allowed to create tournaments
+const ADMINS = (process.env.TOURNAMENT_ADMINS || '')
+  .split(',')
+  .map(address => address.trim())
+  .filter(address => ethers.isAddress(address))
+  .map(address => ethers.getAddress(address));
+
+const isAdmin = (player) => ADMINS.includes(player);
+
+const tournamentKey = (id, round) => `tournament/${id}/${round}`;
+
+// "tournament/3/2" -> { id: 3, round: 2 }, or null
+const parseTournamentKey = (key) => {
+  const match = /^tournament\/(\d+)\/(\d+)$/.exec(String(key));
+  return match ? { id: Number(match[1]), round: Number(match[2]) } : null;
+};
+
+const getRoundSeed = (id, round) => {
+  return crypto.createHmac('sha256', TOURNAMENT_SECRET).update(`${id}/${round}`).digest('hex').slice(0, 16);
+};
+
+// Rounds run back to back, with a break between them for scoring
+const getRoundTimes = (tournament, round) => {
+  const startsAt = tournament.startsAt + (round - 1) * (tournament.roundDuration + ROUND_BREAK);
+  return { startsAt, endsAt: startsAt + tournament.roundDuration };
+};
+
+// Whether games of `round` can still be verified
+const isRoundOpen = (tournament, round, now = Date.now()) => {
+  const { startsAt, endsAt } = getRoundTimes(tournament, round);
+  return tournament.status === 'running' && tournament.currentRound === round &&
+    startsAt <= now && now < endsAt + ROUND_GRACE;
+};
+
+// Check an admin's tournament settings; returns { tournament } or { error }
+const validateTournament = ({ name, format, rules, rounds, roundDuration, startsAt, commitResults = false } = {}, parseVariantKey) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    return { error: 'Invalid name' };
+  }
+  if (!FORMATS.includes(format)) {
+    return { error: `Invalid format, expected one of: ${FORMATS.join(', ')}` };
+  }
+  if (!parseVariantKey(rules)) {
+    return { error: `Unknown variant "${rules}"` };
+  }
+  if (format === 'swiss' && (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_SWISS_ROUNDS)) {
+    return { error: `Swiss tournaments need 1 to ${MAX_SWISS_ROUNDS} rounds` };
+  }
+  if (!Number.isSafeInteger(roundDuration) || roundDuration < MIN_ROUND_DURATION || roundDuration > MAX_ROUND_DURATION) {
+    return { error: 'Invalid round duration' };
+  }
+  if (!Number.isSafeInteger(startsAt) || startsAt <= Date.now()) {
+    return { error: 'Start time must be in the future' };
+  }
+
+  return {
+    tournament: {
+      name: name.trim(),
+      format,
+      rules,
+      // Brackets get as many rounds as their entries need
+      roundCount: format === 'swiss' ? rounds : null,
+      roundDuration,
+      startsAt,
+      commitResults: Boolean(commitResults)
+    }
+  };
+};
+
+// Decide a scored match. Brackets need a winner: on equal scores the game
+// verified first goes through, and if neither played the higher seed does.
+const decideMatch = (format, match, scores) => {
+  if (match.playerB === null) {
+    return { scoreA: null, scoreB: null, winner: match.playerA };
+  }
+
+  const a = scores.get(match.playerA);
+  const b = scores.get(match.playerB);
+  const scoreA = a ? a.score : 0;
+  const scoreB = b ? b.score : 0;
+
+  let winner = null;
+  if (scoreA !== scoreB) {
+    winner = scoreA > scoreB ? match.playerA : match.playerB;
+  } else if (format === 'bracket') {
+    winner = b && (!a || b.verifiedAt < a.verifiedAt) ? match.playerB : match.playerA;
+  }
+
+  return { scoreA, scoreB, winner };
+};
+
+// Points, results and total score per player. Wins and byes are worth a point,
+// draws half a point; a match neither player turned up for is a loss for both.
+const computeStandings = (tournament, players, matches) => {
+  const rows = new Map(players.map(player => [player.address, {
+    address: player.address,
+    name: player.name,
+    points: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    byes: 0,
+    totalScore: 0,
+    eliminatedIn: null,
+    registeredAt: player.registeredAt
+  }]));
+
+  for (const match of matches.filter(match => match.scored)) {
+    const sides = [[match.playerA, match.scoreA], [match.playerB, match.scoreB]].filter(([player]) => player !== null);
+
+    for (const [player, score] of sides) {
+      const row = rows.get(player);
+      row.totalScore += score || 0;
+
+      if (match.playerB === null) {
+        row.byes++;
+        row.points += 1;
+      } else if (match.winner === player) {
+        row.wins++;
+        row.points += 1;
+      } else if (match.winner === null && match.scoreA === match.scoreB && match.scoreA > 0) {
+        row.draws++;
+        row.points += 0.5;
+      } else {
+        row.losses++;
+        if (tournament.format === 'bracket') row.eliminatedIn = match.round;
+      }
+    }
+  }
+
+  const byRegistration = (a, b) => a.registeredAt - b.registeredAt;
+  const standings = [...rows.values()].sort(tournament.format === 'bracket'
+    // Still in (or the champion) first, then whoever went out latest
+    ? (a, b) => (b.eliminatedIn || Infinity) - (a.eliminatedIn || Infinity) || b.totalScore - a.totalScore || byRegistration(a, b)
+    : (a, b) => b.points - a.points || b.totalScore - a.totalScore || byRegistration(a, b));
+
+  return standings.map(({ registeredAt, ...row }, index) => ({ rank: index + 1, ...row }));
+};
+
+// Swiss pairing: the odd player out gets a bye (the lowest ranked without one yet),
+// then players are paired down the standings, skipping rematches where possible
+const pairSwiss = (standings, matches) => {
+  const opponents = new Map(standings.map(row => [row.address, new Set()]));
+  const hadBye = new Set();
+  for (const match of matches) {
+    if (match.playerB === null) {
+      hadBye.add(match.playerA);
+    } else {
+      opponents.get(match.playerA).add(match.playerB);
+      opponents.get(match.playerB).add(match.playerA);
+    }
+  }
+
+  const pool = standings.map(row => row.address);
+  const pairs = [];
+  let bye = null;
+
+  if (pool.length % 2 === 1) {
+    const index = pool.map(player => !hadBye.has(player)).lastIndexOf(true);
+    bye = pool.splice(index === -1 ? pool.length - 1 : index, 1)[0];
+  }
+
+  while (pool.length > 0) {
+    const player = pool.shift();
+    const index = Math.max(pool.findIndex(other => !opponents.get(player).has(other)), 0);
+    pairs.push([player, pool.splice(index, 1)[0]]);
+  }
+
+  if (bye) pairs.push([bye, null]);
+  return pairs;
+};
+
+// Bracket pairing: neighbours in bracket order play each other, the last one gets
+// a bye when the count is odd. Round 1 goes by registration, later rounds by the
+// order of the matches the winners came from.
+const pairBracket = (players, matches, round) => {
+  const alive = round === 1
+    ? players.map(player => player.address)
+    : matches.filter(match => match.round === round - 1).map(match => match.winner);
+
+  const pairs = [];
+  for (let i = 0; i < alive.length; i += 2) {
+    pairs.push([alive[i], alive[i + 1] || null]);
+  }
+  return pairs;
+};
+
+// Everything the lobby shows about one tournament
+const getTournamentDetails = (id, now = Date.now()) => {
+  const tournament = db.getTournament(id);
+  if (!tournament) return null;
+
+  const players = db.getTournamentPlayers(id);
+  const matches = db.getTournamentMatches(id);
+  const names = new Map(players.map(player => [player.address, player.name]));
+
+  // The round being played shows live scores from the games verified so far
+  const live = tournament.status === 'running'
+    ? new Map(db.getVariantScores(tournamentKey(id, tournament.currentRound)).map(row => [row.player, row.score]))
+    : new Map();
+
+  const rounds = [];
+  for (let round = 1; round <= (tournament.roundCount || 0); round++) {
+    rounds.push({
+      round,
+      ...getRoundTimes(tournament, round),
+      variant: tournamentKey(id, round),
+      matches: matches.filter(match => match.round === round).map(match => ({
+        ...match,
+        nameA: names.get(match.playerA),
+        nameB: match.playerB && names.get(match.playerB),
+        scoreA: match.scored ? match.scoreA : live.get(match.playerA) ?? null,
+        scoreB: match.scored ? match.scoreB : (match.playerB && live.get(match.playerB)) ?? null
+      }))
+    });
+  }
+
+  return {
+    ...tournament,
+    registrationOpen: tournament.status === 'registration' && now < tournament.startsAt,
+    players,
+    rounds,
+    standings: computeStandings(tournament, players, matches)
+  };
+};
+
+// Summary for lists and socket pushes
+const summarize = (tournament) => ({
+  id: tournament.id,
+  name: tournament.name,
+  format: tournament.format,
+  rules: tournament.rules,
+  status: tournament.status,
+  startsAt: tournament.startsAt,
+  roundCount: tournament.roundCount,
+  currentRound: tournament.currentRound,
+  resultsTx: tournament.resultsTx
+});
+
+// Runs tournaments on their schedule: closes registration, pairs and scores rounds
+// and, when asked to, commits the final standings on-chain. All state lives in the
+// database, so a restarted server carries on where it left off.
+function createTournamentScheduler({ io, contract = null }) {
+  const commitAttempts = new Map();
+  let timer = null;
+
+  const emitUpdate = (id) => {
+    const details = getTournamentDetails(id);
+    io.emit('tournamentUpdate', { ...summarize(details), standings: details.standings });
+  };
+
+  const start = (tournament) => {
+    const players = db.getTournamentPlayers(tournament.id);
+    if (players.length < 2) {
+      db.advanceTournament({ id: tournament.id, status: 'cancelled', currentRound: 0, roundCount: tournament.roundCount });
+      return;
+    }
+
+    const roundCount = tournament.format === 'bracket' ? Math.ceil(Math.log2(players.length)) : tournament.roundCount;
+    const pairs = tournament.format === 'bracket'
+      ? pairBracket(players, [], 1)
+      : pairSwiss(computeStandings(tournament, players, []), []);
+
+    db.advanceTournament({
+      id: tournament.id,
+      status: 'running',
+      currentRound: 1,
+      roundCount,
+      matches: pairs.map(([playerA, playerB], position) => ({ round: 1, position, playerA, playerB }))
+    });
+    console.log(`Tournament ${tournament.id} started with ${players.length} players`);
+  };
+
+  const scoreRound = (tournament) => {
+    const round = tournament.currentRound;
+    const players = db.getTournamentPlayers(tournament.id);
+    const scores = new Map(db.getVariantScores(tournamentKey(tournament.id, round)).map(row => [row.player, row]));
+
+    const played = db.getTournamentMatches(tournament.id);
+    const results = played
+      .filter(match => match.round === round)
+      .map(match => ({ round, position: match.position, ...decideMatch(tournament.format, match, scores) }));
+
+    // Pair the next round against the standings including this one
+    const scored = played.map(match => {
+      const result = results.find(item => item.position === match.position && match.round === round);
+      return result ? { ...match, ...result, scored: true } : match;
+    });
+
+    if (round >= tournament.roundCount) {
+      db.advanceTournament({ id: tournament.id, status: 'finished', currentRound: round, roundCount: tournament.roundCount, results });
+      console.log(`Tournament ${tournament.id} finished`);
+      return;
+    }
+
+    const next = round + 1;
+    const pairs = tournament.format === 'bracket'
+      ? pairBracket(players, scored, next)
+      : pairSwiss(computeStandings(tournament, players, scored), scored);
+
+    db.advanceTournament({
+      id: tournament.id,
+      status: 'running',
+      currentRound: next,
+      roundCount: tournament.roundCount,
+      results,
+      matches: pairs.map(([playerA, playerB], position) => ({ round: next, position, playerA, playerB }))
+    });
+  };
+
+  // Final ranking and total scores, for anyone to check against the backend's standings
+  const commitResults = async (tournament) => {
+    const lastAttempt = commitAttempts.get(tournament.id) || 0;
+    if (!contract || Date.now() - lastAttempt < COMMIT_RETRY) return;
+    commitAttempts.set(tournament.id, Date.now());
+
+    const { standings } = getTournamentDetails(tournament.id);
+    try {
+      const tx = await contract.commitTournamentResults(
+        tournament.id,
+        standings.map(row => row.address),
+        standings.map(row => row.totalScore)
+      );
+      await tx.wait();
+      db.setTournamentResultsTx(tournament.id, tx.hash);
+      console.log(`Tournament ${tournament.id} results committed in ${tx.hash}`);
+      emitUpdate(tournament.id);
+    } catch (error) {
+      console.error(`Error committing results of tournament ${tournament.id}:`, error);
+    }
+  };
+
+  const tick = async () => {
+    const now = Date.now();
+
+    for (const tournament of db.getPendingTournaments()) {
+      if (tournament.status === 'finished') {
+        await commitResults(tournament);
+        continue;
+      }
+
+      let changed = false;
+      if (tournament.status === 'registration' && now >= tournament.startsAt) {
+        start(tournament);
+        changed = true;
+      }
+
+      // Catch up on every round that ended, e.g. after the server was down
+      let current = db.getTournament(tournament.id);
+      while (current.status === 'running' && now >= getRoundTimes(current, current.currentRound).endsAt + ROUND_GRACE) {
+        scoreRound(current);
+        current = db.getTournament(tournament.id);
+        changed = true;
+      }
+
+      if (changed) emitUpdate(tournament.id);
+      if (current.status === 'finished' && current.commitResults) await commitResults(current);
+    }
+  };
+
+  return {
+    start: () => {
+      const run = () => {
+        tick()
+          .catch(error => console.error('Tournament scheduler error:', error))
+          .finally(() => {
+            timer = setTimeout(run, TICK_INTERVAL);
+          });
+      };
+      run();
+    },
+    stop: () => clearTimeout(timer),
+    // One pass over the pending tournaments, as the timer runs it
+    tick,
+    emitUpdate
+  };
+}
+
+module.exports = {
+  FORMATS,
+  isAdmin,
+  tournamentKey,
+  parseTournamentKey,
+  getRoundSeed,
+  getRoundTimes,
+  isRoundOpen,
+  validateTournament,
+  decideMatch,
+  computeStandings,
+  pairSwiss,
+  pairBracket,
+  getTournamentDetails,
+  summarize,
+  createTournamentScheduler
+};
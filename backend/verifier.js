@@ -0,0 +1,327 @@
+// backend/verifier.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('./db');
+const { chainId, getContract } = require('./deployments');
+const { loadShared } = require('./shared');
+const { DAILY_RULES, dailyKey, parseDailyKey, getDailySeed, isDailyOpen } = require('./daily');
+const { tournamentKey, parseTournamentKey, getRoundSeed, getRoundTimes, isRoundOpen } = require('./tournaments');
+
+// Longest move log we are willing to re-simulate in one request
+const MAX_MOVES = 200000;
+// How games that used undo are treated: rejected, scored lower, or ranked on their own
+// board, under the variant key with db.UNDO_SUFFIX
+const UNDO_POLICIES = ['disallowed', 'penalized', 'separate'];
+const UNDO_POLICY = process.env.UNDO_POLICY || 'disallowed';
+// Percentage of the score removed per undo under the 'penalized' policy
+const UNDO_PENALTY = Number(process.env.UNDO_PENALTY || 10);
+
+if (!UNDO_POLICIES.includes(UNDO_POLICY)) {
+  throw new Error(`Invalid UNDO_POLICY "${UNDO_POLICY}", expected one of: ${UNDO_POLICIES.join(', ')}`);
+}
+
+// How long a signed attestation can be used for on-chain submission
+const ATTESTATION_TTL = 60 * 60; // 1 hour, in seconds
+
+// EIP-712 domain and type checked by Game2048.submitScore
+const ATTESTATION_DOMAIN = {
+  name: 'Game2048',
+  version: '1',
+  chainId,
+  verifyingContract: getContract('Game2048').address
+};
+const ATTESTATION_TYPES = {
+  ScoreAttestation: [
+    { name: 'player', type: 'address' },
+    { name: 'score', type: 'uint256' },
+    { name: 'variant', type: 'string' },
+    { name: 'gameId', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+// EIP-712 domain and type checked by Achievements.claim, if that contract is deployed
+const ACHIEVEMENT_DOMAIN = {
+  name: 'Game2048Achievements',
+  version: '1',
+  chainId: ATTESTATION_DOMAIN.chainId,
+  verifyingContract: getContract('Achievements').address
+};
+const ACHIEVEMENT_TYPES = {
+  AchievementClaim: [
+    { name: 'player', type: 'address' },
+    { name: 'achievement', type: 'string' }
+  ]
+};
+
+// Key used to sign attestations for verified scores
+const verifierWallet = process.env.VERIFIER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.VERIFIER_PRIVATE_KEY)
+  : ethers.Wallet.createRandom();
+
+if (!process.env.VERIFIER_PRIVATE_KEY) {
+  console.warn('VERIFIER_PRIVATE_KEY not set, signing attestations with a throwaway key:', verifierWallet.address);
+}
+
+const getGameId = (player, variant, seed, moves) => {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'string', 'string', 'string'],
+    [player, variant, JSON.stringify(seed), moves]
+  );
+};
+
+// The contract burns each nonce on use, so one verified game can only be submitted once
+const createNonce = () => ethers.toBigInt(ethers.randomBytes(32)).toString();
+
+// Score that gets attested for a game, after applying the undo policy
+const applyUndoPolicy = (score, undoCount) => {
+  if (undoCount === 0 || UNDO_POLICY === 'separate') {
+    return { score };
+  }
+  if (UNDO_POLICY === 'disallowed') {
+    return { error: 'Games that used undo cannot be submitted' };
+  }
+
+  const penalized = Math.floor(score * Math.max(0, 100 - UNDO_PENALTY * undoCount) / 100);
+  if (penalized <= 0) {
+    return { error: 'Too many undos, no score left after penalty' };
+  }
+  return { score: penalized };
+};
+
+// When the game began by our clock: when its seed was handed out to the player.
+// Null for games on a seed the client picked itself, which are verified without timings.
+const getStartTime = ({ player, seed, daily, tournament, round }) => {
+  if (daily !== undefined) {
+    const attempt = db.getDailyAttempt(player, daily);
+    return attempt ? attempt.startedAt : null;
+  }
+  if (tournament) {
+    return getRoundTimes(tournament, round).startsAt;
+  }
+  const start = db.getGameStart(player, seed);
+  return start ? start.startedAt : null;
+};
+
+// Daily games must use the day's seed, follow a registered start and be played without undo.
+// The attempt is used up by the first game verified for it (see verifyGame).
+const checkDailyGame = ({ player, date, seed, undoCount }) => {
+  if (!parseDailyKey(dailyKey(date)) || !isDailyOpen(date)) {
+    return 'This daily challenge is closed';
+  }
+  if (!db.getDailyAttempt(player, date)) {
+    return 'Daily challenge was not started';
+  }
+  if (seed !== getDailySeed(date)) {
+    return 'Seed does not match the daily challenge';
+  }
+  if (undoCount > 0) {
+    return 'Undo is not allowed in the daily challenge';
+  }
+  return null;
+};
+
+// Tournament games must be played by someone paired in the running round, with its seed and without undo
+const checkTournamentGame = ({ player, tournament, round, seed, undoCount }) => {
+  if (!tournament || !isRoundOpen(tournament, round)) {
+    return 'This tournament round is not open';
+  }
+  if (!db.isPlayingRound(tournament.id, round, player)) {
+    return 'You are not playing in this round';
+  }
+  if (seed !== getRoundSeed(tournament.id, round)) {
+    return 'Seed does not match the tournament round';
+  }
+  if (undoCount > 0) {
+    return 'Undo is not allowed in tournaments';
+  }
+  return null;
+};
+
+// Lets the player mint an achievement they unlocked; each can only be minted once,
+// so the claim needs no nonce or expiry
+const attestAchievement = async ({ player, achievement }) => {
+  const value = { player, achievement };
+  const signature = await verifierWallet.signTypedData(ACHIEVEMENT_DOMAIN, ACHIEVEMENT_TYPES, value);
+
+  return {
+    ...value,
+    signature,
+    verifier: verifierWallet.address
+  };
+};
+
+// Rules a game was played with: daily and tournament games are stored under
+// their event's variant ("daily/2026-10-18", "tournament/3/1"), and games on the
+// separate undo board under their variant with the undo suffix ("classic/4x4+undo")
+const getGameRules = (variant) => {
+  if (variant.endsWith(db.UNDO_SUFFIX)) return variant.slice(0, -db.UNDO_SUFFIX.length);
+  if (parseDailyKey(variant)) return DAILY_RULES;
+  const round = parseTournamentKey(variant);
+  return round ? db.getTournament(round.id).rules : variant;
+};
+
+const attestScore = async ({ player, score, variant, gameId, nonce }) => {
+  const expiry = Math.floor(Date.now() / 1000) + ATTESTATION_TTL;
+  const value = { player, score, variant, gameId, nonce, expiry };
+  const signature = await verifierWallet.signTypedData(ATTESTATION_DOMAIN, ATTESTATION_TYPES, value);
+
+  return {
+    ...value,
+    signature,
+    verifier: verifierWallet.address
+  };
+};
+
+// Re-simulate a submitted move log and attest the score if it checks out.
+// Returns { error } for logs that are malformed, impossible or don't match the claim.
+// Daily challenge games pass `daily` (the UTC date) and are attested as "daily/<date>";
+// tournament games pass `tournament` ({ id, round }) and are attested as "tournament/<id>/<round>".
+async function verifyGame({ player, seed, moves, score, variant, daily, tournament } = {}) {
+  const { replayGame, parseVariantKey, DEFAULT_VARIANT_KEY } = await loadShared();
+  const event = tournament && db.getTournament(Number(tournament.id));
+  let variantName = variant || DEFAULT_VARIANT_KEY;
+  let rules = parseVariantKey(variantName);
+
+  if (daily !== undefined) {
+    variantName = dailyKey(daily);
+    rules = parseVariantKey(DAILY_RULES);
+  } else if (tournament !== undefined) {
+    variantName = event ? tournamentKey(event.id, tournament.round) : 'tournament';
+    rules = event && parseVariantKey(event.rules);
+  }
+
+  if (!player || !ethers.isAddress(player)) {
+    return { error: 'Invalid player address' };
+  }
+  if (seed === undefined || seed === null || seed === '') {
+    return { error: 'Seed required' };
+  }
+  if (typeof seed !== 'number' && typeof seed !== 'string') {
+    return { error: 'Invalid seed' };
+  }
+  if (typeof moves !== 'string' || moves.length === 0) {
+    return { error: 'Move log required' };
+  }
+  if (moves.length > MAX_MOVES) {
+    return { error: 'Move log too long' };
+  }
+  if (!Number.isSafeInteger(score) || score <= 0) {
+    return { error: 'Invalid score' };
+  }
+  if (tournament !== undefined && !event) {
+    return { error: 'Unknown tournament' };
+  }
+  if (!rules) {
+    return { error: `Unknown variant "${variantName}"` };
+  }
+
+  // Undos are part of the move log, so the replay is what counts them
+  const replay = replayGame({ seed, moves, ...rules });
+
+  if (!replay.valid) {
+    return { error: `Impossible game: ${replay.error}` };
+  }
+  if (replay.score !== score) {
+    return { error: `Score mismatch: claimed ${score}, replay gives ${replay.score}` };
+  }
+
+  const playerAddress = ethers.getAddress(player);
+  const { undoCount } = replay;
+  if (daily !== undefined) {
+    const dailyError = checkDailyGame({ player: playerAddress, date: daily, seed, undoCount });
+    if (dailyError) {
+      return { error: dailyError };
+    }
+  }
+  if (tournament !== undefined) {
+    const tournamentError = checkTournamentGame({ player: playerAddress, tournament: event, round: tournament.round, seed, undoCount });
+    if (tournamentError) {
+      return { error: tournamentError };
+    }
+  }
+
+  const policy = applyUndoPolicy(score, undoCount);
+  if (policy.error) {
+    return { error: policy.error };
+  }
+  // Daily and tournament games never get here with undos
+  if (undoCount > 0 && UNDO_POLICY === 'separate') {
+    variantName += db.UNDO_SUFFIX;
+  }
+
+  const gameId = getGameId(playerAddress, variantName, seed, moves);
+
+  // One game per daily attempt, and one game per tournament round
+  const previousGameId = daily !== undefined
+    ? db.getDailyAttempt(playerAddress, daily).gameId
+    : tournament !== undefined && db.getVerifiedGameId(playerAddress, variantName);
+  if (previousGameId && previousGameId !== gameId) {
+    return { error: daily !== undefined
+      ? 'You already submitted a game for this daily challenge'
+      : 'You already submitted a game for this round' };
+  }
+
+  // Verifying the same log twice must not hand out a second nonce
+  if (!db.getVerifiedGame(gameId)) {
+    // The server can't see when each milestone was reached, only how long the game
+    // had been going when it was verified: for a won game, an upper bound on the win time
+    const startedAt = getStartTime({ player: playerAddress, seed, daily, tournament: event, round: tournament && tournament.round });
+    const verifiedAt = Date.now();
+
+    db.saveVerifiedGame({
+      gameId,
+      player: playerAddress,
+      variant: variantName,
+      seed,
+      moves,
+      score: policy.score,
+      maxTile: replay.maxTile,
+      moveCount: replay.moveCount,
+      undoCount,
+      milestones: JSON.stringify(replay.milestones),
+      startedAt,
+      winTime: replay.won && startedAt !== null ? verifiedAt - startedAt : null,
+      nonce: createNonce(),
+      verifiedAt
+    });
+    if (daily !== undefined) db.useDailyAttempt(playerAddress, daily, gameId);
+  }
+
+  return { attestation: await attestScore(db.getVerifiedGame(gameId)) };
+}
+
+// Seed for a new game of a signed-in player. The start is recorded, so the game
+// is timed from now on when it is verified.
+function startGame(player) {
+  const seed = crypto.randomInt(0x100000000);
+  const startedAt = Date.now();
+  db.startGame(player, seed, startedAt);
+  return { seed, startedAt };
+}
+
+// Re-sign an already verified game, e.g. after its previous attestation expired
+async function signAttestation(gameId, player) {
+  const game = db.getVerifiedGame(gameId);
+
+  if (!game) {
+    return { error: 'Unknown game' };
+  }
+  if (!player || game.player.toLowerCase() !== String(player).toLowerCase()) {
+    return { error: 'Game belongs to another player' };
+  }
+
+  return { attestation: await attestScore(game) };
+}
+
+module.exports = {
+  verifyGame,
+  startGame,
+  signAttestation,
+  getGameRules,
+  attestAchievement,
+  achievementsContract: ACHIEVEMENT_DOMAIN.verifyingContract || null,
+  undoPolicy: { policy: UNDO_POLICY, penalty: UNDO_PENALTY },
+  verifierAddress: verifierWallet.address
+};
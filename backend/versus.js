@@ -0,0 +1,295 @@
+// backend/versus.js
+// Real-time versus matches over Socket.IO. Two to four players get the same
+// seeded board and race for the highest score until the clock runs out. The
+// server keeps every board and applies every move itself; clients only send
+// directions and render what comes back.
+const crypto = require('crypto');
+const { loadShared } = require('./shared');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+// Once two players are waiting, others get this long to join before the match starts
+const LOBBY_WAIT = 10 * 1000; // ms
+const COUNTDOWN = 3 * 1000; // ms between the match being formed and the first move
+const MATCH_DURATION = Number(process.env.VERSUS_DURATION || 120) * 1000; // ms
+const MATCH_RULES = 'classic/4x4';
+
+// Attacks: every merge into ATTACK_TILE or above drops a blocker on an opponent,
+// which stays until that opponent has made BLOCKER_MOVES more moves
+const ATTACK_TILE = 128;
+const BLOCKER_MOVES = 8;
+const MAX_ATTACKS_PER_MOVE = 2;
+
+function createVersus({ io, duration = MATCH_DURATION, lobbyWait = LOBBY_WAIT, countdown = COUNTDOWN }) {
+  // Waiting players per queue; matches with and without attacks are separate queues
+  const queues = { attacks: [], classic: [] };
+  const lobbyTimers = {};
+  const rooms = new Map();
+  // socket id -> room id
+  const playerRooms = new Map();
+
+  const roomChannel = (roomId) => `versus:${roomId}`;
+
+  const publicPlayer = (player) => ({
+    id: player.id,
+    name: player.name,
+    address: player.address,
+    grid: player.game.grid,
+    score: player.game.score,
+    over: player.game.over,
+    left: player.left
+  });
+
+  const queueFor = (attacks) => (attacks ? 'attacks' : 'classic');
+
+  const leaveQueue = (socket) => {
+    for (const name of Object.keys(queues)) {
+      queues[name] = queues[name].filter(entry => entry.socket.id !== socket.id);
+      if (queues[name].length < MIN_PLAYERS) {
+        clearTimeout(lobbyTimers[name]);
+        lobbyTimers[name] = null;
+      }
+    }
+  };
+
+  const startMatch = async (queueName) => {
+    clearTimeout(lobbyTimers[queueName]);
+    lobbyTimers[queueName] = null;
+
+    const entries = queues[queueName].splice(0, MAX_PLAYERS).filter(entry => entry.socket.connected);
+    if (entries.length < MIN_PLAYERS) {
+      queues[queueName].unshift(...entries);
+      return;
+    }
+
+    const { createGame, createRng, randomSeed, parseVariantKey } = await loadShared();
+    const { variant, size } = parseVariantKey(MATCH_RULES);
+    const seed = randomSeed();
+    const roomId = crypto.randomBytes(8).toString('hex');
+    const startsAt = Date.now() + countdown;
+
+    const room = {
+      id: roomId,
+      seed,
+      rules: MATCH_RULES,
+      attacks: queueName === 'attacks',
+      startsAt,
+      endsAt: startsAt + duration,
+      finished: false,
+      players: new Map()
+    };
+
+    for (const { socket, name, address } of entries) {
+      // Each player draws from their own copy of the seeded RNG
+      const rng = createRng(seed);
+      room.players.set(socket.id, {
+        id: socket.id,
+        name,
+        address,
+        rng,
+        game: createGame({ size, variant, rng }),
+        blockers: [],
+        left: false
+      });
+      playerRooms.set(socket.id, roomId);
+      socket.join(roomChannel(roomId));
+    }
+
+    rooms.set(roomId, room);
+    room.timer = setTimeout(() => finishMatch(room), room.endsAt - Date.now());
+
+    io.to(roomChannel(roomId)).emit('versus:matched', {
+      roomId,
+      seed,
+      rules: room.rules,
+      attacks: room.attacks,
+      startsAt: room.startsAt,
+      endsAt: room.endsAt,
+      players: [...room.players.values()].map(publicPlayer)
+    });
+  };
+
+  const finishMatch = (room) => {
+    if (room.finished) return;
+    room.finished = true;
+    clearTimeout(room.timer);
+
+    const results = [...room.players.values()]
+      .map(player => ({
+        id: player.id,
+        name: player.name,
+        address: player.address,
+        score: player.game.score,
+        maxTile: Math.max(...player.game.grid),
+        left: player.left
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    // Everyone on the top score wins; players who left can't
+    const contenders = results.filter(result => !result.left);
+    const topScore = contenders.length > 0 ? contenders[0].score : null;
+    const winners = contenders.filter(result => result.score === topScore).map(result => result.id);
+
+    io.to(roomChannel(room.id)).emit('versus:end', { roomId: room.id, results, winners });
+
+    for (const id of room.players.keys()) {
+      playerRooms.delete(id);
+      const socket = io.sockets.sockets.get(id);
+      if (socket) socket.leave(roomChannel(room.id));
+    }
+    rooms.delete(room.id);
+  };
+
+  // The match is decided early once nobody can move any more
+  const checkFinished = (room) => {
+    const playing = [...room.players.values()].filter(player => !player.left && !player.game.over);
+    if (playing.length === 0) finishMatch(room);
+  };
+
+  // Drop a blocker on a random empty cell of a random opponent still playing
+  const attack = (room, attacker, shared) => {
+    const targets = [...room.players.values()].filter(player => {
+      return player.id !== attacker.id && !player.left && !player.game.over;
+    });
+    if (targets.length === 0) return;
+
+    const target = targets[crypto.randomInt(targets.length)];
+    const empty = shared.getEmptyCells(target.game.grid);
+    if (empty.length === 0) return;
+
+    const index = empty[crypto.randomInt(empty.length)];
+    const grid = [...target.game.grid];
+    grid[index] = shared.BLOCKED;
+    // Never block the opponent's last possible move
+    if (shared.isGameOver(grid, target.game.size, target.game.variant)) return;
+
+    target.blockers.push({ index, movesLeft: BLOCKER_MOVES });
+    target.game = { ...target.game, grid };
+
+    io.to(roomChannel(room.id)).emit('versus:attack', { roomId: room.id, from: attacker.id, to: target.id, index });
+    io.to(roomChannel(room.id)).emit('versus:update', { roomId: room.id, player: publicPlayer(target), result: null });
+  };
+
+  // Count down the player's blockers and clear the expired ones. A player who
+  // is stuck only because of blockers gets all of them removed. Returns whether
+  // any blocker was cleared.
+  const expireBlockers = (player, shared) => {
+    if (player.blockers.length === 0) return false;
+
+    const grid = [...player.game.grid];
+    for (const blocker of player.blockers) blocker.movesLeft--;
+
+    const stuck = shared.isGameOver(grid, player.game.size, player.game.variant);
+    const expired = player.blockers.filter(blocker => stuck || blocker.movesLeft <= 0);
+    if (expired.length === 0) return false;
+
+    for (const blocker of expired) grid[blocker.index] = 0;
+    player.blockers = player.blockers.filter(blocker => !expired.includes(blocker));
+    player.game = { ...player.game, grid, over: shared.isGameOver(grid, player.game.size, player.game.variant) };
+    return true;
+  };
+
+  const handleMove = async (socket, { roomId, direction } = {}, ack) => {
+    const room = rooms.get(roomId);
+    const player = room && room.players.get(socket.id);
+
+    if (!player) return ack({ error: 'Not in this match' });
+    if (room.finished || Date.now() < room.startsAt) return ack({ error: 'Match is not running' });
+    if (Date.now() >= room.endsAt) {
+      finishMatch(room);
+      return ack({ error: 'Time is up' });
+    }
+
+    const shared = await loadShared();
+    if (!shared.DIRECTIONS.includes(direction)) return ack({ error: 'Invalid direction' });
+
+    const result = shared.applyMove(player.game, direction, player.rng);
+    if (!result.moved) return ack({ moved: false });
+
+    player.game = result.state;
+    const cleared = expireBlockers(player, shared);
+
+    io.to(roomChannel(room.id)).emit('versus:update', {
+      roomId: room.id,
+      player: publicPlayer(player),
+      // Without the slide details clients redraw the board instead of animating it
+      result: cleared ? null : {
+        moves: result.moves,
+        merges: result.merges,
+        spawned: result.spawned
+      }
+    });
+    ack({ moved: true });
+
+    if (room.attacks) {
+      const bigMerges = result.merges.filter(merge => merge.value >= ATTACK_TILE).slice(0, MAX_ATTACKS_PER_MOVE);
+      for (let i = 0; i < bigMerges.length; i++) attack(room, player, shared);
+    }
+
+    checkFinished(room);
+  };
+
+  const handleLeave = (socket) => {
+    leaveQueue(socket);
+
+    const room = rooms.get(playerRooms.get(socket.id));
+    if (!room) return;
+
+    const player = room.players.get(socket.id);
+    player.left = true;
+    playerRooms.delete(socket.id);
+    socket.leave(roomChannel(room.id));
+    io.to(roomChannel(room.id)).emit('versus:update', { roomId: room.id, player: publicPlayer(player), result: null });
+
+    checkFinished(room);
+  };
+
+  // Register a connected socket's versus handlers; every handler answers through
+  // the Socket.IO acknowledgement, with { error } when the request was refused
+  const attach = (socket) => {
+    const safeAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+    socket.on('versus:join', ({ name, address = null, attacks = false } = {}, ack) => {
+      ack = safeAck(ack);
+      if (playerRooms.has(socket.id)) return ack({ error: 'Already in a match' });
+
+      leaveQueue(socket);
+      const queueName = queueFor(attacks);
+      const queue = queues[queueName];
+      queue.push({ socket, name: String(name || 'Anonymous').slice(0, 20), address });
+      ack({ queued: true, waiting: queue.length });
+
+      if (queue.length >= MAX_PLAYERS) {
+        startMatch(queueName).catch(error => console.error('Versus: failed to start match:', error));
+      } else if (queue.length >= MIN_PLAYERS && !lobbyTimers[queueName]) {
+        lobbyTimers[queueName] = setTimeout(() => {
+          startMatch(queueName).catch(error => console.error('Versus: failed to start match:', error));
+        }, lobbyWait);
+      }
+    });
+
+    socket.on('versus:move', (payload, ack) => {
+      handleMove(socket, payload, safeAck(ack)).catch(error => {
+        console.error('Versus: failed to apply move:', error);
+        safeAck(ack)({ error: 'Move failed' });
+      });
+    });
+
+    socket.on('versus:leave', (payload, ack) => {
+      handleLeave(socket);
+      safeAck(ack)({ left: true });
+    });
+
+    socket.on('disconnect', () => handleLeave(socket));
+  };
+
+  return {
+    attach,
+    getStatus: () => ({
+      rooms: rooms.size,
+      waiting: queues.attacks.length + queues.classic.length
+    })
+  };
+}
+
+module.exports = { createVersus };
@@ -0,0 +1,175 @@
+// contracts/Achievements.sol
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+// Achievement badges as non-transferable ERC-721 tokens (ERC-5192 "locked").
+// Players mint the achievements the backend unlocked for them, with a claim
+// signed by the same verifier that attests scores for Game2048.
+contract Achievements {
+    string public constant name = "2048 Achievements";
+    string public constant symbol = "A2048";
+
+    bytes32 public constant ACHIEVEMENT_CLAIM_TYPEHASH = keccak256(
+        "AchievementClaim(address player,string achievement)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    uint256 private constant HALF_CURVE_ORDER =
+        0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    bytes4 private constant ERC165_INTERFACE = 0x01ffc9a7;
+    bytes4 private constant ERC721_INTERFACE = 0x80ac58cd;
+    bytes4 private constant ERC5192_INTERFACE = 0xb45a3c0e;
+
+    address public owner;
+    address public verifier;
+    uint256 public totalSupply;
+
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    // Achievement id ("no-undo-2048", ...) of each token
+    mapping(uint256 => string) public achievementOf;
+    // Token held by a player for an achievement, keyed by keccak256 of its id; 0 if none
+    mapping(address => mapping(bytes32 => uint256)) public tokenOf;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Locked(uint256 tokenId);
+    event AchievementMinted(address indexed player, uint256 indexed tokenId, string achievement);
+    event VerifierChanged(address indexed previousVerifier, address indexed newVerifier);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    constructor(address _verifier) {
+        require(_verifier != address(0), "Verifier required");
+        owner = msg.sender;
+        verifier = _verifier;
+        emit VerifierChanged(address(0), _verifier);
+    }
+
+    function setVerifier(address _verifier) public onlyOwner {
+        require(_verifier != address(0), "Verifier required");
+        emit VerifierChanged(verifier, _verifier);
+        verifier = _verifier;
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("Game2048Achievements")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // Mint an unlocked achievement to the caller; each can be minted once per player
+    function claim(string memory _achievement, bytes memory _signature) public returns (uint256) {
+        require(bytes(_achievement).length > 0, "Achievement required");
+        bytes32 key = keccak256(bytes(_achievement));
+        require(tokenOf[msg.sender][key] == 0, "Already minted");
+
+        bytes32 structHash = keccak256(abi.encode(
+            ACHIEVEMENT_CLAIM_TYPEHASH,
+            msg.sender,
+            key
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(_recoverSigner(digest, _signature) == verifier, "Invalid claim");
+
+        // Token ids start at 1 so 0 can mean "not minted"
+        uint256 tokenId = ++totalSupply;
+        owners[tokenId] = msg.sender;
+        balances[msg.sender]++;
+        achievementOf[tokenId] = _achievement;
+        tokenOf[msg.sender][key] = tokenId;
+
+        emit Transfer(address(0), msg.sender, tokenId);
+        emit Locked(tokenId);
+        emit AchievementMinted(msg.sender, tokenId, _achievement);
+        return tokenId;
+    }
+
+    function hasAchievement(address _player, string memory _achievement) public view returns (bool) {
+        return tokenOf[_player][keccak256(bytes(_achievement))] != 0;
+    }
+
+    // ERC-721 views
+
+    function balanceOf(address _owner) public view returns (uint256) {
+        require(_owner != address(0), "Invalid owner");
+        return balances[_owner];
+    }
+
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address tokenOwner = owners[_tokenId];
+        require(tokenOwner != address(0), "Unknown token");
+        return tokenOwner;
+    }
+
+    function getApproved(uint256 _tokenId) public view returns (address) {
+        ownerOf(_tokenId);
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) public pure returns (bool) {
+        return false;
+    }
+
+    // ERC-5192: every token is locked to the wallet that earned it
+    function locked(uint256 _tokenId) public view returns (bool) {
+        ownerOf(_tokenId);
+        return true;
+    }
+
+    function supportsInterface(bytes4 _interfaceId) public pure returns (bool) {
+        return _interfaceId == ERC165_INTERFACE
+            || _interfaceId == ERC721_INTERFACE
+            || _interfaceId == ERC5192_INTERFACE;
+    }
+
+    // Badges can't change hands
+
+    function approve(address, uint256) public pure {
+        revert("Soulbound");
+    }
+
+    function setApprovalForAll(address, bool) public pure {
+        revert("Soulbound");
+    }
+
+    function transferFrom(address, address, uint256) public pure {
+        revert("Soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256) public pure {
+        revert("Soulbound");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes memory) public pure {
+        revert("Soulbound");
+    }
+
+    function _recoverSigner(bytes32 _digest, bytes memory _signature) private pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+
+        require(uint256(s) <= HALF_CURVE_ORDER, "Invalid signature");
+        require(v == 27 || v == 28, "Invalid signature");
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+}
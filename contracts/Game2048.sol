@@ -8,6 +8,7 @@ contract Game2048 {
         uint256 score;
         uint256 timestamp;
         string playerName;
+        string variant;
     }
 
     struct LeaderboardEntry {
@@ -20,52 +21,146 @@ contract Game2048 {
 
     // State variables
     Score[] public allScores;
-    mapping(address => LeaderboardEntry) public playerStats;
-    address[] public players;
+
+    // Every variant ("classic/4x4", "fibonacci/5x5", ...) has its own leaderboard,
+    // keyed by keccak256 of the variant name
+    mapping(bytes32 => mapping(address => LeaderboardEntry)) public variantStats;
+    mapping(bytes32 => address[]) public variantPlayers;
+    string public constant DEFAULT_VARIANT = "classic/4x4";
     
     uint256 public constant MAX_LEADERBOARD_SIZE = 100;
     uint256 public minScoreForLeaderboard = 0;
+
+    // Score attestations (EIP-712) signed by the backend verifier
+    bytes32 public constant SCORE_ATTESTATION_TYPEHASH = keccak256(
+        "ScoreAttestation(address player,uint256 score,string variant,bytes32 gameId,uint256 nonce,uint256 expiry)"
+    );
+    // Signed by the player when a relayer submits their score for them
+    bytes32 public constant SCORE_SUBMISSION_TYPEHASH = keccak256(
+        "ScoreSubmission(address player,uint256 score,string playerName,string variant,bytes32 gameId,uint256 nonce)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    uint256 private constant HALF_CURVE_ORDER =
+        0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    address public owner;
+    address public verifier;
+    mapping(uint256 => bool) public usedNonces;
+
+    // Hash of each tournament's final standings, committed once by the verifier
+    mapping(uint256 => bytes32) public tournamentResults;
     
     // Events
-    event NewHighScore(address indexed player, string playerName, uint256 score, uint256 timestamp);
-    event GamePlayed(address indexed player, uint256 score, uint256 timestamp);
+    event NewHighScore(address indexed player, string playerName, uint256 score, uint256 timestamp, string variant);
+    event GamePlayed(address indexed player, uint256 score, uint256 timestamp, string variant);
+    event VerifierChanged(address indexed previousVerifier, address indexed newVerifier);
+    event TournamentResults(uint256 indexed tournamentId, bytes32 resultsHash, address[] players, uint256[] scores);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    modifier onlyVerifier() {
+        require(msg.sender == verifier, "Only verifier");
+        _;
+    }
+
+    constructor(address _verifier) {
+        require(_verifier != address(0), "Verifier required");
+        owner = msg.sender;
+        verifier = _verifier;
+        emit VerifierChanged(address(0), _verifier);
+    }
+
+    function setVerifier(address _verifier) public onlyOwner {
+        require(_verifier != address(0), "Verifier required");
+        emit VerifierChanged(verifier, _verifier);
+        verifier = _verifier;
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("Game2048")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
     
-    // Submit a game score
-    function submitScore(uint256 _score, string memory _playerName) public {
-        require(_score > 0, "Score must be greater than 0");
-        require(bytes(_playerName).length > 0, "Player name required");
-        
-        // Record the score
-        allScores.push(Score({
-            player: msg.sender,
-            score: _score,
-            timestamp: block.timestamp,
-            playerName: _playerName
-        }));
-        
-        // Update player stats
-        LeaderboardEntry storage entry = playerStats[msg.sender];
-        
-        if (entry.gamesPlayed == 0) {
-            players.push(msg.sender);
-            entry.player = msg.sender;
-            entry.playerName = _playerName;
-        }
-        
-        entry.gamesPlayed++;
-        entry.totalScore += _score;
-        
-        if (_score > entry.highScore) {
-            entry.highScore = _score;
-            entry.playerName = _playerName; // Update name with high score
-            emit NewHighScore(msg.sender, _playerName, _score, block.timestamp);
-        }
-        
-        emit GamePlayed(msg.sender, _score, block.timestamp);
+    // Submit a game score, attested by the verifier after replaying the game
+    function submitScore(
+        uint256 _score,
+        string memory _playerName,
+        string memory _variant,
+        bytes32 _gameId,
+        uint256 _nonce,
+        uint256 _expiry,
+        bytes memory _signature
+    ) public {
+        _submitScore(msg.sender, _score, _playerName, _variant, _gameId, _nonce, _expiry, _signature);
+    }
+
+    // Submit a score on a player's behalf, so a relayer can pay the gas. The player
+    // signs the submission, name included; the attestation is checked as usual and
+    // its nonce keeps the player's signature from being used twice.
+    function submitScoreFor(
+        address _player,
+        uint256 _score,
+        string memory _playerName,
+        string memory _variant,
+        bytes32 _gameId,
+        uint256 _nonce,
+        uint256 _expiry,
+        bytes memory _signature,
+        bytes memory _playerSignature
+    ) public {
+        require(_player != address(0), "Player required");
+
+        bytes32 structHash = keccak256(abi.encode(
+            SCORE_SUBMISSION_TYPEHASH,
+            _player,
+            _score,
+            keccak256(bytes(_playerName)),
+            keccak256(bytes(_variant)),
+            _gameId,
+            _nonce
+        ));
+        require(_recoverSigner(_hashTypedData(structHash), _playerSignature) == _player, "Invalid player signature");
+
+        _submitScore(_player, _score, _playerName, _variant, _gameId, _nonce, _expiry, _signature);
     }
     
-    // Get top N players
+    // Record a tournament's final standings: players in finishing order with their
+    // total tournament score. The full list is in the event, the hash stays in storage.
+    function commitTournamentResults(
+        uint256 _tournamentId,
+        address[] memory _players,
+        uint256[] memory _scores
+    ) public onlyVerifier {
+        require(tournamentResults[_tournamentId] == bytes32(0), "Results already committed");
+        require(_players.length > 0, "Players required");
+        require(_players.length == _scores.length, "Length mismatch");
+
+        bytes32 resultsHash = keccak256(abi.encode(_players, _scores));
+        tournamentResults[_tournamentId] = resultsHash;
+
+        emit TournamentResults(_tournamentId, resultsHash, _players, _scores);
+    }
+
+    // Get top N players of the default variant
     function getTopPlayers(uint256 _count) public view returns (LeaderboardEntry[] memory) {
+        return getTopPlayersForVariant(DEFAULT_VARIANT, _count);
+    }
+
+    // Get top N players of a variant
+    function getTopPlayersForVariant(string memory _variant, uint256 _count) public view returns (LeaderboardEntry[] memory) {
+        bytes32 board = keccak256(bytes(_variant));
+        address[] storage players = variantPlayers[board];
+
         uint256 count = _count;
         if (count > players.length) {
             count = players.length;
@@ -77,7 +172,7 @@ contract Game2048 {
         // Create array for sorting
         LeaderboardEntry[] memory allEntries = new LeaderboardEntry[](players.length);
         for (uint256 i = 0; i < players.length; i++) {
-            allEntries[i] = playerStats[players[i]];
+            allEntries[i] = variantStats[board][players[i]];
         }
         
         // Simple bubble sort (good enough for small leaderboard)
@@ -100,9 +195,14 @@ contract Game2048 {
         return topPlayers;
     }
     
-    // Get player stats
+    // Get player stats on the default variant
     function getPlayerStats(address _player) public view returns (LeaderboardEntry memory) {
-        return playerStats[_player];
+        return getPlayerStatsForVariant(_player, DEFAULT_VARIANT);
+    }
+
+    // Get player stats on a variant
+    function getPlayerStatsForVariant(address _player, string memory _variant) public view returns (LeaderboardEntry memory) {
+        return variantStats[keccak256(bytes(_variant))][_player];
     }
     
     // Get recent scores
@@ -126,4 +226,90 @@ contract Game2048 {
     function getTotalGamesPlayed() public view returns (uint256) {
         return allScores.length;
     }
+
+    function _hashTypedData(bytes32 _structHash) private view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _structHash));
+    }
+
+    function _submitScore(
+        address _player,
+        uint256 _score,
+        string memory _playerName,
+        string memory _variant,
+        bytes32 _gameId,
+        uint256 _nonce,
+        uint256 _expiry,
+        bytes memory _signature
+    ) private {
+        require(_score > 0, "Score must be greater than 0");
+        require(bytes(_playerName).length > 0, "Player name required");
+        require(bytes(_variant).length > 0, "Variant required");
+        require(block.timestamp <= _expiry, "Attestation expired");
+        require(!usedNonces[_nonce], "Nonce already used");
+
+        bytes32 structHash = keccak256(abi.encode(
+            SCORE_ATTESTATION_TYPEHASH,
+            _player,
+            _score,
+            keccak256(bytes(_variant)),
+            _gameId,
+            _nonce,
+            _expiry
+        ));
+        require(_recoverSigner(_hashTypedData(structHash), _signature) == verifier, "Invalid attestation");
+
+        usedNonces[_nonce] = true;
+        _recordScore(_player, _score, _playerName, _variant);
+    }
+
+    function _recordScore(address _player, uint256 _score, string memory _playerName, string memory _variant) private {
+        allScores.push(Score({
+            player: _player,
+            score: _score,
+            timestamp: block.timestamp,
+            playerName: _playerName,
+            variant: _variant
+        }));
+        
+        // Update player stats on this variant's leaderboard
+        bytes32 board = keccak256(bytes(_variant));
+        LeaderboardEntry storage entry = variantStats[board][_player];
+        
+        if (entry.gamesPlayed == 0) {
+            variantPlayers[board].push(_player);
+            entry.player = _player;
+            entry.playerName = _playerName;
+        }
+        
+        entry.gamesPlayed++;
+        entry.totalScore += _score;
+        
+        if (_score > entry.highScore) {
+            entry.highScore = _score;
+            entry.playerName = _playerName; // Update name with high score
+            emit NewHighScore(_player, _playerName, _score, block.timestamp, _variant);
+        }
+        
+        emit GamePlayed(_player, _score, block.timestamp, _variant);
+    }
+
+    function _recoverSigner(bytes32 _digest, bytes memory _signature) private pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+
+        require(uint256(s) <= HALF_CURVE_ORDER, "Invalid signature");
+        require(v == 27 || v == 28, "Invalid signature");
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
 }
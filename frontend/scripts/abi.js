@@ -0,0 +1,252 @@
+// scripts/abi.js
+// The Hardhat artifacts are the only source of the contract ABIs. `generate` copies
+// them to shared/abi/<Contract>.json, which the backend imports, and writes a typed
+// ethers client for each contract to frontend/src/contracts/<Contract>.js.
+// `check` compiles the contracts, then fails when anything has drifted from them:
+//   - shared/abi or frontend/src/contracts is stale against artifacts/
+//   - a hand-written "function ..."/"event ..." fragment in backend/ or frontend/src
+//     doesn't match the contract
+//   - a deployments manifest was deployed from a different ABI
+// With ARTIFACTS_DIR set, the artifacts there are checked as they are.
+//
+//   node frontend/scripts/abi.js generate|check
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(ROOT, 'artifacts', 'contracts');
+const ABI_DIR = path.join(ROOT, 'shared', 'abi');
+const CLIENTS_DIR = path.join(ROOT, 'frontend', 'src', 'contracts');
+const DEPLOYMENTS_DIR = path.join(ROOT, 'deployments');
+const SOURCE_DIRS = ['backend', 'frontend/src'];
+
+// Must match the abiHash deploy.js writes to the manifests
+const abiHash = (abi) => ethers.id(JSON.stringify(abi));
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const formatAbi = (abi) => JSON.stringify(abi, null, 2) + '\n';
+
+// ABIs of the contracts in contracts/, by contract name
+const readArtifacts = () => {
+  const abis = {};
+  for (const source of fs.readdirSync(path.join(ROOT, 'contracts')).filter(file => file.endsWith('.sol'))) {
+    const dir = path.join(ARTIFACTS_DIR, source);
+    if (!fs.existsSync(dir)) return null;
+    for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.json') && !file.endsWith('.dbg.json'))) {
+      const artifact = readJson(path.join(dir, file));
+      abis[artifact.contractName] = artifact.abi;
+    }
+  }
+  return abis;
+};
+
+const readSharedAbis = () => Object.fromEntries(
+  fs.readdirSync(ABI_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), readJson(path.join(ABI_DIR, file))])
+);
+
+const listSources = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const file = path.join(dir, entry.name);
+  if (entry.isDirectory()) {
+    return entry.name === 'node_modules' || entry.name === 'data' ? [] : listSources(file);
+  }
+  return /\.(js|jsx)$/.test(entry.name) ? [file] : [];
+});
+
+// JSDoc types of ABI parameters: what ethers accepts as an argument, and what it returns
+const inputType = (param) => {
+  const array = /^(.*)\[\d*\]$/.exec(param.type);
+  if (array) return `Array<${inputType({ ...param, type: array[1] })}>`;
+  if (param.type === 'tuple') return structType(param.components, inputType);
+  if (/^u?int\d*$/.test(param.type)) return 'BigNumberish';
+  if (param.type === 'address') return 'AddressLike';
+  if (param.type === 'bool') return 'boolean';
+  if (param.type === 'string') return 'string';
+  return 'BytesLike';
+};
+
+const outputType = (param) => {
+  const array = /^(.*)\[\d*\]$/.exec(param.type);
+  if (array) return `Array<${outputType({ ...param, type: array[1] })}>`;
+  if (param.type === 'tuple') return structType(param.components, outputType);
+  if (/^u?int\d*$/.test(param.type)) return 'bigint';
+  if (param.type === 'bool') return 'boolean';
+  return 'string';
+};
+
+const structType = (components, typeOf) => {
+  return `{ ${components.map(component => `${component.name}: ${typeOf(component)}`).join(', ')} }`;
+};
+
+// "ContractMethod<[player: AddressLike, count: BigNumberish], bigint, bigint>": the arguments,
+// what a static call resolves with, and what calling it does (a transaction unless it's a view)
+const methodType = (fragment) => {
+  const params = fragment.inputs.map((input, i) => `${input.name.replace(/^_+/, '') || `arg${i}`}: ${inputType(input)}`);
+  const outputs = fragment.outputs.map(outputType);
+  const result = outputs.length === 0 ? 'void' : outputs.length === 1 ? outputs[0] : `[${outputs.join(', ')}]`;
+  const isView = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+  return `ContractMethod<[${params.join(', ')}], ${result}, ${isView ? result : 'ContractTransactionResponse'}>`;
+};
+
+// Client module for one contract. ethers only exposes overloaded functions by
+// their signature, so those are typed under it.
+const clientModule = (name, abi) => {
+  const functions = abi.filter(item => item.type === 'function');
+  const counts = functions.reduce((map, { name }) => map.set(name, (map.get(name) || 0) + 1), new Map());
+  const methods = functions.map(fragment => {
+    const key = counts.get(fragment.name) > 1
+      ? `'${fragment.name}(${fragment.inputs.map(input => ethers.ParamType.from(input).format('sighash')).join(',')})'`
+      : fragment.name;
+    return ` *   ${key}: ${methodType(fragment)}`;
+  });
+
+  const body = methods.join(',\n');
+  // ContractMethod needs ContractTransactionResponse either way
+  const aliases = ['AddressLike', 'BigNumberish', 'BytesLike', 'ContractTransactionResponse']
+    .filter(type => type === 'ContractTransactionResponse' || new RegExp(`\\b${type}\\b`).test(body))
+    .map(type => `/** @typedef {import('ethers').${type}} ${type} */\n`)
+    .join('');
+
+  return `// frontend/src/contracts/${name}.js
+// Generated by scripts/abi.js from the ${name} artifact, do not edit. Run
+// \`npm run compile\` at the repo root after changing the contract.
+import { Contract } from 'ethers';
+import abi from '../../../shared/abi/${name}.json';
+
+${aliases}
+/**
+ * @template {Array<any>} A
+ * @template R
+ * @template {R | ContractTransactionResponse} D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} ContractMethod
+ */
+
+/**
+ * The ${name} functions, as ethers exposes them on the contract
+ * @typedef {{
+${body}
+ * }} ${name}Methods
+ */
+
+export { abi };
+
+/**
+ * ${name} at \`address\`: connected to a signer it sends transactions, to a provider it only reads
+ * @param {string} address
+ * @param {import('ethers').ContractRunner} [runner]
+ * @returns {Contract & ${name}Methods}
+ */
+export const connect${name} = (address, runner) => {
+  return /** @type {Contract & ${name}Methods} */ (new Contract(address, abi, runner));
+};
+`;
+};
+
+// Build the artifacts from the current contracts, so they can't be stale or missing.
+// Returns whether that worked; Hardhat prints why it didn't.
+const compile = () => {
+  try {
+    execFileSync('npx', ['hardhat', 'compile', '--quiet'], { cwd: ROOT, stdio: 'inherit' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+function generate() {
+  const abis = readArtifacts();
+  if (!abis) {
+    throw new Error('No artifacts found, run `npx hardhat compile` first');
+  }
+
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  fs.mkdirSync(CLIENTS_DIR, { recursive: true });
+  for (const [name, abi] of Object.entries(abis)) {
+    fs.writeFileSync(path.join(ABI_DIR, `${name}.json`), formatAbi(abi));
+    console.log(`shared/abi/${name}.json`);
+    fs.writeFileSync(path.join(CLIENTS_DIR, `${name}.js`), clientModule(name, abi));
+    console.log(`frontend/src/contracts/${name}.js`);
+  }
+}
+
+// Returns a list of problems
+function check() {
+  if (!process.env.ARTIFACTS_DIR && !compile()) {
+    return ['Compiling the contracts failed, the ABIs can\'t be checked without the artifacts'];
+  }
+
+  const abis = readArtifacts();
+  if (!abis) {
+    return [`No artifacts found in ${path.relative(ROOT, ARTIFACTS_DIR)}, run \`npm run compile\``];
+  }
+
+  const problems = [];
+  const shared = readSharedAbis();
+
+  for (const [name, abi] of Object.entries(abis)) {
+    const generated = [
+      [path.join(ABI_DIR, `${name}.json`), formatAbi(abi)],
+      [path.join(CLIENTS_DIR, `${name}.js`), clientModule(name, abi)]
+    ];
+    for (const [file, contents] of generated) {
+      if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== contents) {
+        problems.push(`${path.relative(ROOT, file)} is out of date, run \`npm run compile\``);
+      }
+    }
+  }
+
+  // Every function/event fragment hand-written in the apps must exist, with the
+  // same inputs and outputs, in one of the contracts
+  const known = new Set(Object.values(shared).flatMap(abi =>
+    new ethers.Interface(abi).fragments.map(fragment => fragment.format('minimal'))
+  ));
+  for (const file of SOURCE_DIRS.flatMap(dir => listSources(path.join(ROOT, dir)))) {
+    const source = fs.readFileSync(file, 'utf8');
+    for (const [, fragment] of source.matchAll(/["'`]((?:function|event) \w+\([^"'`]*)["'`]/g)) {
+      let minimal;
+      try {
+        minimal = ethers.Fragment.from(fragment).format('minimal');
+      } catch (error) {
+        continue; // not an ABI fragment, just text that looks like one
+      }
+      if (!known.has(minimal)) {
+        problems.push(`${path.relative(ROOT, file)}: "${fragment}" does not match any contract ABI`);
+      }
+    }
+  }
+
+  if (fs.existsSync(DEPLOYMENTS_DIR)) {
+    for (const file of fs.readdirSync(DEPLOYMENTS_DIR).filter(file => file.endsWith('.json'))) {
+      const manifest = readJson(path.join(DEPLOYMENTS_DIR, file));
+      for (const [name, contract] of Object.entries(manifest.contracts)) {
+        if (shared[name] && contract.abiHash !== abiHash(shared[name])) {
+          problems.push(`deployments/${file}: ${name} was deployed from a different ABI, redeploy it`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+const command = process.argv[2];
+
+if (command === 'generate') {
+  generate();
+} else if (command === 'check') {
+  const problems = check();
+  for (const problem of problems) {
+    console.error(problem);
+  }
+  if (problems.length > 0) {
+    process.exit(1);
+  }
+  console.log('Contract ABIs are in sync');
+} else {
+  console.error('Usage: node scripts/abi.js generate|check');
+  process.exit(1);
+}
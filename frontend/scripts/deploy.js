@@ -1,28 +1,138 @@
 // scripts/deploy.js
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
 
+// One manifest per network, read by backend/deployments.js and frontend/src/deployments.js
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const MANIFEST_VERSION = 1;
+
+// Public endpoints per network; manifests are committed, so the RPC url from
+// hardhat.config (which may carry an API key) is never written to them
+const NETWORKS = {
+  fluentDevnet: { rpcUrl: "https://rpc.dev.gblend.xyz/", explorerUrl: "https://blockscout.dev.gblend.xyz" },
+  fluentTestnet: { rpcUrl: "https://rpc.testnet.fluent.xyz/", explorerUrl: "https://blockscout.testnet.fluent.xyz" },
+  hardhat: { rpcUrl: "http://127.0.0.1:8545", explorerUrl: null },
+  localhost: { rpcUrl: "http://127.0.0.1:8545", explorerUrl: null },
+};
+
+const loadManifest = (file) => {
+  if (!fs.existsSync(file)) return null;
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployments manifest version ${manifest.version} in ${file}`);
+  }
+  return manifest;
+};
+
+// Record deployed contracts in deployments/<network>.json, keeping earlier
+// deployments in `history`. The ABI itself lives in shared/abi (see abi.js); the
+// hash records which version of it a deployment was built from
+async function writeManifest(deployed) {
+  const network = hre.network.name;
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  const previous = loadManifest(file);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const endpoints = NETWORKS[network] || {};
+  const manifest = {
+    version: MANIFEST_VERSION,
+    network,
+    chainId: Number(chainId),
+    rpcUrl: process.env.PUBLIC_RPC_URL || endpoints.rpcUrl || null,
+    explorerUrl: process.env.EXPLORER_URL || endpoints.explorerUrl || null,
+    contracts: { ...(previous ? previous.contracts : {}) },
+    history: previous ? previous.history : [],
+  };
+
+  for (const [name, contract] of Object.entries(deployed)) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    const receipt = await contract.deploymentTransaction().wait();
+
+    if (manifest.contracts[name]) {
+      manifest.history.push({ name, ...manifest.contracts[name] });
+    }
+    manifest.contracts[name] = {
+      address: await contract.getAddress(),
+      abiHash: hre.ethers.id(JSON.stringify(abi)),
+      deployBlock: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      deployedAt: new Date().toISOString(),
+    };
+  }
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  console.log("Deployments manifest written to:", path.relative(process.cwd(), file));
+}
+
+// Address whose EIP-712 attestations the contracts accept (the backend's VERIFIER_PRIVATE_KEY).
+// Checked before anything is deployed, so a missing setting doesn't cost a deployment.
+function getVerifier() {
+  const { VERIFIER_ADDRESS, VERIFIER_PRIVATE_KEY } = process.env;
+  if (VERIFIER_ADDRESS) {
+    if (!hre.ethers.isAddress(VERIFIER_ADDRESS)) {
+      throw new Error(`VERIFIER_ADDRESS is not a valid address: ${VERIFIER_ADDRESS}`);
+    }
+    return hre.ethers.getAddress(VERIFIER_ADDRESS);
+  }
+  if (VERIFIER_PRIVATE_KEY) {
+    return new hre.ethers.Wallet(VERIFIER_PRIVATE_KEY).address;
+  }
+  throw new Error(
+    "No score verifier configured. Set VERIFIER_ADDRESS to the backend's verifier address, " +
+    "or VERIFIER_PRIVATE_KEY to the key the backend signs attestations with."
+  );
+}
+
 async function main() {
-  console.log("Deploying Game2048 contract to Fluent testnet...");
+  const verifier = getVerifier();
+
+  console.log(`Deploying Game2048 contract to ${hre.network.name}...`);
+  console.log("Score verifier:", verifier);
   
   const Game2048 = await hre.ethers.getContractFactory("Game2048");
-  const game = await Game2048.deploy();
+  const game = await Game2048.deploy(verifier);
   
   await game.waitForDeployment();
   
   console.log("Game2048 deployed to:", await game.getAddress());
+  const deployed = { Game2048: game };
+
+  // Optional soulbound achievement badges, signed for by the same verifier
+  // (the backend enables minting once the manifest lists Achievements)
+  if (process.env.DEPLOY_ACHIEVEMENTS === "true") {
+    const Achievements = await hre.ethers.getContractFactory("Achievements");
+    const achievements = await Achievements.deploy(verifier);
+    await achievements.waitForDeployment();
+    console.log("Achievements deployed to:", await achievements.getAddress());
+    deployed.Achievements = achievements;
+  }
+
+  await writeManifest(deployed);
+
+  // Local nodes have nothing to verify against
+  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
+    return;
+  }
   
-  // Verify contract
+  // Verify every deployed contract on the explorer; both take the verifier as their only argument
   console.log("Waiting for block confirmations...");
-  await game.deploymentTransaction().wait(5);
-  
-  console.log("Verifying contract...");
-  try {
-    await hre.run("verify:verify", {
-      address: await game.getAddress(),
-      constructorArguments: [],
-    });
-  } catch (error) {
-    console.error("Error verifying contract:", error);
+  for (const contract of Object.values(deployed)) {
+    await contract.deploymentTransaction().wait(5);
+  }
+
+  for (const [name, contract] of Object.entries(deployed)) {
+    console.log(`Verifying ${name}...`);
+    try {
+      await hre.run("verify:verify", {
+        address: await contract.getAddress(),
+        contract: `contracts/${name}.sol:${name}`,
+        constructorArguments: [verifier],
+      });
+    } catch (error) {
+      console.error(`Error verifying ${name}:`, error);
+    }
   }
 }
 
@@ -0,0 +1,131 @@
+// scripts/dev.js
+// Offline development stack: a local Hardhat node with Game2048 and Achievements
+// deployed (deploy.js), the backend indexing it, games seeded through the backend
+// (seed.js) and the Vite dev server pointed at it. Every run starts from a fresh
+// chain. Ctrl+C stops it all.
+//   npm run dev   (from the repository root)
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const ROOT = path.join(__dirname, "..", "..");
+const NETWORK = "localhost";
+const RPC_URL = "http://127.0.0.1:8545";
+const BACKEND_PORT = process.env.PORT || 3001;
+const BACKEND_URL = `http://localhost:${BACKEND_PORT}`;
+const NODE_LOG = path.join(ROOT, "cache", "hardhat-node.log");
+const NODE_TIMEOUT = 60 * 1000; // ms
+const BACKEND_TIMEOUT = 30 * 1000; // ms
+
+// Well-known keys of the Hardhat node's default accounts #1 and #2, never use them elsewhere
+const VERIFIER_PRIVATE_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const RELAYER_PRIVATE_KEY = "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a";
+
+const children = [];
+
+const start = (command, args, options = {}) => {
+  const child = spawn(command, args, {
+    cwd: ROOT,
+    stdio: "inherit",
+    shell: process.platform === "win32",
+    ...options,
+    env: { ...process.env, ...options.env },
+  });
+  children.push(child);
+  return child;
+};
+
+const stopAll = (code = 0) => {
+  for (const child of children) {
+    if (child.exitCode === null) child.kill();
+  }
+  process.exit(code);
+};
+
+// A service stopping takes the whole stack down with it
+const startService = (name, command, args, options) => {
+  const child = start(command, args, options);
+  child.on("exit", (code) => {
+    console.error(`${name} exited with code ${code}`);
+    stopAll(1);
+  });
+  return child;
+};
+
+// Runs a command to completion
+const run = (command, args, options) => new Promise((resolve, reject) => {
+  start(command, args, options).on("exit", (code) => {
+    code === 0 ? resolve() : reject(new Error(`${command} ${args.join(" ")} exited with code ${code}`));
+  });
+});
+
+// Resolves once `url` answers, rejects with `message` after `timeout` ms
+const waitFor = async (url, options, timeout, message) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(url, options);
+      if (response.ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  throw new Error(message);
+};
+
+const waitForNode = () => waitFor(RPC_URL, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }),
+}, NODE_TIMEOUT, `Hardhat node did not start within ${NODE_TIMEOUT / 1000}s, see ${NODE_LOG}`);
+
+const waitForBackend = () => waitFor(`${BACKEND_URL}/api/health`, {}, BACKEND_TIMEOUT,
+  `Backend did not start within ${BACKEND_TIMEOUT / 1000}s`);
+
+async function main() {
+  // The chain is new every run, so the previous deployment and backend state are stale
+  fs.rmSync(path.join(ROOT, "deployments", `${NETWORK}.json`), { force: true });
+  fs.rmSync(path.join(ROOT, "backend", "data", NETWORK), { recursive: true, force: true });
+
+  console.log(`Starting Hardhat node on ${RPC_URL} (log: ${path.relative(ROOT, NODE_LOG)})...`);
+  fs.mkdirSync(path.dirname(NODE_LOG), { recursive: true });
+  const log = fs.openSync(NODE_LOG, "w");
+  startService("Hardhat node", "npx", ["hardhat", "node"], { stdio: ["ignore", log, log] });
+  await waitForNode();
+
+  const hardhatEnv = { VERIFIER_PRIVATE_KEY, DEPLOY_ACHIEVEMENTS: "true" };
+  await run("npx", ["hardhat", "run", "frontend/scripts/deploy.js", "--network", NETWORK], { env: hardhatEnv });
+
+  startService("Backend", "node", ["server.js"], {
+    cwd: path.join(ROOT, "backend"),
+    env: {
+      NETWORK,
+      PORT: String(BACKEND_PORT),
+      VERIFIER_PRIVATE_KEY,
+      RELAYER_PRIVATE_KEY,
+      // Local blocks are never reorged
+      INDEXER_CONFIRMATIONS: "0",
+      INDEXER_POLL_INTERVAL: "1000",
+    },
+  });
+  await waitForBackend();
+
+  // Seeded games are verified by the backend, so they can be replayed like real ones
+  await run("npx", ["hardhat", "run", "frontend/scripts/seed.js", "--network", NETWORK], { env: { BACKEND_URL } });
+
+  startService("Vite", "npm", ["run", "dev"], {
+    cwd: path.join(ROOT, "frontend"),
+    env: { VITE_NETWORK: NETWORK, VITE_RPC_URL: RPC_URL, VITE_BACKEND_URL: BACKEND_URL },
+  });
+
+  console.log("\nImport one of the accounts printed in the node log into your wallet to play.");
+}
+
+process.on("SIGINT", () => stopAll());
+process.on("SIGTERM", () => stopAll());
+
+main().catch((error) => {
+  console.error(error);
+  stopAll(1);
+});
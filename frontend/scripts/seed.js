@@ -0,0 +1,109 @@
+// scripts/seed.js
+// Fills a local Game2048 deployment with synthetic players and games, each player
+// submitting from their own Hardhat account. The games are played with the shared
+// engine and verified by the running backend like any other, so they come with
+// replayable move logs and show up on its leaderboard.
+//   npx hardhat run frontend/scripts/seed.js --network localhost   (backend running)
+const hre = require("hardhat");
+const { loadShared } = require("../../backend/shared");
+
+const BACKEND_URL = process.env.BACKEND_URL || "http://localhost:3001";
+const PLAYER_NAMES = ["Alice", "Bob", "Carol", "Dave", "Erin", "Frank", "Grace"];
+const GAMES_PER_PLAYER = Number(process.env.SEED_GAMES_PER_PLAYER || 4);
+// Accounts 0-2 are the deployer, the verifier and the relayer in the dev stack
+const FIRST_PLAYER_ACCOUNT = 3;
+
+// Most games on the default board, a few on the others
+const pickVariant = (game) => ["classic/4x4", "classic/4x4", "fibonacci/4x4", "classic/5x5"][game % 4];
+
+// Must match signInMessage in backend/auth.js
+const signInMessage = (address, issuedAt) => {
+  return `Sign in to Blockchain 2048 to sync your games.\n\nAddress: ${address}\nIssued at: ${issuedAt}`;
+};
+
+const request = async (method, route, { token, body } = {}) => {
+  const response = await fetch(`${BACKEND_URL}${route}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(`${method} ${route}: ${data.error || response.status}`);
+  return data;
+};
+
+const signIn = async (player) => {
+  const issuedAt = new Date().toISOString();
+  const signature = await player.signMessage(signInMessage(player.address, issuedAt));
+  const { token } = await request("POST", "/api/auth/session", { body: { address: player.address, issuedAt, signature } });
+  return token;
+};
+
+// Play out a game from the backend's seed in random directions, so every player and
+// game ends up with a different score
+const playGame = (shared, { seed, variant }) => {
+  const { createGame, applyMove, createRng, DIRECTIONS, encodeMoves, parseVariantKey } = shared;
+  const rules = parseVariantKey(variant);
+  const rng = createRng(seed);
+  const pick = createRng(`${seed}/moves`);
+  let state = createGame({ size: rules.size, variant: rules.variant, rng });
+  const moves = [];
+
+  while (!state.over) {
+    const direction = DIRECTIONS[Math.floor(pick() * DIRECTIONS.length)];
+    const result = applyMove(state, direction, rng);
+    if (result.moved) {
+      state = result.state;
+      moves.push(direction);
+    }
+  }
+  return { moves: encodeMoves(moves), score: state.score };
+};
+
+async function main() {
+  const shared = await loadShared();
+  const { contract } = await request("GET", "/api/health");
+  const game = await hre.ethers.getContractAt("Game2048", contract);
+
+  const signers = await hre.ethers.getSigners();
+  const players = signers.slice(FIRST_PLAYER_ACCOUNT, FIRST_PLAYER_ACCOUNT + PLAYER_NAMES.length);
+  console.log(`Seeding ${players.length} players with ${GAMES_PER_PLAYER} games each...`);
+
+  for (const [index, player] of players.entries()) {
+    const token = await signIn(player);
+
+    for (let i = 0; i < GAMES_PER_PLAYER; i++) {
+      const variant = pickVariant(i);
+      const { seed } = await request("POST", "/api/games/start", { token });
+      const { moves, score } = playGame(shared, { seed, variant });
+      const attestation = await request("POST", "/api/games/verify", {
+        token,
+        body: { player: player.address, seed, moves, score, variant },
+      });
+
+      const tx = await game.connect(player).submitScore(
+        attestation.score,
+        PLAYER_NAMES[index],
+        attestation.variant,
+        attestation.gameId,
+        attestation.nonce,
+        attestation.expiry,
+        attestation.signature
+      );
+      await tx.wait();
+    }
+    console.log(`${PLAYER_NAMES[index]} (${player.address})`);
+  }
+
+  console.log("Total games on-chain:", (await game.getTotalGamesPlayed()).toString());
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,83 +1,181 @@
 // frontend/src/App.jsx
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { ethers } from 'ethers';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import toast, { Toaster } from 'react-hot-toast';
 import io from 'socket.io-client';
+import { useAccount, useAccountEffect, useSwitchChain } from 'wagmi';
+import { ConnectButton } from '@rainbow-me/rainbowkit';
+import { createGame, applyMove, findNewMilestones } from '../../shared/engine.js';
+import { createRng, randomSeed } from '../../shared/rng.js';
+import { encodeMoves, UNDO, UNDO_LIMIT } from '../../shared/replay.js';
+import { gridToTiles, moveTiles } from '../../shared/tiles.js';
+import { createRecording, parseRecording, unpackRecording } from '../../shared/recording.js';
+import { VARIANTS, DEFAULT_VARIANT, variantKey, parseVariantKey } from '../../shared/variants.js';
+import { getAchievement } from '../../shared/achievements.js';
+import {
+  getBackendUrl,
+  verifyGameLog,
+  fetchConfig,
+  signIn,
+  fetchSavedGame,
+  uploadSavedGame,
+  fetchRecording,
+  startGame,
+  startDailyChallenge,
+  startTournamentRound,
+  relayScore,
+} from './api.js';
+import { serializeGame, restoreGame, loadLocalGame, saveLocalGame } from './savedGame.js';
+import {
+  createEntry,
+  loadQueue,
+  saveQueue,
+  isDue,
+  getRetryDelay,
+  replaceTransaction,
+  MAX_ATTEMPTS,
+  STUCK_AFTER,
+} from './submissionQueue.js';
+import Leaderboard from './components/Leaderboard.jsx';
+import PlayerProfile from './components/PlayerProfile.jsx';
+import GameSettings from './components/GameSettings.jsx';
+import GameBoard, { SLIDE_DURATION } from './components/GameBoard.jsx';
+import ReplayViewer from './components/ReplayViewer.jsx';
+import DailyChallenge from './components/DailyChallenge.jsx';
+import Versus from './components/Versus.jsx';
+import Spectate from './components/Spectate.jsx';
+import Tournaments from './components/Tournaments.jsx';
+import PendingSubmissions from './components/PendingSubmissions.jsx';
+import { fluent, useEthersSigner } from './wagmi.js';
+import { getContract } from './deployments.js';
+import { connectGame2048 } from './contracts/Game2048.js';
 import './App.css';
 
 // Game constants
-const GRID_SIZE = 4;
-const CELL_COUNT = GRID_SIZE * GRID_SIZE;
+const DEFAULT_SETTINGS = { variant: DEFAULT_VARIANT, size: 4, winTile: VARIANTS[DEFAULT_VARIANT].winTile };
+const SYNC_DELAY = 2000; // Batch moves into one upload to the backend, in ms
+const MOVE_QUEUE_LIMIT = 4; // Moves buffered while tiles are still sliding
 
-// Dynamic backend URL detection
-const getBackendUrl = () => {
-  if (import.meta.env.VITE_BACKEND_URL) {
-    return import.meta.env.VITE_BACKEND_URL;
+// Identifies this tab's live stream, so a reconnect resumes it instead of starting another
+const getLiveStreamId = () => {
+  let streamId = sessionStorage.getItem('liveStreamId');
+  if (!streamId) {
+    streamId = crypto.randomUUID();
+    sessionStorage.setItem('liveStreamId', streamId);
   }
-  
-  const hostname = window.location.hostname;
-  const protocol = window.location.protocol;
-  
-  if (hostname.includes('github.dev')) {
-    return `${protocol}//${hostname.replace('-5173', '-3001')}`;
-  }
-  
-  if (hostname.includes('csb.app')) {
-    return `${protocol}//${hostname.replace('5173', '3001')}`;
-  }
-  
-  if (hostname.includes('gitpod.io')) {
-    return `${protocol}//3001-${hostname.split('-')[1]}`;
-  }
-  
-  if (hostname === 'localhost' || hostname === '127.0.0.1') {
-    return 'http://localhost:3001';
-  }
-  
-  return `${protocol}//${hostname}:3001`;
+  return streamId;
+};
+
+// Token the backend issued when the stream started; a reconnect needs it to take the stream back
+const LIVE_TOKEN_KEY = 'liveStreamToken';
+
+const getUndoPolicyNote = ({ undoPolicy, undoPenalty }) => {
+  if (undoPolicy === 'penalized') return `Each undo costs ${undoPenalty}% of the submitted score.`;
+  if (undoPolicy === 'separate') return 'Games that used undo are ranked on a separate leaderboard.';
+  return 'Games that used undo cannot be submitted.';
 };
 
-// Contract configuration
-const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || "0x51041c822b72899aaa3a6baa9a07f92a33efa1fe";
-const CONTRACT_ABI = [
-  "function submitScore(uint256 _score, string memory _playerName) public",
-  "function getTopPlayers(uint256 _count) public view returns (tuple(address player, string playerName, uint256 highScore, uint256 gamesPlayed, uint256 totalScore)[])",
-  "function getPlayerStats(address _player) public view returns (uint256 highScore, uint256 gamesPlayed, uint256 totalScore, string memory playerName)"
-];
-
-// Fluent Network Configuration
-const FLUENT_NETWORK = {
-  chainId: '0x5202', // 1555 in hex
-  chainName: 'Fluent Devnet',
-  nativeCurrency: {
-    name: 'Fluent',
-    symbol: 'FLU',
-    decimals: 18
-  },
-  rpcUrls: ['https://rpc.testnet.fluent.xyz/'],
-  blockExplorerUrls: ['https://blockscout.testnet.fluent.xyz/']
+// Contract configuration, from the deployments manifest of VITE_NETWORK
+const game2048 = getContract('Game2048');
+const CONTRACT_ADDRESS = game2048.address || import.meta.env.VITE_CONTRACT_ADDRESS;
+
+// How often the submission queue looks for due entries
+const QUEUE_INTERVAL = 5000; // ms
+
+// EIP-712 type the player signs for relayed submissions
+const SCORE_SUBMISSION_TYPES = {
+  ScoreSubmission: [
+    { name: 'player', type: 'address' },
+    { name: 'score', type: 'uint256' },
+    { name: 'playerName', type: 'string' },
+    { name: 'variant', type: 'string' },
+    { name: 'gameId', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+  ],
 };
 
 function App() {
   // State management
-  const [grid, setGrid] = useState([]);
-  const [score, setScore] = useState(0);
+  const [game, setGame] = useState(null);
   const [bestScore, setBestScore] = useState(0);
-  const [gameOver, setGameOver] = useState(false);
-  const [account, setAccount] = useState(null);
-  const [signer, setSigner] = useState(null);
-  const [contract, setContract] = useState(null);
+  // Wallet state comes from wagmi; there is only a signer while the wallet is on Fluent
+  const { address: account, chainId } = useAccount();
+  const isCorrectNetwork = chainId === fluent.id;
+  const signer = useEthersSigner({ chainId: fluent.id });
+  const { switchChainAsync } = useSwitchChain();
+  const contract = useMemo(() => {
+    if (!signer || !CONTRACT_ADDRESS || CONTRACT_ADDRESS === "0x0000000000000000000000000000000000000000") return null;
+    return connectGame2048(CONTRACT_ADDRESS, signer);
+  }, [signer]);
   const [playerName, setPlayerName] = useState('');
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [leaderboard, setLeaderboard] = useState([]);
+  // Scores waiting to go on-chain, see submissionQueue.js
+  const [submissions, setSubmissions] = useState(loadQueue);
+  const [showSubmissions, setShowSubmissions] = useState(false);
+  const [leaderboardRefresh, setLeaderboardRefresh] = useState(0);
+  const [profileAddress, setProfileAddress] = useState(null);
   const [showNameModal, setShowNameModal] = useState(false);
   const [pendingScore, setPendingScore] = useState(0);
+  const [pendingLog, setPendingLog] = useState(null);
   const [socket, setSocket] = useState(null);
-  const [isCorrectNetwork, setIsCorrectNetwork] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [showWinModal, setShowWinModal] = useState(false);
+  const [milestones, setMilestones] = useState([]);
+  const [resumeOffer, setResumeOffer] = useState(null);
+  const [tileState, setTileState] = useState({ grid: null, tiles: [] });
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [showVersus, setShowVersus] = useState(false);
+  // null, or { streamId } with the live game to open (null streamId lists them all)
+  const [spectate, setSpectate] = useState(null);
+  const [streamLive, setStreamLive] = useState(() => localStorage.getItem('streamLive') === 'true');
+  const [liveViewers, setLiveViewers] = useState(0);
+  // Wallet sign-in with the backend, used by game sync and the daily challenge
+  const [session, setSession] = useState(() => JSON.parse(localStorage.getItem('session') || 'null'));
+  const [syncEnabled, setSyncEnabled] = useState(() => localStorage.getItem('syncEnabled') === 'true');
+  const [dailyDate, setDailyDate] = useState(null);
+  // { id, round, name, variant } while playing a tournament round
+  const [tournamentRound, setTournamentRound] = useState(null);
+  const [showTournaments, setShowTournaments] = useState(false);
+  const [undoCount, setUndoCount] = useState(0);
+  const [config, setConfig] = useState({ undoPolicy: 'disallowed', undoPenalty: 0 });
+  const [settings, setSettings] = useState(() => {
+    const saved = JSON.parse(localStorage.getItem('gameSettings') || 'null');
+    return saved && VARIANTS[saved.variant] ? saved : DEFAULT_SETTINGS;
+  });
   
   const touchStartRef = useRef({ x: null, y: null });
+  // Set while a queued submission is being worked on
+  const submittingRef = useRef(false);
   const gridRef = useRef(null);
+  const rngRef = useRef(null);
+  // The full move log, undos included; moveCount is how many moves are on the board
+  const gameLogRef = useRef({ seed: null, moves: [], moveCount: 0 });
+  const syncTimerRef = useRef(null);
+  const moveQueueRef = useRef([]);
+  const importInputRef = useRef(null);
+  // The last move's details, sent along with the board so spectators see it animate
+  const lastMoveRef = useRef(null);
+  const reducedMotion = useReducedMotion();
+  // Don't upload anything until the backend copy was checked, or it would be overwritten
+  const remoteCheckedRef = useRef(false);
+
+  // A session only counts while its wallet is the connected one
+  const hasSession = Boolean(
+    account && session &&
+    session.player.toLowerCase() === account.toLowerCase() &&
+    session.expiresAt > Date.now()
+  );
+  const isSyncing = hasSession && syncEnabled;
+
+  const score = game ? game.score : 0;
+  const gameOver = game ? game.over : false;
+
+  // Tiles carry ids across moves; any board that didn't come from a move (new game,
+  // undo, resume) starts a fresh set
+  const tiles = useMemo(() => {
+    if (!game) return [];
+    return tileState.grid === game.grid ? tileState.tiles : gridToTiles(game.grid);
+  }, [game, tileState]);
 
   // Initialize socket connection
   useEffect(() => {
@@ -98,10 +196,6 @@ function App() {
       console.error('Socket connection error:', error);
     });
 
-    newSocket.on('leaderboardUpdate', (newLeaderboard) => {
-      setLeaderboard(newLeaderboard);
-    });
-
     newSocket.on('newHighScore', (data) => {
       toast.success(`New high score by ${data.playerName}: ${data.score}!`, {
         duration: 5000,
@@ -116,72 +210,14 @@ function App() {
     };
   }, []);
 
-  // Network management functions
-  const addFluentNetwork = async () => {
-    try {
-      await window.ethereum.request({
-        method: 'wallet_addEthereumChain',
-        params: [FLUENT_NETWORK]
-      });
-      return true;
-    } catch (error) {
-      console.error('Error adding Fluent network:', error);
-      if (error.code === 4001) {
-        toast.error('Please approve adding Fluent network to continue');
-      } else {
-        toast.error('Failed to add Fluent network');
-      }
-      return false;
-    }
-  };
-
+  // Ask the wallet to switch to Fluent; wagmi adds the chain first if the wallet doesn't know it
   const switchToFluentNetwork = async () => {
     try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: FLUENT_NETWORK.chainId }]
-      });
+      await switchChainAsync({ chainId: fluent.id });
       return true;
     } catch (error) {
       console.error('Error switching network:', error);
-      
-      // If network doesn't exist (code 4902 or the error message indicates unrecognized chain)
-      if (error.code === 4902 || 
-          error.code === -32603 || 
-          error.message?.includes('Unrecognized chain') ||
-          error.message?.includes('wallet_addEthereumChain')) {
-        
-        toast.loading('Adding Fluent network...', { id: 'add-network' });
-        
-        try {
-          // Try to add the network
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [FLUENT_NETWORK]
-          });
-          
-          toast.success('Fluent network added!', { id: 'add-network' });
-          
-          // After adding, try to switch again
-          try {
-            await window.ethereum.request({
-              method: 'wallet_switchEthereumChain',
-              params: [{ chainId: FLUENT_NETWORK.chainId }]
-            });
-            return true;
-          } catch (switchError) {
-            console.error('Error switching after adding:', switchError);
-            toast.error('Please manually switch to Fluent network', { id: 'add-network' });
-            return false;
-          }
-        } catch (addError) {
-          console.error('Error adding network:', addError);
-          toast.error('Failed to add Fluent network', { id: 'add-network' });
-          return false;
-        }
-      }
-      
-      if (error.code === 4001) {
+      if (error.name === 'UserRejectedRequestError') {
         toast.error('Network switch cancelled');
       } else {
         toast.error('Please switch to Fluent network to continue');
@@ -190,230 +226,327 @@ function App() {
     }
   };
 
-  const checkNetwork = async () => {
-    if (!window.ethereum) return false;
-    
-    try {
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      const isCorrect = chainId === FLUENT_NETWORK.chainId;
-      setIsCorrectNetwork(isCorrect);
-      return isCorrect;
-    } catch (error) {
-      console.error('Error checking network:', error);
-      return false;
+  // Move newly connected wallets onto Fluent
+  useAccountEffect({
+    onConnect: ({ chainId: connectedChainId, isReconnected }) => {
+      if (!isReconnected) toast.success('Wallet connected!');
+      if (connectedChainId !== fluent.id) switchToFluentNetwork();
+    },
+  });
+
+  // Warn when the wallet leaves Fluent while connected
+  useEffect(() => {
+    if (account && chainId !== undefined && chainId !== fluent.id) {
+      toast.error('Please switch back to Fluent network!', {
+        id: 'wrong-network',
+        duration: 5000,
+        position: 'top-center'
+      });
     }
-  };
+  }, [account, chainId]);
 
-  // Initialize Web3 with network check
+  // Undo policy is decided by the backend that verifies scores
   useEffect(() => {
-    const initWeb3 = async () => {
-      if (typeof window.ethereum !== 'undefined') {
-        try {
-          // Check network first
-          await checkNetwork();
-          
-          const provider = new ethers.BrowserProvider(window.ethereum);
-          const network = await provider.getNetwork();
-          console.log('Connected to network:', network);
-          
-          if (CONTRACT_ADDRESS && CONTRACT_ADDRESS !== "0x0000000000000000000000000000000000000000") {
-            const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
-            setContract(contractInstance);
-          }
-        } catch (error) {
-          console.error('Error initializing Web3:', error);
-        }
-      }
-    };
+    fetchConfig()
+      .then(setConfig)
+      .catch(error => console.error('Error loading config:', error));
+  }, []);
 
-    initWeb3();
+  // Game initialization
+  // Daily challenge and tournament games come with their seed and event
+  const initializeGame = useCallback(({ variant, size, winTile }, { seed = randomSeed(), daily = null, tournament = null } = {}) => {
+    rngRef.current = createRng(seed);
+    gameLogRef.current = { seed, moves: [], moveCount: 0, daily, tournament };
+    setDailyDate(daily);
+    setTournamentRound(tournament);
+    moveQueueRef.current = [];
+    setHistory([]);
+    setUndoCount(0);
+    setMilestones([]);
+    setShowWinModal(false);
+    return createGame({ size, variant, winTile, rng: rngRef.current });
   }, []);
 
-  // Listen for network changes
   useEffect(() => {
-    if (window.ethereum) {
-      const handleChainChanged = async (chainId) => {
-        console.log('Network changed to:', chainId);
-        
-        const isCorrect = chainId === FLUENT_NETWORK.chainId;
-        setIsCorrectNetwork(isCorrect);
-        
-        if (!isCorrect && account) {
-          toast.error('Please switch back to Fluent network!', {
-            duration: 5000,
-            position: 'top-center'
-          });
-          // Disconnect wallet if wrong network
-          setAccount(null);
-          setSigner(null);
-        } else if (isCorrect && !account && window.ethereum.selectedAddress) {
-          // Reconnect if switched back to correct network
-          connectWallet();
-        }
-      };
-
-      const handleAccountsChanged = (accounts) => {
-        if (accounts.length === 0) {
-          // User disconnected wallet
-          setAccount(null);
-          setSigner(null);
-        } else if (accounts[0] !== account) {
-          // User switched accounts
-          checkNetwork().then(isCorrect => {
-            if (isCorrect) {
-              connectWallet();
-            }
-          });
-        }
-      };
-      
-      window.ethereum.on('chainChanged', handleChainChanged);
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
-      
-      return () => {
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-      };
-    }
-  }, [account]);
+    const savedBest = localStorage.getItem('bestScore');
+    if (savedBest) setBestScore(parseInt(savedBest));
+    setGame(initializeGame(settings));
 
-  // Load leaderboard
-  const loadLeaderboard = useCallback(async () => {
-    try {
-      const backendUrl = getBackendUrl();
-      const response = await fetch(`${backendUrl}/api/leaderboard`);
-      const data = await response.json();
-      setLeaderboard(data);
-    } catch (error) {
-      console.error('Error loading leaderboard:', error);
+    const saved = loadLocalGame();
+    if (saved && !saved.over && saved.moves.length > 0 && restoreGame(saved)) {
+      setResumeOffer(saved);
     }
-  }, []);
+  }, [initializeGame]);
 
-  // Load leaderboard on mount
+  // Save after every change; the pending resume prompt holds saving off so the old game survives until answered
   useEffect(() => {
-    loadLeaderboard();
-    const interval = setInterval(loadLeaderboard, 30000); // Refresh every 30 seconds
-    return () => clearInterval(interval);
-  }, [loadLeaderboard]);
+    if (!game || resumeOffer) return;
 
-  // Game initialization
-  const initializeGrid = useCallback(() => {
-    const newGrid = Array(CELL_COUNT).fill(0);
-    addNewTile(newGrid);
-    addNewTile(newGrid);
-    return newGrid;
-  }, []);
+    const saved = serializeGame({
+      game,
+      ...gameLogRef.current,
+      undoCount,
+      milestones,
+    });
+    saveLocalGame(saved);
+
+    if (!isSyncing || !remoteCheckedRef.current) return;
+    clearTimeout(syncTimerRef.current);
+    syncTimerRef.current = setTimeout(() => {
+      uploadSavedGame(session.token, saved).catch(handleSessionError);
+    }, SYNC_DELAY);
+  }, [game, milestones, undoCount, resumeOffer, isSyncing]);
 
+  // Offer the game saved on another device, if it's a different one still in progress
   useEffect(() => {
-    const savedBest = localStorage.getItem('bestScore');
-    if (savedBest) setBestScore(parseInt(savedBest));
-    setGrid(initializeGrid());
-  }, [initializeGrid]);
-
-  // Game logic functions
-  const addNewTile = (currentGrid) => {
-    const emptyCells = [];
-    currentGrid.forEach((cell, index) => {
-      if (cell === 0) emptyCells.push(index);
-    });
+    remoteCheckedRef.current = false;
+    if (!isSyncing) return;
+
+    fetchSavedGame(session.token)
+      .then(({ state }) => {
+        if (!state.over && state.seed !== gameLogRef.current.seed && restoreGame(state)) {
+          setResumeOffer({ ...state, remote: true });
+        }
+      })
+      .catch(error => {
+        if (error.status !== 404) handleSessionError(error);
+      })
+      .finally(() => {
+        remoteCheckedRef.current = true;
+      });
+  }, [isSyncing, session]);
 
-    if (emptyCells.length > 0) {
-      const randomIndex = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-      currentGrid[randomIndex] = Math.random() < 0.9 ? 2 : 4;
+  const handleSessionError = (error) => {
+    console.error('Error talking to the backend:', error);
+    if (error.status === 401) {
+      localStorage.removeItem('session');
+      setSession(null);
+      toast.error('Your sign-in expired, please sign in again');
     }
   };
 
-  const move = (direction) => {
-    if (gameOver) return;
+  // Current session, asking the wallet to sign in if there is none
+  const ensureSession = async () => {
+    if (hasSession) return session;
+    // wagmi only hands out a signer on Fluent
+    if (!signer) throw new Error('Switch to Fluent network to sign in');
 
-    const newGrid = [...grid];
-    let moved = false;
-    let points = 0;
+    const newSession = await signIn(signer, account);
+    localStorage.setItem('session', JSON.stringify(newSession));
+    setSession(newSession);
+    return newSession;
+  };
 
-    const moveRow = (row) => {
-      const filtered = row.filter(val => val !== 0);
-      const merged = [];
-      
-      for (let i = 0; i < filtered.length; i++) {
-        if (i < filtered.length - 1 && filtered[i] === filtered[i + 1]) {
-          merged.push(filtered[i] * 2);
-          points += filtered[i] * 2;
-          i++;
+  const enableSync = async () => {
+    try {
+      await ensureSession();
+      localStorage.setItem('syncEnabled', 'true');
+      setSyncEnabled(true);
+      toast.success('Games will now sync across your devices');
+    } catch (error) {
+      console.error('Error enabling sync:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Sign-in cancelled' : 'Failed to enable sync');
+    }
+  };
+
+  // Saved game of the daily challenge of `date`, on this device or synced to the backend
+  const findDailySave = async (token, date) => {
+    const local = loadLocalGame();
+    if (local && local.daily === date) return local;
+
+    try {
+      const { state } = await fetchSavedGame(token);
+      return state.daily === date ? state : null;
+    } catch (error) {
+      if (error.status !== 404) console.error('Error fetching saved game:', error);
+      return null;
+    }
+  };
+
+  const playDailyChallenge = async () => {
+    if (!account) {
+      toast.error('Connect your wallet to play the daily challenge');
+      return;
+    }
+
+    try {
+      const { token } = await ensureSession();
+      const challenge = await startDailyChallenge(token);
+      if (challenge.alreadyPlayed) {
+        toast.error("You've already played today's challenge, come back tomorrow!");
+        return;
+      }
+
+      // The seed is only handed out once: a started attempt is picked up where it
+      // was left, from this device or the synced save, and can't be started over
+      if (challenge.resumed) {
+        const saved = await findDailySave(token, challenge.date);
+        if (!saved) {
+          toast.error("Today's attempt was started but its game isn't saved here, come back tomorrow!");
+        } else if (saved.over) {
+          toast.error("You've used today's attempt, come back tomorrow!");
         } else {
-          merged.push(filtered[i]);
+          resumeGame(saved);
         }
+        return;
       }
-      
-      while (merged.length < GRID_SIZE) {
-        merged.push(0);
-      }
-      
-      return merged;
-    };
 
-    if (direction === 'left' || direction === 'right') {
-      for (let i = 0; i < GRID_SIZE; i++) {
-        const row = [];
-        for (let j = 0; j < GRID_SIZE; j++) {
-          row.push(newGrid[i * GRID_SIZE + j]);
-        }
-        
-        const movedRow = direction === 'left' ? moveRow(row) : moveRow(row.reverse()).reverse();
-        
-        for (let j = 0; j < GRID_SIZE; j++) {
-          if (newGrid[i * GRID_SIZE + j] !== movedRow[j]) moved = true;
-          newGrid[i * GRID_SIZE + j] = movedRow[j];
-        }
+      const { variant, size, winTile } = parseVariantKey(challenge.rules);
+      setGame(initializeGame({ variant, size, winTile }, { seed: challenge.seed, daily: challenge.date }));
+      toast.success(`Daily challenge ${challenge.date}: good luck!`);
+    } catch (error) {
+      if (error.status === 401) return handleSessionError(error);
+      console.error('Error starting daily challenge:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Sign-in cancelled' : 'Failed to start the daily challenge');
+    }
+  };
+
+  const playTournamentRound = async ({ id }) => {
+    if (!account) {
+      toast.error('Connect your wallet to play');
+      return;
+    }
+
+    try {
+      const round = await startTournamentRound((await ensureSession()).token, id);
+      if (round.alreadyPlayed) {
+        toast.error("You've already played this round");
+        return;
       }
-    } else {
-      for (let j = 0; j < GRID_SIZE; j++) {
-        const column = [];
-        for (let i = 0; i < GRID_SIZE; i++) {
-          column.push(newGrid[i * GRID_SIZE + j]);
-        }
-        
-        const movedColumn = direction === 'up' ? moveRow(column) : moveRow(column.reverse()).reverse();
-        
-        for (let i = 0; i < GRID_SIZE; i++) {
-          if (newGrid[i * GRID_SIZE + j] !== movedColumn[i]) moved = true;
-          newGrid[i * GRID_SIZE + j] = movedColumn[i];
+
+      // A round can't be started over: pick it up where it was left
+      const saved = loadLocalGame();
+      if (saved && saved.tournament && saved.tournament.variant === round.variant) {
+        if (saved.over) {
+          toast.error("You've used your attempt at this round");
+        } else {
+          resumeGame(saved);
+          setShowTournaments(false);
         }
+        return;
       }
+
+      const { variant, size, winTile } = parseVariantKey(round.rules);
+      const tournament = { id: round.id, round: round.round, name: round.name, variant: round.variant };
+      setGame(initializeGame({ variant, size, winTile }, { seed: round.seed, tournament }));
+      setShowTournaments(false);
+      toast.success(`${round.name}, round ${round.round}: good luck!`);
+    } catch (error) {
+      if (error.status === 401) return handleSessionError(error);
+      console.error('Error starting tournament round:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Sign-in cancelled' : `Could not start the round: ${error.message}`);
     }
+  };
 
-    if (moved) {
-      addNewTile(newGrid);
-      setGrid(newGrid);
-      const newScore = score + points;
-      setScore(newScore);
-      
-      if (newScore > bestScore) {
-        setBestScore(newScore);
-        localStorage.setItem('bestScore', newScore.toString());
-      }
-      
-      if (checkGameOver(newGrid)) {
-        setGameOver(true);
-        handleGameOver(newScore);
-      }
+  const resumeGame = (saved = resumeOffer) => {
+    const restored = restoreGame(saved);
+    setResumeOffer(null);
+    if (!restored) {
+      toast.error('Saved game could not be restored');
+      return;
+    }
+
+    if (!saved.daily && !saved.tournament) {
+      const savedSettings = { variant: saved.variant, size: saved.size, winTile: saved.winTile };
+      setSettings(savedSettings);
+      localStorage.setItem('gameSettings', JSON.stringify(savedSettings));
     }
+
+    rngRef.current = restored.rng;
+    gameLogRef.current = {
+      seed: saved.seed,
+      moves: restored.moves,
+      moveCount: restored.moveCount,
+      daily: saved.daily || null,
+      tournament: saved.tournament || null,
+    };
+    setDailyDate(saved.daily || null);
+    setTournamentRound(saved.tournament || null);
+    setHistory(restored.history);
+    setUndoCount(restored.undoCount);
+    setMilestones(restored.milestones);
+    setShowWinModal(false);
+    setGame(restored.game);
   };
 
-  const checkGameOver = (currentGrid) => {
-    if (currentGrid.includes(0)) return false;
+  // Game logic lives in shared/engine.js; the component only applies its results.
+  // Returns whether the board changed.
+  const move = (direction) => {
+    if (!game || gameOver || showWinModal || resumeOffer || replay || showVersus || spectate || showTournaments) return false;
 
-    for (let i = 0; i < GRID_SIZE; i++) {
-      for (let j = 0; j < GRID_SIZE; j++) {
-        const current = currentGrid[i * GRID_SIZE + j];
-        
-        if (j < GRID_SIZE - 1 && current === currentGrid[i * GRID_SIZE + j + 1]) return false;
-        if (i < GRID_SIZE - 1 && current === currentGrid[(i + 1) * GRID_SIZE + j]) return false;
-      }
+    // Buffer input while tiles are still sliding, so quick key presses aren't lost
+    if (isAnimating) {
+      if (moveQueueRef.current.length < MOVE_QUEUE_LIMIT) moveQueueRef.current.push(direction);
+      return false;
+    }
+
+    // Snapshot the RNG before it spawns, so undoing and replaying a move spawns the same tile
+    const rngState = rngRef.current.getState();
+    const result = applyMove(game, direction, rngRef.current);
+    if (!result.moved) return false;
+
+    setTileState({ grid: result.state.grid, tiles: moveTiles(tiles, result) });
+    lastMoveRef.current = { grid: result.state.grid, moves: result.moves, merges: result.merges, spawned: result.spawned };
+    if (!reducedMotion) {
+      setIsAnimating(true);
+      setTimeout(() => setIsAnimating(false), SLIDE_DURATION * 1000);
+    }
+
+    const newScore = result.state.score;
+    setHistory(prev => [
+      ...prev.slice(-(UNDO_LIMIT - 1)),
+      { game, milestones, rngState, moveCount: gameLogRef.current.moveCount },
+    ]);
+    gameLogRef.current.moves.push(direction);
+    gameLogRef.current.moveCount++;
+    setGame(result.state);
+
+    const reached = findNewMilestones(result.merges, milestones.map(milestone => milestone.tile), game.variant);
+    if (reached.length > 0) {
+      const { moveCount } = gameLogRef.current;
+      setMilestones([...milestones, ...reached.map(tile => ({ tile, move: moveCount }))]);
+      toast.success(`Milestone reached: ${reached[reached.length - 1]}!`, { icon: '🏅', position: 'top-center' });
+    }
+
+    // Only the first time the win tile appears; after "Keep going" the game just continues
+    if (result.state.won && !game.won) {
+      setShowWinModal(true);
+    }
+
+    if (newScore > bestScore) {
+      setBestScore(newScore);
+      localStorage.setItem('bestScore', newScore.toString());
+    }
+
+    if (result.state.over) {
+      handleGameOver(newScore);
     }
-    
     return true;
   };
 
+  // Play buffered moves once the previous slide has finished, skipping any that don't move
+  useEffect(() => {
+    if (isAnimating) return;
+    while (moveQueueRef.current.length > 0) {
+      if (move(moveQueueRef.current.shift())) break;
+    }
+  }, [isAnimating]);
+
+  const undo = () => {
+    if (history.length === 0 || dailyDate || tournamentRound || replay || showVersus || spectate || showTournaments) return;
+
+    const snapshot = history[history.length - 1];
+    moveQueueRef.current = [];
+    rngRef.current = createRng(snapshot.rngState);
+    // The undo stays in the log, the backend counts it when verifying
+    gameLogRef.current.moves.push(UNDO);
+    gameLogRef.current.moveCount = snapshot.moveCount;
+    setHistory(history.slice(0, -1));
+    setGame(snapshot.game);
+    setMilestones(snapshot.milestones);
+    setUndoCount(count => count + 1);
+  };
+
   const handleGameOver = (finalScore) => {
     toast.error(`Game Over! Final Score: ${finalScore}`, {
       duration: 3000,
@@ -421,10 +554,126 @@ function App() {
     });
   };
 
+  // Recording of the game being played, to watch back or share once it's over
+  const currentRecording = () => createRecording({
+    seed: gameLogRef.current.seed,
+    variant: variantKey(game.variant, game.size, game.winTile),
+    moves: gameLogRef.current.moves,
+    score: game.score,
+    player: account,
+  });
+
+  const watchGame = async (gameId) => {
+    try {
+      setReplay(parseRecording(await fetchRecording(gameId)));
+    } catch (error) {
+      console.error('Error loading replay:', error);
+      toast.error(`Replay unavailable: ${error.message}`);
+    }
+  };
+
+  const importRecording = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setReplay(parseRecording(JSON.parse(await file.text())));
+    } catch (error) {
+      toast.error(`Could not load recording: ${error.message}`);
+    }
+  };
+
+  const closeReplay = () => {
+    setReplay(null);
+    if (window.location.hash.startsWith('#replay=')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  };
+
+  // Shared replay links: #replay=<packed recording>
+  useEffect(() => {
+    const match = /^#replay=(.+)$/.exec(window.location.hash);
+    if (!match) return;
+
+    try {
+      setReplay(parseRecording(unpackRecording(match[1])));
+    } catch (error) {
+      toast.error(`Could not load replay link: ${error.message}`);
+    }
+  }, []);
+
+  // Shared live links: #live=<stream id>
+  useEffect(() => {
+    const match = /^#live=(.+)$/.exec(window.location.hash);
+    if (match) setSpectate({ streamId: match[1] });
+  }, []);
+
+  const closeSpectate = () => {
+    setSpectate(null);
+    if (window.location.hash.startsWith('#live=')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  };
+
+  const toggleStreamLive = () => {
+    localStorage.setItem('streamLive', String(!streamLive));
+    setStreamLive(!streamLive);
+    if (streamLive && socket) socket.emit('live:stop');
+  };
+
+  // Stream the board to spectators after every change while opted in. A board that
+  // didn't come from a move (new game, undo, resume) is sent without move details.
+  const sendLiveFrame = () => {
+    if (!socket || !game) return;
+
+    const lastMove = lastMoveRef.current;
+    socket.emit('live:update', {
+      streamId: getLiveStreamId(),
+      token: sessionStorage.getItem(LIVE_TOKEN_KEY),
+      name: playerName.trim() || 'Anonymous',
+      address: account,
+      variant: dailyDate ? `daily/${dailyDate}` : tournamentRound ? tournamentRound.variant : variantKey(game.variant, game.size, game.winTile),
+      grid: game.grid,
+      score: game.score,
+      over: game.over,
+      result: lastMove && lastMove.grid === game.grid
+        ? { moves: lastMove.moves, merges: lastMove.merges, spawned: lastMove.spawned }
+        : null,
+    }, (response) => {
+      if (response.error) return console.error('Live stream update rejected:', response.error);
+      if (response.token) sessionStorage.setItem(LIVE_TOKEN_KEY, response.token);
+      setLiveViewers(response.viewers);
+    });
+  };
+
+  useEffect(() => {
+    if (streamLive) sendLiveFrame();
+  }, [socket, streamLive, game]);
+
+  // Resume the stream after a reconnect, and follow the viewer count
+  useEffect(() => {
+    if (!socket || !streamLive) return;
+
+    const handleViewers = ({ viewers }) => setLiveViewers(viewers);
+    socket.on('connect', sendLiveFrame);
+    socket.on('live:viewers', handleViewers);
+    return () => {
+      socket.off('connect', sendLiveFrame);
+      socket.off('live:viewers', handleViewers);
+    };
+  }, [socket, streamLive, game]);
+
   // Keyboard controls
   useEffect(() => {
     const handleKeyPress = (e) => {
-      if (e.key === 'ArrowUp') move('up');
+      if (e.target.tagName === 'INPUT') return;
+
+      if (e.key === 'z' || e.key === 'Z') {
+        e.preventDefault();
+        undo();
+      }
+      else if (e.key === 'ArrowUp') move('up');
       else if (e.key === 'ArrowDown') move('down');
       else if (e.key === 'ArrowLeft') move('left');
       else if (e.key === 'ArrowRight') move('right');
@@ -432,10 +681,16 @@ function App() {
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [grid, score, gameOver]);
+  }, [game, bestScore, history, milestones, showWinModal, resumeOffer, isAnimating, tiles, replay, dailyDate, tournamentRound, showVersus, spectate, showTournaments]);
 
   // Touch controls
   const handleTouchStart = (e) => {
+    // A quick two-finger tap undoes the last move
+    if (e.touches.length === 2) {
+      touchStartRef.current = { x: null, y: null, twoFingerTap: Date.now() };
+      return;
+    }
+
     touchStartRef.current = {
       x: e.touches[0].clientX,
       y: e.touches[0].clientY,
@@ -443,6 +698,14 @@ function App() {
   };
 
   const handleTouchEnd = (e) => {
+    if (touchStartRef.current.twoFingerTap) {
+      // Wait until both fingers are lifted
+      if (e.touches.length > 0) return;
+      if (Date.now() - touchStartRef.current.twoFingerTap < 300) undo();
+      touchStartRef.current = { x: null, y: null };
+      return;
+    }
+
     if (!touchStartRef.current.x || !touchStartRef.current.y) return;
 
     const deltaX = e.changedTouches[0].clientX - touchStartRef.current.x;
@@ -462,56 +725,6 @@ function App() {
     touchStartRef.current = { x: null, y: null };
   };
 
-  // Updated Web3 functions with network management
-  const connectWallet = async () => {
-    if (typeof window.ethereum !== 'undefined') {
-      try {
-        // First check and switch to Fluent network
-        const isFluentNetwork = await checkNetwork();
-        
-        if (!isFluentNetwork) {
-          toast.loading('Switching to Fluent network...', { id: 'network-switch' });
-          const switched = await switchToFluentNetwork();
-          toast.dismiss('network-switch');
-          
-          if (!switched) {
-            toast.error('Failed to switch to Fluent network. Please switch manually.', {
-              duration: 5000
-            });
-            return;
-          }
-          
-          toast.success('Switched to Fluent network!');
-        }
-        
-        // Then connect wallet
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const signerInstance = await provider.getSigner();
-        
-        setAccount(accounts[0]);
-        setSigner(signerInstance);
-        
-        if (contract) {
-          const contractWithSigner = contract.connect(signerInstance);
-          setContract(contractWithSigner);
-        }
-        
-        toast.success('Wallet connected!');
-      } catch (error) {
-        console.error('Error connecting wallet:', error);
-        if (error.code === 4001) {
-          toast.error('Connection cancelled by user');
-        } else {
-          toast.error('Failed to connect wallet');
-        }
-      }
-    } else {
-      toast.error('Please install MetaMask!');
-      window.open('https://metamask.io/download/', '_blank');
-    }
-  };
-
   const handleSubmitScore = async () => {
     if (!account) {
       toast.error('Please connect your wallet first!');
@@ -519,87 +732,255 @@ function App() {
     }
     
     // Double-check network before submitting
-    const isFluentNetwork = await checkNetwork();
-    if (!isFluentNetwork) {
+    if (!isCorrectNetwork) {
       toast.loading('Switching to Fluent network...', { id: 'network-check' });
       const switched = await switchToFluentNetwork();
       toast.dismiss('network-check');
       
+      // The score is queued anyway and goes out once the wallet is on Fluent
       if (!switched) {
-        toast.error('Please switch to Fluent network to submit your score!', {
+        toast.error('Switch to Fluent network to submit your score, it will be kept until then', {
           duration: 5000
         });
-        return;
       }
     }
     
     setPendingScore(score);
+    setPendingLog({
+      seed: gameLogRef.current.seed,
+      moves: encodeMoves(gameLogRef.current.moves),
+      undoCount,
+      variant: variantKey(game.variant, game.size, game.winTile),
+      daily: dailyDate || undefined,
+      tournament: tournamentRound ? { id: tournamentRound.id, round: tournamentRound.round } : undefined,
+    });
     setShowNameModal(true);
   };
 
-  const submitScoreToBlockchain = async () => {
-    if (!contract || !signer || !playerName.trim()) return;
+  // Sign a ScoreSubmission (see Game2048.submitScoreFor) and hand it to the relayer
+  const relaySignedScore = async (attestation, name) => {
+    const { chainId } = await signer.provider.getNetwork();
+    const submission = {
+      player: account,
+      score: attestation.score,
+      playerName: name,
+      variant: attestation.variant,
+      gameId: attestation.gameId,
+      nonce: attestation.nonce,
+    };
+    const playerSignature = await signer.signTypedData(
+      { name: 'Game2048', version: '1', chainId, verifyingContract: CONTRACT_ADDRESS },
+      SCORE_SUBMISSION_TYPES,
+      submission
+    );
 
-    // Final network check before transaction
-    const isFluentNetwork = await checkNetwork();
-    if (!isFluentNetwork) {
-      toast.error('Wrong network! Please switch to Fluent network.');
-      setShowNameModal(false);
-      return;
+    return relayScore({
+      ...submission,
+      expiry: attestation.expiry,
+      signature: attestation.signature,
+      playerSignature,
+    });
+  };
+
+  // Scores are queued first, so they survive a closed tab or a failed attempt
+  const submitScoreToBlockchain = () => {
+    if (!account || !playerName.trim()) return;
+
+    setSubmissions(queue => [...queue, createEntry({ player: account, playerName, score: pendingScore, log: pendingLog })]);
+    setShowNameModal(false);
+  };
+
+  const updateSubmission = (id, changes) => {
+    setSubmissions(queue => queue.map(entry => entry.id === id ? { ...entry, ...changes, updatedAt: Date.now() } : entry));
+  };
+
+  // Have the backend replay the game, then send the attested score, through the relayer
+  // when there is one. Resolves with { txHash, relayed }, or null if its nonce has been
+  // used already, i.e. the score is on-chain.
+  const sendSubmission = async (entry) => {
+    toast.loading('Verifying game...', { id: entry.id });
+    // Verifying the same game again hands out the same nonce. Only the player
+    // themselves can have their games verified, so this needs their sign-in.
+    const { token } = await ensureSession();
+    const attestation = await verifyGameLog(token, { player: entry.player, score: entry.score, ...entry.log });
+
+    // Achievements are unlocked as soon as the game is verified
+    attestation.achievements.forEach(({ id }) => {
+      const achievement = getAchievement(id);
+      if (achievement) {
+        toast.success(`Achievement unlocked: ${achievement.name}`, { icon: achievement.icon, duration: 5000 });
+      }
+    });
+
+    // Sent by an earlier attempt, e.g. before the tab was closed
+    if (await contract.usedNonces(attestation.nonce)) return null;
+
+    // With a relayer the player only signs and pays no gas; without one, or if it is
+    // busy or out of funds, they send the transaction themselves
+    if (config.relayer) {
+      try {
+        toast.loading('Sign your score submission...', { id: entry.id });
+        const { txHash } = await relaySignedScore(attestation, entry.playerName);
+        return { txHash, relayed: true };
+      } catch (error) {
+        if (error.code === 'ACTION_REJECTED' || (error.status && error.status < 429)) throw error;
+        console.error('Relayer unavailable, submitting directly:', error);
+      }
     }
 
-    setIsSubmitting(true);
+    toast.loading('Confirm the transaction in your wallet...', { id: entry.id });
+    const tx = await contract.submitScore(
+      attestation.score,
+      entry.playerName,
+      attestation.variant,
+      attestation.gameId,
+      attestation.nonce,
+      attestation.expiry,
+      attestation.signature
+    );
+    return { txHash: tx.hash, relayed: false };
+  };
+
+  const completeSubmission = (id, txHash) => {
+    updateSubmission(id, { status: 'mined', txHash, error: null });
+    toast.success('Score submitted successfully!', { id });
+
+    // Refresh leaderboard
+    setTimeout(() => setLeaderboardRefresh(key => key + 1), 2000);
+  };
+
+  // Its nonce was used by an earlier attempt, e.g. before the tab was closed. The
+  // entry's last transaction is kept if that is the one that was mined; a reverted,
+  // dropped or replaced one is not, so the entry is then marked without a hash.
+  const completeSubmittedEarlier = async (entry) => {
+    const receipt = entry.txHash && await signer.provider.getTransactionReceipt(entry.txHash);
+    const txHash = receipt?.status === 1 ? entry.txHash : null;
+    updateSubmission(entry.id, { status: 'mined', txHash, submittedEarlier: true, error: null });
+    toast.success('Score was already submitted', { id: entry.id });
+
+    // Refresh leaderboard
+    setTimeout(() => setLeaderboardRefresh(key => key + 1), 2000);
+  };
+
+  // Try again later, or give up on errors retrying won't fix
+  const retrySubmission = (entry, error) => {
+    const attempts = entry.attempts + 1;
+    const cancelled = error.code === 'ACTION_REJECTED' || error.code === 4001;
+    const message = cancelled ? 'Transaction cancelled'
+      : error.code === 'INSUFFICIENT_FUNDS' ? 'Insufficient funds for transaction'
+      : error.shortMessage || error.message;
+
+    if (cancelled || error.code === 'INSUFFICIENT_FUNDS' || error.status === 400 || error.status === 403 || attempts >= MAX_ATTEMPTS) {
+      updateSubmission(entry.id, { status: 'failed', attempts, error: message });
+      toast.error(`Failed to submit score: ${message}`, { id: entry.id });
+    } else {
+      updateSubmission(entry.id, { status: 'pending', attempts, error: message, nextAttemptAt: Date.now() + getRetryDelay(attempts) });
+      toast.error(`Score submission failed, retrying soon: ${message}`, { id: entry.id });
+    }
+  };
+
+  // Not mined in time: a transaction of our own is sent again with a higher fee;
+  // a relayed one is submitted again from scratch
+  const replaceStuckSubmission = async (entry) => {
+    if (entry.relayed) {
+      return retrySubmission(entry, new Error('Relayed transaction was not mined in time'));
+    }
+
+    const attempts = entry.attempts + 1;
     try {
-      const tx = await contract.submitScore(pendingScore, playerName);
-      toast.loading('Submitting score to blockchain...', { id: 'submit' });
-      
-      await tx.wait();
-      
-      toast.success('Score submitted successfully!', { id: 'submit' });
-      setShowNameModal(false);
-      
-      // Refresh leaderboard
-      setTimeout(loadLeaderboard, 2000);
+      const tx = await replaceTransaction(signer, entry.txHash);
+      if (!tx) {
+        return retrySubmission(entry, new Error('Transaction was dropped'));
+      }
+      if (tx.hash === entry.txHash) {
+        // Mined after all, the next check picks up the receipt
+        return updateSubmission(entry.id, { nextAttemptAt: Date.now() });
+      }
+      toast('Transaction was stuck, sent again with a higher fee', { id: entry.id });
+      updateSubmission(entry.id, { txHash: tx.hash, sentAt: Date.now(), attempts, nextAttemptAt: Date.now() });
+    } catch (error) {
+      // Keep following the original transaction
+      console.error('Error replacing transaction:', error);
+      updateSubmission(entry.id, { attempts, error: error.shortMessage || error.message, nextAttemptAt: Date.now() + getRetryDelay(attempts) });
+    }
+  };
+
+  // One step for a queued score: send it, then follow its transaction until it is mined
+  const processSubmission = async (entry) => {
+    let { txHash, sentAt, relayed } = entry;
+    try {
+      if (entry.status === 'pending') {
+        updateSubmission(entry.id, { status: 'signing', error: null });
+        const sent = await sendSubmission(entry);
+        if (!sent) return completeSubmittedEarlier(entry);
+
+        ({ txHash, relayed } = sent);
+        sentAt = Date.now();
+        updateSubmission(entry.id, { status: 'sent', txHash, relayed, sentAt, nextAttemptAt: sentAt + STUCK_AFTER });
+      }
+
+      toast.loading('Submitting score to blockchain...', { id: entry.id });
+      const receipt = await signer.provider.waitForTransaction(txHash, 1, Math.max(sentAt + STUCK_AFTER - Date.now(), 1000));
+      if (receipt.status !== 1) throw new Error('Transaction reverted');
+      completeSubmission(entry.id, txHash);
     } catch (error) {
       console.error('Error submitting score:', error);
-      
-      if (error.code === 'ACTION_REJECTED' || error.code === 4001) {
-        toast.error('Transaction cancelled', { id: 'submit' });
-      } else if (error.code === 'INSUFFICIENT_FUNDS') {
-        toast.error('Insufficient funds for transaction', { id: 'submit' });
-      } else {
-        toast.error('Failed to submit score', { id: 'submit' });
+      // An expired sign-in is renewed on the next attempt
+      if (error.status === 401) handleSessionError(error);
+      if (error.code === 'TIMEOUT') {
+        toast.dismiss(entry.id);
+        return replaceStuckSubmission({ ...entry, txHash, sentAt, relayed });
       }
-    } finally {
-      setIsSubmitting(false);
+      retrySubmission(entry, error);
     }
   };
 
-  const newGame = () => {
-    setGrid(initializeGrid());
-    setScore(0);
-    setGameOver(false);
-  };
+  useEffect(() => {
+    saveQueue(submissions);
+  }, [submissions]);
 
-  // Tile color helper
-  const getTileColor = (value) => {
-    const colors = {
-      0: 'bg-gray-200',
-      2: 'bg-gray-100',
-      4: 'bg-yellow-100',
-      8: 'bg-yellow-200',
-      16: 'bg-orange-200',
-      32: 'bg-orange-300',
-      64: 'bg-orange-400',
-      128: 'bg-red-300',
-      256: 'bg-red-400',
-      512: 'bg-red-500',
-      1024: 'bg-purple-400',
-      2048: 'bg-purple-500',
+  // Work through the connected wallet's queued scores, one at a time
+  useEffect(() => {
+    if (!account || !signer || !contract || !isCorrectNetwork) return;
+
+    const processNext = () => {
+      if (submittingRef.current) return;
+      const entry = submissions.find(entry => entry.player.toLowerCase() === account.toLowerCase() && isDue(entry));
+      if (!entry) return;
+
+      submittingRef.current = true;
+      processSubmission(entry).finally(() => { submittingRef.current = false; });
     };
-    return colors[value] || 'bg-purple-600';
+
+    processNext();
+    const interval = setInterval(processNext, QUEUE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [submissions, account, signer, contract, isCorrectNetwork, config.relayer]);
+
+  // Signed-in players get their seed from the backend, which then times the game;
+  // without a session, or if the backend can't be reached, the game is played untimed
+  const startNewGame = async (gameSettings) => {
+    let seed;
+    if (hasSession) {
+      try {
+        ({ seed } = await startGame(session.token));
+      } catch (error) {
+        handleSessionError(error);
+      }
+    }
+    setGame(initializeGame(gameSettings, { seed }));
   };
 
+  const newGame = () => startNewGame(settings);
+
+  const changeSettings = (newSettings) => {
+    setSettings(newSettings);
+    localStorage.setItem('gameSettings', JSON.stringify(newSettings));
+    startNewGame(newSettings);
+  };
+
+  const size = game ? game.size : DEFAULT_SETTINGS.size;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white">
       <Toaster />
@@ -615,12 +996,44 @@ function App() {
               ⚠️ Wrong Network
             </span>
           )}
+          {submissions.some(entry => entry.status !== 'mined') && (
+            <button
+              onClick={() => setShowSubmissions(true)}
+              className="px-6 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105"
+            >
+              Pending ({submissions.filter(entry => entry.status !== 'mined').length})
+            </button>
+          )}
           <button
-            onClick={connectWallet}
-            className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 rounded-lg hover:from-purple-600 hover:to-pink-600 transition-all transform hover:scale-105"
+            onClick={() => setShowTournaments(true)}
+            className="px-6 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105"
           >
-            {account ? `${account.slice(0, 6)}...${account.slice(-4)}` : 'Connect Wallet'}
+            Tournaments
           </button>
+          <button
+            onClick={() => setSpectate({ streamId: null })}
+            className="px-6 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105"
+          >
+            Watch live
+          </button>
+          <button
+            onClick={() => setShowVersus(true)}
+            className="px-6 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105"
+          >
+            Versus
+          </button>
+          {/* RainbowKit picks the wallet; the account and chain modals manage it afterwards */}
+          <ConnectButton.Custom>
+            {({ account: wallet, chain, openConnectModal, openAccountModal, openChainModal, mounted }) => (
+              <button
+                onClick={!wallet ? openConnectModal : chain.unsupported ? openChainModal : openAccountModal}
+                disabled={!mounted}
+                className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 rounded-lg hover:from-purple-600 hover:to-pink-600 transition-all transform hover:scale-105"
+              >
+                {wallet ? `${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}` : 'Connect Wallet'}
+              </button>
+            )}
+          </ConnectButton.Custom>
         </div>
       </header>
 
@@ -634,6 +1047,11 @@ function App() {
                 <div className="bg-white/20 rounded-lg p-4">
                   <p className="text-sm opacity-80">Score</p>
                   <p className="text-2xl font-bold">{score}</p>
+                  {undoCount > 0 && (
+                    <p className="text-xs text-yellow-400 mt-1" title={getUndoPolicyNote(config)}>
+                      Undo used ×{undoCount}
+                    </p>
+                  )}
                 </div>
                 <div className="bg-white/20 rounded-lg p-4">
                   <p className="text-sm opacity-80">Best</p>
@@ -641,28 +1059,32 @@ function App() {
                 </div>
               </div>
 
+              {dailyDate ? (
+                <div className="flex justify-between items-center mb-4 bg-yellow-500/20 rounded-lg px-4 py-2">
+                  <span className="font-semibold">Daily challenge · {dailyDate}</span>
+                  <button onClick={newGame} className="text-sm underline opacity-80 hover:opacity-100">
+                    Leave
+                  </button>
+                </div>
+              ) : tournamentRound ? (
+                <div className="flex justify-between items-center mb-4 bg-yellow-500/20 rounded-lg px-4 py-2">
+                  <span className="font-semibold">{tournamentRound.name} · round {tournamentRound.round}</span>
+                  <button onClick={newGame} className="text-sm underline opacity-80 hover:opacity-100">
+                    Leave
+                  </button>
+                </div>
+              ) : (
+                <GameSettings settings={settings} onChange={changeSettings} />
+              )}
+
               {/* Game Grid */}
               <div
                 ref={gridRef}
-                className="relative bg-gray-800/50 rounded-xl p-4 aspect-square max-w-md mx-auto touch-none"
+                className="relative bg-gray-800/50 rounded-xl p-3 aspect-square max-w-md mx-auto touch-none"
                 onTouchStart={handleTouchStart}
                 onTouchEnd={handleTouchEnd}
               >
-                <div className="grid grid-cols-4 gap-2 h-full">
-                  <AnimatePresence>
-                    {grid.map((value, index) => (
-                      <motion.div
-                        key={`${index}-${value}`}
-                        initial={{ scale: 0 }}
-                        animate={{ scale: 1 }}
-                        exit={{ scale: 0 }}
-                        className={`${getTileColor(value)} rounded-lg flex items-center justify-center font-bold text-2xl text-gray-800 shadow-lg`}
-                      >
-                        {value > 0 && value}
-                      </motion.div>
-                    ))}
-                  </AnimatePresence>
-                </div>
+                <GameBoard tiles={tiles} size={size} variant={game && game.variant} />
               </div>
 
               {/* Controls */}
@@ -673,19 +1095,63 @@ function App() {
                 >
                   New Game
                 </button>
+                <button
+                  onClick={undo}
+                  disabled={history.length === 0 || Boolean(dailyDate || tournamentRound)}
+                  className="px-6 py-3 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Undo
+                </button>
                 <button
                   onClick={handleSubmitScore}
-                  disabled={score === 0 || !account}
+                  disabled={score === 0 || !account || (undoCount > 0 && config.undoPolicy === 'disallowed')}
                   className="px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-lg hover:from-blue-600 hover:to-cyan-600 transition-all transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Submit Score
                 </button>
+                {gameOver && (
+                  <button
+                    onClick={() => setReplay(currentRecording())}
+                    className="px-6 py-3 bg-white/20 rounded-lg hover:bg-white/30 transition-all transform hover:scale-105"
+                  >
+                    Watch Replay
+                  </button>
+                )}
               </div>
 
               {/* Instructions */}
               <div className="mt-6 text-center text-sm opacity-80">
                 <p>Use arrow keys or swipe to play</p>
-                <p className="mt-1">Join tiles to reach 2048!</p>
+                <p className="mt-1">Press Z or tap with two fingers to undo</p>
+                <p className="mt-1">Join tiles to reach {game ? game.winTile : 2048}!</p>
+                {milestones.length > 0 && (
+                  <p className="mt-2">
+                    Milestones: {milestones.map(milestone => milestone.tile).join(' · ')}
+                  </p>
+                )}
+                <button onClick={() => importInputRef.current.click()} className="mt-2 underline hover:opacity-100">
+                  Import a replay
+                </button>
+                <input ref={importInputRef} type="file" accept="application/json,.json" onChange={importRecording} className="hidden" />
+                {streamLive ? (
+                  <p className="mt-2 text-red-300">
+                    🔴 Streaming live · {liveViewers} watching ·{' '}
+                    <button onClick={toggleStreamLive} className="underline hover:opacity-100">Stop</button>
+                  </p>
+                ) : (
+                  <button onClick={toggleStreamLive} className="mt-2 ml-4 underline hover:opacity-100">
+                    Stream this game live
+                  </button>
+                )}
+                {account && (
+                  isSyncing ? (
+                    <p className="mt-2 text-green-400">☁️ This game syncs across your devices</p>
+                  ) : (
+                    <button onClick={enableSync} className="mt-2 underline hover:opacity-100">
+                      Sync games across devices
+                    </button>
+                  )
+                )}
                 {!isCorrectNetwork && account && (
                   <p className="mt-2 text-yellow-400">
                     Please switch to Fluent network to submit scores
@@ -697,44 +1163,107 @@ function App() {
 
           {/* Leaderboard Section */}
           <div className="lg:col-span-1">
-            <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 shadow-2xl">
-              <h2 className="text-2xl font-bold mb-4 bg-clip-text text-transparent bg-gradient-to-r from-yellow-400 to-pink-400">
-                Leaderboard
-              </h2>
-              <div className="space-y-2 max-h-96 overflow-y-auto">
-                {leaderboard.length === 0 ? (
-                  <p className="text-center opacity-50 py-8">No scores yet. Be the first!</p>
-                ) : (
-                  leaderboard.map((player, index) => (
-                    <motion.div
-                      key={player.address}
-                      initial={{ opacity: 0, x: -20 }}
-                      animate={{ opacity: 1, x: 0 }}
-                      transition={{ delay: index * 0.1 }}
-                      className="bg-white/10 rounded-lg p-3 flex justify-between items-center"
-                    >
-                      <div className="flex items-center gap-3">
-                        <span className={`text-lg font-bold ${index < 3 ? 'text-yellow-400' : ''}`}>
-                          #{index + 1}
-                        </span>
-                        <div>
-                          <p className="font-semibold">{player.name || 'Anonymous'}</p>
-                          <p className="text-xs opacity-70">{player.address.slice(0, 6)}...{player.address.slice(-4)}</p>
-                        </div>
-                      </div>
-                      <div className="text-right">
-                        <p className="font-bold">{player.highScore}</p>
-                        <p className="text-xs opacity-70">{player.gamesPlayed} games</p>
-                      </div>
-                    </motion.div>
-                  ))
-                )}
-              </div>
-            </div>
+            <DailyChallenge
+              socket={socket}
+              refreshKey={leaderboardRefresh}
+              activeDate={dailyDate}
+              onPlay={playDailyChallenge}
+              onSelectPlayer={setProfileAddress}
+            />
+            <Leaderboard
+              socket={socket}
+              refreshKey={leaderboardRefresh}
+              onSelectPlayer={setProfileAddress}
+              onWatchReplay={watchGame}
+              showUndoBoard={config.undoPolicy === 'separate'}
+              variant={dailyDate ? `daily/${dailyDate}` : variantKey(settings.variant, settings.size, settings.winTile)}
+            />
           </div>
         </div>
       </main>
 
+      {/* Resume Modal */}
+      <AnimatePresence>
+        {resumeOffer && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-md w-full shadow-2xl"
+            >
+              <h3 className="text-2xl font-bold mb-4">
+                {resumeOffer.remote ? 'Continue from another device?' : 'Resume your game?'}
+              </h3>
+              <p className="mb-1">
+                {VARIANTS[resumeOffer.variant].name} {resumeOffer.size}×{resumeOffer.size} · Score {resumeOffer.score}
+              </p>
+              <p className="text-sm opacity-70 mb-6">
+                {resumeOffer.moves.length} moves, last played {new Date(resumeOffer.updatedAt).toLocaleString()}
+              </p>
+              <div className="flex gap-4">
+                <button
+                  onClick={() => resumeGame()}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 rounded-lg hover:from-green-600 hover:to-emerald-600 transition-all"
+                >
+                  Resume
+                </button>
+                <button
+                  onClick={() => setResumeOffer(null)}
+                  className="flex-1 px-6 py-3 bg-gray-600 rounded-lg hover:bg-gray-700 transition-all"
+                >
+                  Start new
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Win Modal */}
+      <AnimatePresence>
+        {showWinModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-gradient-to-br from-yellow-600 to-pink-700 rounded-2xl p-8 max-w-md w-full shadow-2xl text-center"
+            >
+              <h3 className="text-3xl font-bold mb-2">You win! 🎉</h3>
+              <p className="text-lg mb-6">You made the {game.winTile} tile with a score of {score}.</p>
+              <div className="flex gap-4">
+                <button
+                  onClick={() => setShowWinModal(false)}
+                  className="flex-1 px-6 py-3 bg-white/20 rounded-lg hover:bg-white/30 transition-all"
+                >
+                  Keep going
+                </button>
+                <button
+                  onClick={() => {
+                    setShowWinModal(false);
+                    handleSubmitScore();
+                  }}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-lg hover:from-blue-600 hover:to-cyan-600 transition-all"
+                >
+                  Submit now
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Name Modal */}
       <AnimatePresence>
         {showNameModal && (
@@ -743,7 +1272,7 @@ function App() {
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
             className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
-            onClick={() => !isSubmitting && setShowNameModal(false)}
+            onClick={() => setShowNameModal(false)}
           >
             <motion.div
               initial={{ scale: 0.9, opacity: 0 }}
@@ -754,6 +1283,11 @@ function App() {
             >
               <h3 className="text-2xl font-bold mb-4">Submit Your Score</h3>
               <p className="text-lg mb-6">Score: {pendingScore}</p>
+              {pendingLog && pendingLog.undoCount > 0 && (
+                <p className="text-sm text-yellow-400 -mt-4 mb-6">
+                  Undo used {pendingLog.undoCount} time(s). {getUndoPolicyNote(config)}
+                </p>
+              )}
               <input
                 type="text"
                 value={playerName}
@@ -765,14 +1299,13 @@ function App() {
               <div className="flex gap-4">
                 <button
                   onClick={submitScoreToBlockchain}
-                  disabled={isSubmitting || !playerName.trim()}
+                  disabled={!playerName.trim()}
                   className="flex-1 px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 rounded-lg hover:from-green-600 hover:to-emerald-600 transition-all disabled:opacity-50"
                 >
-                  {isSubmitting ? 'Submitting...' : 'Submit'}
+                  Submit
                 </button>
                 <button
                   onClick={() => setShowNameModal(false)}
-                  disabled={isSubmitting}
                   className="flex-1 px-6 py-3 bg-gray-600 rounded-lg hover:bg-gray-700 transition-all"
                 >
                   Cancel
@@ -782,6 +1315,67 @@ function App() {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Pending Submissions */}
+      <AnimatePresence>
+        {showSubmissions && (
+          <PendingSubmissions
+            submissions={submissions}
+            account={account}
+            explorerUrl={fluent.blockExplorers?.default.url}
+            onRetry={(id) => updateSubmission(id, { status: 'pending', attempts: 0, error: null, nextAttemptAt: Date.now() })}
+            onDismiss={(id) => setSubmissions(queue => queue.filter(entry => entry.id !== id))}
+            onClose={() => setShowSubmissions(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Replay Viewer */}
+      <AnimatePresence>
+        {replay && <ReplayViewer recording={replay} onClose={closeReplay} />}
+      </AnimatePresence>
+
+      {/* Versus */}
+      <AnimatePresence>
+        {showVersus && (
+          <Versus socket={socket} account={account} defaultName={playerName} onClose={() => setShowVersus(false)} />
+        )}
+      </AnimatePresence>
+
+      {/* Tournaments */}
+      <AnimatePresence>
+        {showTournaments && (
+          <Tournaments
+            socket={socket}
+            account={account}
+            session={hasSession ? session : null}
+            ensureSession={ensureSession}
+            defaultName={playerName}
+            activeRound={tournamentRound}
+            onPlay={playTournamentRound}
+            onSelectPlayer={setProfileAddress}
+            onClose={() => setShowTournaments(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Live games */}
+      <AnimatePresence>
+        {spectate && <Spectate socket={socket} streamId={spectate.streamId} onClose={closeSpectate} />}
+      </AnimatePresence>
+
+      {/* Player Profile */}
+      <AnimatePresence>
+        {profileAddress && (
+          <PlayerProfile
+            address={profileAddress}
+            account={account}
+            signer={signer}
+            achievementsContract={config.achievementsContract}
+            onClose={() => setProfileAddress(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
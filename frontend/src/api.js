@@ -0,0 +1,151 @@
+// frontend/src/api.js
+import { DEFAULT_VARIANT_KEY } from '../../shared/variants.js';
+
+// Dynamic backend URL detection
+export const getBackendUrl = () => {
+  if (import.meta.env.VITE_BACKEND_URL) {
+    return import.meta.env.VITE_BACKEND_URL;
+  }
+  
+  const hostname = window.location.hostname;
+  const protocol = window.location.protocol;
+  
+  if (hostname.includes('github.dev')) {
+    return `${protocol}//${hostname.replace('-5173', '-3001')}`;
+  }
+  
+  if (hostname.includes('csb.app')) {
+    return `${protocol}//${hostname.replace('5173', '3001')}`;
+  }
+  
+  if (hostname.includes('gitpod.io')) {
+    return `${protocol}//3001-${hostname.split('-')[1]}`;
+  }
+  
+  if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    return 'http://localhost:3001';
+  }
+  
+  return `${protocol}//${hostname}:3001`;
+};
+
+// Fetch JSON from the backend, throwing with the server's error message on failure
+export const fetchJson = async (path, options) => {
+  const response = await fetch(`${getBackendUrl()}${path}`, options);
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Ask the backend to replay one of the signed-in player's games; resolves with the
+// signed attestation. Undos are counted from the log itself, and timings come from the backend's clock.
+export const verifyGameLog = (token, { player, seed, moves, score, variant, daily, tournament }) => {
+  return fetchJson('/api/games/verify', {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: JSON.stringify({ player, seed, moves, score, variant, daily, tournament }),
+  });
+};
+
+// Have the backend relayer submit a signed score, paying the gas; resolves with { txHash }
+export const relayScore = (submission) => {
+  return fetchJson('/api/relay/score', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(submission),
+  });
+};
+
+export const fetchConfig = () => fetchJson('/api/config');
+
+export const fetchLeaderboard = ({ limit, offset, sort, window, board = 'classic', variant = DEFAULT_VARIANT_KEY }) => {
+  const params = new URLSearchParams({ limit, offset, sort, window, board, variant });
+  return fetchJson(`/api/leaderboard?${params}`);
+};
+
+export const fetchPlayerProfile = (address) => fetchJson(`/api/players/${address}`);
+
+export const fetchAchievements = (address) => fetchJson(`/api/players/${address}/achievements`);
+
+// Verifier signature for minting an unlocked achievement on-chain
+export const fetchAchievementClaim = (address, id) => {
+  return fetchJson(`/api/players/${address}/achievements/${encodeURIComponent(id)}/attestation`, { method: 'POST' });
+};
+
+export const fetchRecording = (gameId) => fetchJson(`/api/games/${gameId}/recording`);
+
+// Must match signInMessage in backend/auth.js
+const signInMessage = (address, issuedAt) => {
+  return `Sign in to Blockchain 2048 to sync your games.\n\nAddress: ${address}\nIssued at: ${issuedAt}`;
+};
+
+// Sign in with the wallet; resolves with { token, player, expiresAt }
+export const signIn = async (signer, address) => {
+  const issuedAt = new Date().toISOString();
+  const signature = await signer.signMessage(signInMessage(address, issuedAt));
+
+  return fetchJson('/api/auth/session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, issuedAt, signature }),
+  });
+};
+
+const authHeaders = (token) => ({ 'Content-Type': 'application/json', Authorization: `Bearer ${token}` });
+
+export const fetchSavedGame = (token) => fetchJson('/api/saved-game', { headers: authHeaders(token) });
+
+// Seed for a new game, timed by the backend from now on; resolves with { seed, startedAt }
+export const startGame = (token) => {
+  return fetchJson('/api/games/start', { method: 'POST', headers: authHeaders(token) });
+};
+
+export const fetchDailyChallenge = () => fetchJson('/api/daily');
+
+export const fetchDailyWinners = (limit = 7) => fetchJson(`/api/daily/winners?limit=${limit}`);
+
+// Registers today's attempt; resolves with the challenge and its seed
+export const startDailyChallenge = (token) => {
+  return fetchJson('/api/daily/start', { method: 'POST', headers: authHeaders(token) });
+};
+
+export const uploadSavedGame = (token, state) => {
+  return fetchJson('/api/saved-game', {
+    method: 'PUT',
+    headers: authHeaders(token),
+    body: JSON.stringify({ state, updatedAt: state.updatedAt }),
+  });
+};
+
+// Who the session belongs to and whether they can create tournaments
+export const fetchSessionInfo = (token) => fetchJson('/api/auth/me', { headers: authHeaders(token) });
+
+export const fetchTournaments = () => fetchJson('/api/tournaments');
+
+export const fetchTournament = (id) => fetchJson(`/api/tournaments/${id}`);
+
+export const createTournament = (token, tournament) => {
+  return fetchJson('/api/tournaments', {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: JSON.stringify(tournament),
+  });
+};
+
+export const registerForTournament = (token, id, name) => {
+  return fetchJson(`/api/tournaments/${id}/register`, {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: JSON.stringify({ name }),
+  });
+};
+
+// Resolves with the current round and its seed, for a player paired in it
+export const startTournamentRound = (token, id) => {
+  return fetchJson(`/api/tournaments/${id}/play`, { method: 'POST', headers: authHeaders(token) });
+};
@@ -0,0 +1,108 @@
+// frontend/src/components/AchievementGallery.jsx
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { ACHIEVEMENTS } from '../../../shared/achievements.js';
+import { fetchAchievements, fetchAchievementClaim } from '../api.js';
+import { connectAchievements } from '../contracts/Achievements.js';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+// Every achievement in the catalog, greyed out until unlocked. On the player's
+// own profile, unlocked badges can be minted when the backend has a badge contract.
+function AchievementGallery({ address, account, signer, contractAddress }) {
+  const [unlocked, setUnlocked] = useState(null);
+  const [minted, setMinted] = useState({});
+  const [minting, setMinting] = useState(null);
+
+  const isOwn = Boolean(account) && account.toLowerCase() === address.toLowerCase();
+  const contract = isOwn && signer && contractAddress ? connectAchievements(contractAddress, signer) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setUnlocked(null);
+
+    fetchAchievements(address)
+      .then(data => !cancelled && setUnlocked(data.achievements))
+      .catch(error => {
+        console.error('Error loading achievements:', error);
+        if (!cancelled) setUnlocked([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [address]);
+
+  // Which unlocked badges are already on-chain
+  useEffect(() => {
+    if (!contract || !unlocked || unlocked.length === 0) return;
+    let cancelled = false;
+
+    Promise.all(unlocked.map(({ id }) => contract.hasAchievement(address, id)))
+      .then(results => {
+        if (cancelled) return;
+        setMinted(Object.fromEntries(unlocked.map(({ id }, i) => [id, results[i]])));
+      })
+      .catch(error => console.error('Error reading minted achievements:', error));
+
+    return () => { cancelled = true; };
+  }, [unlocked, address, account, signer, contractAddress]);
+
+  const mint = async (id) => {
+    setMinting(id);
+    try {
+      toast.loading('Minting badge...', { id: 'mint' });
+      const claim = await fetchAchievementClaim(address, id);
+      const tx = await contract.claim(id, claim.signature);
+      await tx.wait();
+      setMinted(current => ({ ...current, [id]: true }));
+      toast.success('Badge minted!', { id: 'mint' });
+    } catch (error) {
+      console.error('Error minting achievement:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Transaction cancelled' : 'Failed to mint badge', { id: 'mint' });
+    } finally {
+      setMinting(null);
+    }
+  };
+
+  if (!unlocked) {
+    return <p className="text-center text-sm opacity-50 py-4">Loading achievements...</p>;
+  }
+
+  const unlockedById = Object.fromEntries(unlocked.map(achievement => [achievement.id, achievement]));
+
+  return (
+    <div>
+      <p className="text-xs opacity-70 mb-2">{unlocked.length} of {ACHIEVEMENTS.length} unlocked</p>
+      <div className="grid grid-cols-3 gap-2">
+        {ACHIEVEMENTS.map(achievement => {
+          const entry = unlockedById[achievement.id];
+          return (
+            <div
+              key={achievement.id}
+              title={achievement.description}
+              className={`rounded-lg p-2 text-center ${entry ? 'bg-white/20' : 'bg-white/5 opacity-40 grayscale'}`}
+            >
+              <p className="text-2xl">{achievement.icon}</p>
+              <p className="text-xs font-semibold">{achievement.name}</p>
+              <p className="text-[10px] opacity-70">{entry ? formatDate(entry.unlockedAt) : achievement.description}</p>
+              {entry && contract && (
+                minted[achievement.id] ? (
+                  <p className="text-[10px] text-green-400 mt-1">Minted</p>
+                ) : (
+                  <button
+                    onClick={() => mint(achievement.id)}
+                    disabled={minting !== null}
+                    className="mt-1 px-2 py-0.5 text-[10px] bg-gradient-to-r from-purple-500 to-pink-500 rounded hover:from-purple-600 hover:to-pink-600 transition-all disabled:opacity-50"
+                  >
+                    {minting === achievement.id ? 'Minting...' : 'Mint'}
+                  </button>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default AchievementGallery;
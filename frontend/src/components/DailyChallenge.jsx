@@ -0,0 +1,115 @@
+// frontend/src/components/DailyChallenge.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchDailyChallenge, fetchDailyWinners, fetchLeaderboard } from '../api.js';
+
+const TOP_COUNT = 5;
+
+// 18312000 -> "5h 05m"
+const formatCountdown = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+function DailyChallenge({ socket, refreshKey, activeDate, onPlay, onSelectPlayer }) {
+  const [challenge, setChallenge] = useState(null);
+  const [top, setTop] = useState([]);
+  const [winners, setWinners] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  const load = useCallback(async () => {
+    try {
+      const today = await fetchDailyChallenge();
+      const [board, pastWinners] = await Promise.all([
+        fetchLeaderboard({ limit: TOP_COUNT, offset: 0, sort: 'highScore', window: 'all', variant: today.variant }),
+        fetchDailyWinners(),
+      ]);
+      setChallenge(today);
+      setTop(board.entries);
+      setWinners(pastWinners);
+    } catch (error) {
+      console.error('Error loading daily challenge:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // New scores come in with leaderboard updates; a new day starts at UTC midnight
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('leaderboardUpdate', load);
+    socket.on('dailyReset', load);
+    return () => {
+      socket.off('leaderboardUpdate', load);
+      socket.off('dailyReset', load);
+    };
+  }, [socket, load]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!challenge) return null;
+
+  const isPlaying = activeDate === challenge.date;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 shadow-2xl mb-8">
+      <div className="flex justify-between items-baseline mb-4">
+        <h2 className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-yellow-400 to-pink-400">
+          Daily Challenge
+        </h2>
+        <span className="text-xs opacity-70">resets in {formatCountdown(challenge.endsAt - now)}</span>
+      </div>
+
+      <p className="text-sm opacity-80 mb-4">
+        Same board for everyone, one attempt per day, no undo. {challenge.date} (UTC)
+      </p>
+
+      <button
+        onClick={onPlay}
+        disabled={isPlaying}
+        className="w-full px-6 py-3 mb-4 bg-gradient-to-r from-yellow-500 to-pink-500 rounded-lg hover:from-yellow-600 hover:to-pink-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isPlaying ? 'Playing today\'s challenge' : 'Play today\'s challenge'}
+      </button>
+
+      <h3 className="font-semibold mb-2">Today</h3>
+      {top.length === 0 ? (
+        <p className="text-sm opacity-50 mb-4">No scores yet today.</p>
+      ) : (
+        <div className="space-y-1 mb-4">
+          {top.map(entry => (
+            <div
+              key={entry.address}
+              onClick={() => onSelectPlayer && onSelectPlayer(entry.address)}
+              className="flex justify-between text-sm bg-white/10 rounded-lg px-3 py-2 cursor-pointer hover:bg-white/20 transition-colors"
+            >
+              <span>#{entry.rank} {entry.name}</span>
+              <span className="font-bold">{entry.highScore}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {winners.length > 0 && (
+        <>
+          <h3 className="font-semibold mb-2">Past winners</h3>
+          <div className="space-y-1">
+            {winners.map(winner => (
+              <div key={winner.date} className="flex justify-between text-sm opacity-80">
+                <span>{winner.date} · {winner.name}</span>
+                <span>{winner.score}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DailyChallenge;
@@ -0,0 +1,90 @@
+// frontend/src/components/GameBoard.jsx
+import React from 'react';
+import { motion, useReducedMotion } from 'framer-motion';
+import { BLOCKED, getTileLevel } from '../../../shared/variants.js';
+
+// Tiles slide first; merged and spawned tiles pop in once they have arrived
+export const SLIDE_DURATION = 0.1; // seconds
+const POP_DURATION = 0.15; // seconds
+
+// By the tile's step in its variant's sequence (2, 4, 8... or 1, 2, 3, 5...)
+const TILE_COLORS = [
+  'bg-gray-200',
+  'bg-gray-100',
+  'bg-yellow-100',
+  'bg-yellow-200',
+  'bg-orange-200',
+  'bg-orange-300',
+  'bg-orange-400',
+  'bg-red-300',
+  'bg-red-400',
+  'bg-red-500',
+  'bg-purple-400',
+  'bg-purple-500',
+  'bg-purple-600',
+  'bg-indigo-500',
+  'bg-indigo-600',
+];
+
+export const getTileColor = (value, variant) => {
+  if (value === BLOCKED) return 'bg-gray-900';
+  return TILE_COLORS[getTileLevel(value, variant)] || 'bg-gray-700';
+};
+
+// Tiles come from shared/tiles.js; each keeps its id while it moves, so React
+// keeps the same element and framer-motion slides it to the new cell
+function GameBoard({ tiles, size, variant }) {
+  const reducedMotion = useReducedMotion();
+
+  // Every tile is a cell-sized box moved by whole cells; its padding makes the gaps
+  const cellStyle = { width: `${100 / size}%`, height: `${100 / size}%` };
+  const cellPosition = (index) => ({ x: `${(index % size) * 100}%`, y: `${Math.floor(index / size) * 100}%` });
+  // Smaller digits on bigger boards
+  const textClass = size <= 4 ? 'text-2xl' : size <= 6 ? 'text-lg' : 'text-sm';
+
+  const popIn = (tile) => {
+    if (reducedMotion || !(tile.isNew || tile.merged)) {
+      return { initial: false, animate: { scale: 1 } };
+    }
+    return {
+      initial: { scale: 0 },
+      animate: { scale: tile.merged ? [0, 1.2, 1] : 1 },
+      transition: { delay: SLIDE_DURATION, duration: POP_DURATION },
+    };
+  };
+
+  return (
+    <div className="relative w-full h-full">
+      {Array.from({ length: size * size }, (_, index) => (
+        <div
+          key={index}
+          className="absolute top-0 left-0 p-1"
+          style={{ ...cellStyle, transform: `translate(${cellPosition(index).x}, ${cellPosition(index).y})` }}
+        >
+          <div className={`${getTileColor(0, variant)} w-full h-full rounded-lg`} />
+        </div>
+      ))}
+
+      {tiles.map(tile => (
+        <motion.div
+          key={tile.id}
+          className="absolute top-0 left-0 p-1"
+          // Tiles merged away slide underneath the tile they became
+          style={{ ...cellStyle, zIndex: tile.consumed ? 1 : 2 }}
+          initial={false}
+          animate={cellPosition(tile.index)}
+          transition={{ duration: reducedMotion ? 0 : SLIDE_DURATION, ease: 'easeInOut' }}
+        >
+          <motion.div
+            {...popIn(tile)}
+            className={`${getTileColor(tile.value, variant)} w-full h-full rounded-lg flex items-center justify-center font-bold ${textClass} text-gray-800 shadow-lg`}
+          >
+            {tile.value > 0 && tile.value}
+          </motion.div>
+        </motion.div>
+      ))}
+    </div>
+  );
+}
+
+export default GameBoard;
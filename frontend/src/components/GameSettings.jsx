@@ -0,0 +1,53 @@
+// frontend/src/components/GameSettings.jsx
+import React from 'react';
+import { VARIANTS, BOARD_SIZES, WIN_TILES } from '../../../shared/variants.js';
+
+function GameSettings({ settings, onChange }) {
+  const rules = VARIANTS[settings.variant];
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    // A new variant starts from its own default win tile
+    if (changes.variant) next.winTile = VARIANTS[changes.variant].winTile;
+    onChange(next);
+  };
+
+  const selectClass = 'px-3 py-2 rounded-lg bg-white/20 border border-white/30 text-white text-sm';
+
+  return (
+    <div className="flex flex-wrap gap-2 justify-center mb-4">
+      <select
+        value={settings.variant}
+        onChange={(e) => update({ variant: e.target.value })}
+        className={selectClass}
+      >
+        {Object.entries(VARIANTS).map(([id, variant]) => (
+          <option key={id} value={id} className="text-gray-800">{variant.name}</option>
+        ))}
+      </select>
+
+      <select
+        value={settings.size}
+        onChange={(e) => update({ size: Number(e.target.value) })}
+        className={selectClass}
+      >
+        {BOARD_SIZES.map(size => (
+          <option key={size} value={size} className="text-gray-800">{size}×{size}</option>
+        ))}
+      </select>
+
+      {/* The win tile is part of the variant key, so each choice has a leaderboard of its own */}
+      <select
+        value={settings.winTile}
+        onChange={(e) => update({ winTile: Number(e.target.value) })}
+        className={selectClass}
+      >
+        {WIN_TILES[rules.merge].map(tile => (
+          <option key={tile} value={tile} className="text-gray-800">Win at {tile}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default GameSettings;
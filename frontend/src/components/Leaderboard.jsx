@@ -0,0 +1,219 @@
+// frontend/src/components/Leaderboard.jsx
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { fetchLeaderboard } from '../api.js';
+import { VARIANTS, DEFAULT_VARIANT_KEY, listVariantKeys, parseVariantKey } from '../../../shared/variants.js';
+
+const PAGE_SIZE = 20;
+
+const WINDOWS = [
+  { id: 'all', label: 'All-time' },
+  { id: 'monthly', label: 'Month' },
+  { id: 'weekly', label: 'Week' },
+  { id: 'daily', label: 'Today' },
+];
+
+const SORTS = [
+  { id: 'highScore', label: 'High score', suffix: '' },
+  { id: 'totalScore', label: 'Total score', suffix: ' total' },
+  { id: 'averageScore', label: 'Average', suffix: ' avg' },
+  { id: 'gamesPlayed', label: 'Games played', suffix: ' games' },
+];
+
+const variantKeys = listVariantKeys();
+
+const variantLabel = (key) => {
+  const rules = parseVariantKey(key);
+  if (!rules) return `Daily ${key.slice('daily/'.length)}`;
+  const label = `${VARIANTS[rules.variant].name} ${rules.size}×${rules.size}`;
+  return rules.winTile === VARIANTS[rules.variant].winTile ? label : `${label} to ${rules.winTile}`;
+};
+
+// 192000 -> "3:12"
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+function Leaderboard({ socket, refreshKey, onSelectPlayer, onWatchReplay, showUndoBoard, variant: currentVariant = DEFAULT_VARIANT_KEY }) {
+  const [variant, setVariant] = useState(currentVariant);
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [board, setBoard] = useState('classic');
+  const [sort, setSort] = useState('highScore');
+  const [entries, setEntries] = useState([]);
+  const [nextOffset, setNextOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
+  // Guards against stale responses when the tab changes mid-request
+  const requestRef = useRef(0);
+
+  // Follow the board the player switches to
+  useEffect(() => {
+    setVariant(currentVariant);
+  }, [currentVariant]);
+
+  const loadPage = useCallback(async (offset) => {
+    const requestId = ++requestRef.current;
+    setIsLoading(true);
+
+    try {
+      const page = await fetchLeaderboard({ limit: PAGE_SIZE, offset, sort, window: timeWindow, board, variant });
+      if (requestId !== requestRef.current) return;
+
+      setEntries(prev => (offset === 0 ? page.entries : [...prev, ...page.entries]));
+      setNextOffset(page.nextOffset);
+    } catch (error) {
+      console.error('Error loading leaderboard:', error);
+    } finally {
+      if (requestId === requestRef.current) setIsLoading(false);
+    }
+  }, [sort, timeWindow, board, variant]);
+
+  // Reload from the top when the view changes, and every 30 seconds
+  useEffect(() => {
+    loadPage(0);
+    const interval = setInterval(() => loadPage(0), 30000);
+    return () => clearInterval(interval);
+  }, [loadPage, refreshKey]);
+
+  // The backend pushes an update whenever new games are indexed
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdate = () => loadPage(0);
+    socket.on('leaderboardUpdate', handleUpdate);
+    return () => socket.off('leaderboardUpdate', handleUpdate);
+  }, [socket, loadPage]);
+
+  // Infinite scroll: fetch the next page when the sentinel scrolls into view
+  useEffect(() => {
+    if (!sentinelRef.current || nextOffset === null) return;
+
+    const observer = new IntersectionObserver((observed) => {
+      if (observed[0].isIntersecting && !isLoading) {
+        loadPage(nextOffset);
+      }
+    }, { root: listRef.current });
+
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [nextOffset, isLoading, loadPage]);
+
+  const activeSort = SORTS.find(option => option.id === sort);
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 shadow-2xl">
+      <h2 className="text-2xl font-bold mb-4 bg-clip-text text-transparent bg-gradient-to-r from-yellow-400 to-pink-400">
+        Leaderboard
+      </h2>
+
+      <select
+        value={variant}
+        onChange={(e) => setVariant(e.target.value)}
+        className="w-full mb-3 px-3 py-2 rounded-lg bg-white/20 border border-white/30 text-white text-sm"
+      >
+        {/* The daily board is offered while playing it */}
+        {(variantKeys.includes(currentVariant) ? variantKeys : [currentVariant, ...variantKeys]).map(key => (
+          <option key={key} value={key} className="text-gray-800">{variantLabel(key)}</option>
+        ))}
+      </select>
+
+      {/* Games that used undo are ranked separately when the backend policy says so */}
+      {showUndoBoard && (
+        <div className="flex gap-1 mb-3 bg-white/10 rounded-lg p-1">
+          {[{ id: 'classic', label: 'Classic' }, { id: 'undo', label: 'With undo' }].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setBoard(option.id)}
+              className={`flex-1 px-2 py-1 rounded-md text-sm transition-all ${board === option.id ? 'bg-white/30 font-semibold' : 'opacity-70 hover:opacity-100'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Time window tabs */}
+      <div className="flex gap-1 mb-3 bg-white/10 rounded-lg p-1">
+        {WINDOWS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setTimeWindow(option.id)}
+            className={`flex-1 px-2 py-1 rounded-md text-sm transition-all ${timeWindow === option.id ? 'bg-white/30 font-semibold' : 'opacity-70 hover:opacity-100'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <select
+        value={sort}
+        onChange={(e) => setSort(e.target.value)}
+        className="w-full mb-4 px-3 py-2 rounded-lg bg-white/20 border border-white/30 text-white text-sm"
+      >
+        {SORTS.map(option => (
+          <option key={option.id} value={option.id} className="text-gray-800">
+            Sort by {option.label.toLowerCase()}
+          </option>
+        ))}
+      </select>
+
+      <div ref={listRef} className="space-y-2 max-h-96 overflow-y-auto">
+        {entries.length === 0 && !isLoading ? (
+          <p className="text-center opacity-50 py-8">No scores yet. Be the first!</p>
+        ) : (
+          entries.map((player, index) => (
+            <motion.div
+              key={player.address}
+              initial={{ opacity: 0, x: -20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ delay: (index % PAGE_SIZE) * 0.05 }}
+              onClick={() => onSelectPlayer && onSelectPlayer(player.address)}
+              className="bg-white/10 rounded-lg p-3 flex justify-between items-center cursor-pointer hover:bg-white/20 transition-colors"
+            >
+              <div className="flex items-center gap-3">
+                <span className={`text-lg font-bold ${player.rank <= 3 ? 'text-yellow-400' : ''}`}>
+                  #{player.rank}
+                </span>
+                <div>
+                  <p className="font-semibold">{player.name || 'Anonymous'}</p>
+                  <p className="text-xs opacity-70">{player.address.slice(0, 6)}...{player.address.slice(-4)}</p>
+                  {player.bestTile > 0 && (
+                    <p className="text-xs text-yellow-300">
+                      🏅 {player.bestTile}
+                      {player.fastestWin !== null && ` · won within ${formatDuration(player.fastestWin)}`}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div className="text-right">
+                <p className="font-bold">{player[sort]}{activeSort.suffix}</p>
+                <p className="text-xs opacity-70">
+                  {sort === 'gamesPlayed' ? `best ${player.highScore}` : `${player.gamesPlayed} games`}
+                </p>
+                {player.topGameId && onWatchReplay && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onWatchReplay(player.topGameId);
+                    }}
+                    className="text-xs text-cyan-300 hover:underline"
+                  >
+                    ▶ Watch best game
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          ))
+        )}
+
+        {nextOffset !== null && <div ref={sentinelRef} className="h-4" />}
+        {isLoading && <p className="text-center text-sm opacity-50 py-2">Loading...</p>}
+      </div>
+    </div>
+  );
+}
+
+export default Leaderboard;
@@ -0,0 +1,101 @@
+// frontend/src/components/PendingSubmissions.jsx
+import React from 'react';
+import { motion } from 'framer-motion';
+import { explorerTxUrl } from '../submissionQueue.js';
+
+const STATUS_LABELS = {
+  pending: { label: 'Pending', className: 'bg-yellow-500/30 text-yellow-300' },
+  signing: { label: 'Signing', className: 'bg-blue-500/30 text-blue-300' },
+  sent: { label: 'Sent', className: 'bg-blue-500/30 text-blue-300' },
+  mined: { label: 'Mined', className: 'bg-green-500/30 text-green-300' },
+  failed: { label: 'Failed', className: 'bg-red-500/30 text-red-300' },
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Scores in the submission queue (see submissionQueue.js), newest first
+function PendingSubmissions({ submissions, account, explorerUrl, onRetry, onDismiss, onClose }) {
+  const entries = [...submissions].reverse();
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-lg w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-2xl font-bold">Pending submissions</h3>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        {entries.length === 0 && <p className="text-center opacity-50 py-8">No score submissions.</p>}
+
+        <div className="space-y-2">
+          {entries.map(entry => {
+            const status = STATUS_LABELS[entry.status];
+            const otherWallet = !account || account.toLowerCase() !== entry.player.toLowerCase();
+
+            return (
+              <div key={entry.id} className="bg-white/10 rounded-lg p-3">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <p className="font-bold">
+                      {entry.score}
+                      <span className="ml-2 text-sm font-normal opacity-70">{entry.playerName}</span>
+                    </p>
+                    <p className="text-xs opacity-60">
+                      {formatTime(entry.createdAt)}
+                      {entry.relayed && ' · gasless'}
+                      {entry.submittedEarlier && ' · submitted earlier'}
+                      {entry.attempts > 0 && ` · ${entry.attempts} failed attempt(s)`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded text-xs ${status.className}`}>{status.label}</span>
+                </div>
+
+                {entry.error && entry.status !== 'mined' && <p className="text-xs text-red-300 mt-1">{entry.error}</p>}
+                {entry.status === 'pending' && entry.attempts > 0 && (
+                  <p className="text-xs opacity-60 mt-1">Next try at {formatTime(entry.nextAttemptAt)}</p>
+                )}
+                {otherWallet && entry.status !== 'mined' && entry.status !== 'failed' && (
+                  <p className="text-xs text-yellow-400 mt-1">
+                    Waiting for {entry.player.slice(0, 6)}...{entry.player.slice(-4)} to connect on Fluent network
+                  </p>
+                )}
+
+                <div className="flex gap-3 mt-2 text-xs">
+                  {entry.txHash && explorerUrl && (
+                    <a href={explorerTxUrl(explorerUrl, entry.txHash)} target="_blank" rel="noopener noreferrer" className="underline opacity-80 hover:opacity-100">
+                      View transaction
+                    </a>
+                  )}
+                  {entry.status === 'failed' && (
+                    <button onClick={() => onRetry(entry.id)} className="underline opacity-80 hover:opacity-100">
+                      Retry
+                    </button>
+                  )}
+                  {(entry.status === 'failed' || entry.status === 'mined') && (
+                    <button onClick={() => onDismiss(entry.id)} className="underline opacity-80 hover:opacity-100">
+                      Dismiss
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default PendingSubmissions;
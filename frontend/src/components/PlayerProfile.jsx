@@ -0,0 +1,149 @@
+// frontend/src/components/PlayerProfile.jsx
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { fetchPlayerProfile } from '../api.js';
+import AchievementGallery from './AchievementGallery.jsx';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+// Minimal SVG line chart of score over time
+function ScoreChart({ history }) {
+  if (history.length < 2) {
+    return <p className="text-center text-sm opacity-50 py-8">Play more games to see a chart</p>;
+  }
+
+  const first = history[0].timestamp;
+  const last = history[history.length - 1].timestamp;
+  const maxScore = Math.max(...history.map(game => game.score));
+
+  const x = (timestamp) => {
+    const span = last - first || 1;
+    return CHART_PADDING + ((timestamp - first) / span) * (CHART_WIDTH - CHART_PADDING * 2);
+  };
+  const y = (score) => {
+    return CHART_HEIGHT - CHART_PADDING - (score / maxScore) * (CHART_HEIGHT - CHART_PADDING * 2);
+  };
+
+  const points = history.map(game => `${x(game.timestamp)},${y(game.score)}`).join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32 bg-white/10 rounded-lg">
+        <polyline points={points} fill="none" stroke="#facc15" strokeWidth="2" strokeLinejoin="round" />
+        {history.map((game, index) => (
+          <circle
+            key={index}
+            cx={x(game.timestamp)}
+            cy={y(game.score)}
+            r="3"
+            fill={game.verified ? '#f472b6' : '#9ca3af'}
+          >
+            <title>{`${game.score} on ${formatDate(game.timestamp)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs opacity-60 mt-1">
+        <span>{formatDate(first)}</span>
+        <span>max {maxScore}</span>
+        <span>{formatDate(last)}</span>
+      </div>
+    </div>
+  );
+}
+
+function PlayerProfile({ address, account, signer, achievementsContract, onClose }) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    setError(null);
+
+    fetchPlayerProfile(address)
+      .then(data => !cancelled && setProfile(data))
+      .catch(err => !cancelled && setError(err.message));
+
+    return () => { cancelled = true; };
+  }, [address]);
+
+  const stats = profile ? [
+    { label: 'Rank', value: profile.rank ? `#${profile.rank}` : '-' },
+    { label: 'High score', value: profile.highScore },
+    { label: 'Best tile', value: profile.bestTile || '-' },
+    { label: 'Games', value: profile.gamesPlayed },
+    { label: 'Average', value: profile.averageScore },
+    { label: 'Total', value: profile.totalScore },
+  ] : [];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-lg w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h3 className="text-2xl font-bold">{profile ? profile.name : 'Player'}</h3>
+            <p className="text-xs opacity-70">{address}</p>
+          </div>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        {error && <p className="text-center opacity-70 py-8">{error}</p>}
+        {!profile && !error && <p className="text-center opacity-50 py-8">Loading...</p>}
+
+        {profile && (
+          <>
+            <div className="grid grid-cols-3 gap-2 mb-6">
+              {stats.map(stat => (
+                <div key={stat.label} className="bg-white/20 rounded-lg p-3">
+                  <p className="text-xs opacity-80">{stat.label}</p>
+                  <p className="text-lg font-bold">{stat.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <h4 className="font-semibold mb-2">Score over time</h4>
+            <ScoreChart history={profile.history} />
+
+            <h4 className="font-semibold mt-6 mb-2">Recent games</h4>
+            <div className="space-y-2">
+              {profile.recentGames.map(game => (
+                <div key={game.transactionHash} className="bg-white/10 rounded-lg p-3 flex justify-between items-center">
+                  <span className="text-sm opacity-80">{formatDate(game.timestamp)}</span>
+                  <span className="font-bold">
+                    {game.score}
+                    {!game.verified && <span className="ml-2 text-xs text-yellow-400">unverified</span>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {(profile || error) && (
+          <>
+            <h4 className="font-semibold mt-6 mb-2">Achievements</h4>
+            <AchievementGallery address={address} account={account} signer={signer} contractAddress={achievementsContract} />
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default PlayerProfile;
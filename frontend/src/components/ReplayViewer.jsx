@@ -0,0 +1,154 @@
+// frontend/src/components/ReplayViewer.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { recordingFrames, packRecording } from '../../../shared/recording.js';
+import { gridToTiles, moveTiles } from '../../../shared/tiles.js';
+import { parseVariantKey } from '../../../shared/variants.js';
+import GameBoard from './GameBoard.jsx';
+
+const MOVE_INTERVAL = 400; // ms per move at 1x
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// URL that opens this recording, see the #replay= handling in App.jsx
+export const recordingUrl = (recording) => {
+  return `${window.location.origin}${window.location.pathname}#replay=${packRecording(recording)}`;
+};
+
+export const downloadRecording = (recording) => {
+  const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `2048-${recording.variant.replace('/', '-')}-${recording.score}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+function ReplayViewer({ recording, onClose }) {
+  const frames = useMemo(() => recordingFrames(recording), [recording]);
+  const { size, variant } = parseVariantKey(recording.variant);
+  const lastFrame = frames.length - 1;
+
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  // Stepping forward one move animates; any other jump redraws the board
+  const [view, setView] = useState(() => ({ position: 0, tiles: gridToTiles(frames[0].state.grid) }));
+
+  const goTo = (target) => {
+    const next = Math.min(Math.max(target, 0), lastFrame);
+    setView(current => ({
+      position: next,
+      tiles: next === current.position + 1
+        ? moveTiles(current.tiles, frames[next].result)
+        : gridToTiles(frames[next].state.grid),
+    }));
+    setPosition(next);
+  };
+
+  useEffect(() => {
+    if (!playing) return;
+    if (position >= lastFrame) {
+      setPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => goTo(position + 1), MOVE_INTERVAL / speed);
+    return () => clearTimeout(timer);
+  }, [playing, position, speed]);
+
+  const togglePlaying = () => {
+    // Play from the start again once the end was reached
+    if (!playing && position >= lastFrame) goTo(0);
+    setPlaying(!playing);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(recordingUrl(recording));
+      toast.success('Replay link copied!');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const state = frames[position].state;
+  const controlClass = 'px-3 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all disabled:opacity-50';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-lg w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-2xl font-bold">Replay</h3>
+            <p className="text-xs opacity-70">
+              {recording.variant} · final score {recording.score}
+              {recording.player && ` · ${recording.player.slice(0, 6)}...${recording.player.slice(-4)}`}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        <div className="flex justify-between text-sm mb-2">
+          <span>Move {position} / {lastFrame}</span>
+          <span className="font-bold">Score {state.score}</span>
+        </div>
+
+        <div className="bg-gray-800/50 rounded-xl p-3 aspect-square">
+          <GameBoard tiles={view.tiles} size={size} variant={variant} />
+        </div>
+
+        <input
+          type="range"
+          min={0}
+          max={lastFrame}
+          value={position}
+          onChange={(e) => goTo(Number(e.target.value))}
+          className="w-full mt-4"
+        />
+
+        <div className="flex gap-2 justify-center mt-2">
+          <button onClick={() => goTo(0)} disabled={position === 0} className={controlClass}>⏮</button>
+          <button onClick={() => goTo(position - 1)} disabled={position === 0} className={controlClass}>‹</button>
+          <button onClick={togglePlaying} className={`${controlClass} w-16`}>
+            {playing ? '⏸' : '▶'}
+          </button>
+          <button onClick={() => goTo(position + 1)} disabled={position === lastFrame} className={controlClass}>›</button>
+          <button onClick={() => goTo(lastFrame)} disabled={position === lastFrame} className={controlClass}>⏭</button>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="px-2 py-2 rounded-lg bg-white/20 border border-white/30 text-white text-sm"
+          >
+            {SPEEDS.map(option => (
+              <option key={option} value={option} className="text-gray-800">{option}×</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex gap-4 mt-6">
+          <button onClick={copyLink} className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-lg hover:from-blue-600 hover:to-cyan-600 transition-all">
+            Copy link
+          </button>
+          <button onClick={() => downloadRecording(recording)} className="flex-1 px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all">
+            Download
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default ReplayViewer;
@@ -0,0 +1,186 @@
+// frontend/src/components/Spectate.jsx
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { gridToTiles, moveTiles } from '../../../shared/tiles.js';
+import { VARIANTS, DEFAULT_VARIANT, parseVariantKey } from '../../../shared/variants.js';
+import GameBoard from './GameBoard.jsx';
+
+// "classic/4x4" -> "Classic 4×4"; daily keys have no rules of their own
+const streamLabel = (stream) => {
+  const rules = parseVariantKey(stream.variant);
+  if (!rules) return stream.variant.startsWith('daily/') ? `Daily ${stream.variant.slice('daily/'.length)}` : 'Custom';
+  const label = `${VARIANTS[rules.variant].name} ${rules.size}×${rules.size}`;
+  return rules.winTile === VARIANTS[rules.variant].winTile ? label : `${label} to ${rules.winTile}`;
+};
+
+const streamRules = (stream) => {
+  const rules = parseVariantKey(stream.variant);
+  return { size: Math.sqrt(stream.grid.length), variant: rules ? rules.variant : DEFAULT_VARIANT };
+};
+
+// URL that opens a live game directly, see the #live= handling in App.jsx
+export const liveUrl = (streamId) => `${window.location.origin}${window.location.pathname}#live=${streamId}`;
+
+// Live games are relayed by backend/spectate.js; frames carry the move details
+// so the watched board animates like the player's own
+function Spectate({ socket, streamId: initialStreamId, onClose }) {
+  const [games, setGames] = useState([]);
+  const [watchingId, setWatchingId] = useState(initialStreamId || null);
+  // The watched stream and its tiles change together on every frame
+  const [view, setView] = useState({ stream: null, tiles: [] });
+  const { stream, tiles } = view;
+
+  // The list of live games, kept current while the window is open
+  useEffect(() => {
+    if (!socket) return;
+
+    const requestList = () => socket.emit('live:list', null, (response) => setGames(response.games));
+    requestList();
+    socket.on('live:games', setGames);
+    // Rejoin the lobby after a reconnect
+    socket.on('connect', requestList);
+    return () => {
+      socket.emit('live:unlist');
+      socket.off('live:games', setGames);
+      socket.off('connect', requestList);
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    if (!socket || !watchingId) return;
+
+    const watch = () => {
+      socket.emit('live:watch', { streamId: watchingId }, (response) => {
+        if (response.error) {
+          toast.error(response.error);
+          setWatchingId(null);
+          return;
+        }
+        setView({ stream: response.stream, tiles: gridToTiles(response.stream.grid) });
+      });
+    };
+
+    // Frames without move details (viewer counts, reconnects) only redraw a changed board
+    const handleFrame = ({ stream: next, result }) => {
+      if (next.id !== watchingId) return;
+      setView(current => {
+        if (result) return { stream: next, tiles: moveTiles(current.tiles, result) };
+        const sameBoard = current.stream && current.stream.grid.join() === next.grid.join();
+        return { stream: next, tiles: sameBoard ? current.tiles : gridToTiles(next.grid) };
+      });
+    };
+
+    const handleEnded = ({ streamId }) => {
+      if (streamId !== watchingId) return;
+      toast('The game you were watching has ended');
+      setView(current => ({ ...current, stream: current.stream && { ...current.stream, ended: true } }));
+    };
+
+    watch();
+    socket.on('live:frame', handleFrame);
+    socket.on('live:ended', handleEnded);
+    socket.on('connect', watch);
+    return () => {
+      socket.emit('live:unwatch', { streamId: watchingId });
+      socket.off('live:frame', handleFrame);
+      socket.off('live:ended', handleEnded);
+      socket.off('connect', watch);
+      setView({ stream: null, tiles: [] });
+    };
+  }, [socket, watchingId]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(liveUrl(watchingId));
+      toast.success('Link copied!');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const rules = stream && streamRules(stream);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-lg w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-2xl font-bold">{watchingId ? 'Watching live' : 'Live games'}</h3>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        {!watchingId && (
+          games.length === 0 ? (
+            <p className="text-center opacity-50 py-8">Nobody is streaming right now.</p>
+          ) : (
+            <div className="space-y-2">
+              {games.map(game => (
+                <div
+                  key={game.id}
+                  onClick={() => setWatchingId(game.id)}
+                  className="bg-white/10 rounded-lg p-3 flex justify-between items-center cursor-pointer hover:bg-white/20 transition-colors"
+                >
+                  <div>
+                    <p className="font-semibold">{game.name}</p>
+                    <p className="text-xs opacity-70">
+                      {streamLabel(game)}
+                      {!game.connected && ' · reconnecting...'}
+                      {game.over && ' · game over'}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-bold">{game.score}</p>
+                    <p className="text-xs opacity-70">👁 {game.viewers}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+
+        {watchingId && stream && (
+          <>
+            <div className="flex justify-between text-sm mb-2">
+              <span>
+                <span className="font-semibold">{stream.name}</span>
+                <span className="opacity-70"> · {streamLabel(stream)} · 👁 {stream.viewers}</span>
+              </span>
+              <span className="font-bold">Score {stream.score}</span>
+            </div>
+
+            <div className="relative bg-gray-800/50 rounded-xl p-3 aspect-square">
+              <GameBoard tiles={tiles} size={rules.size} variant={rules.variant} />
+            </div>
+
+            <p className="text-center text-sm mt-2 opacity-80">
+              {stream.ended ? 'Stream ended' : !stream.connected ? 'Player disconnected, waiting for them to come back...' : stream.over ? 'Game over' : '🔴 Live'}
+            </p>
+
+            <div className="flex gap-4 mt-6">
+              <button onClick={() => setWatchingId(null)} className="flex-1 px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all">
+                All live games
+              </button>
+              <button onClick={copyLink} className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 rounded-lg hover:from-blue-600 hover:to-cyan-600 transition-all">
+                Copy link
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default Spectate;
@@ -0,0 +1,374 @@
+// frontend/src/components/Tournaments.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  fetchTournaments,
+  fetchTournament,
+  fetchSessionInfo,
+  createTournament,
+  registerForTournament,
+} from '../api.js';
+import { VARIANTS, listVariantKeys, parseVariantKey } from '../../../shared/variants.js';
+
+const STATUS_LABELS = {
+  registration: 'Registration open',
+  running: 'In progress',
+  finished: 'Finished',
+  cancelled: 'Cancelled',
+};
+
+const FORMAT_LABELS = { swiss: 'Swiss', bracket: 'Bracket' };
+
+const rulesLabel = (key) => {
+  const { variant, size } = parseVariantKey(key);
+  return `${VARIANTS[variant].name} ${size}×${size}`;
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Default start for new tournaments: the next full hour, in the datetime-local format
+const nextHour = () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000);
+  date.setMinutes(0, 0, 0);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+function CreateTournamentForm({ onCreate }) {
+  const [form, setForm] = useState({
+    name: '',
+    format: 'swiss',
+    rules: listVariantKeys()[0],
+    rounds: 3,
+    roundMinutes: 30,
+    startsAt: nextHour(),
+    commitResults: false,
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onCreate({
+        name: form.name,
+        format: form.format,
+        rules: form.rules,
+        rounds: form.format === 'swiss' ? Number(form.rounds) : undefined,
+        roundDuration: Number(form.roundMinutes) * 60 * 1000,
+        startsAt: new Date(form.startsAt).getTime(),
+        commitResults: form.commitResults,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg bg-white/20 border border-white/30 text-white text-sm';
+
+  return (
+    <form onSubmit={submit} className="bg-white/10 rounded-lg p-4 mb-4 space-y-3">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => update({ name: e.target.value })}
+        placeholder="Tournament name"
+        maxLength={60}
+        className={`${inputClass} placeholder-white/50`}
+      />
+      <div className="grid grid-cols-2 gap-3">
+        <select value={form.format} onChange={(e) => update({ format: e.target.value })} className={inputClass}>
+          {Object.entries(FORMAT_LABELS).map(([id, label]) => (
+            <option key={id} value={id} className="text-gray-800">{label}</option>
+          ))}
+        </select>
+        <select value={form.rules} onChange={(e) => update({ rules: e.target.value })} className={inputClass}>
+          {listVariantKeys().map(key => (
+            <option key={key} value={key} className="text-gray-800">{rulesLabel(key)}</option>
+          ))}
+        </select>
+        {form.format === 'swiss' && (
+          <label className="text-sm">
+            Rounds
+            <input type="number" min={1} max={10} value={form.rounds} onChange={(e) => update({ rounds: e.target.value })} className={inputClass} />
+          </label>
+        )}
+        <label className="text-sm">
+          Minutes per round
+          <input type="number" min={5} value={form.roundMinutes} onChange={(e) => update({ roundMinutes: e.target.value })} className={inputClass} />
+        </label>
+        <label className="text-sm col-span-2">
+          Starts at
+          <input type="datetime-local" value={form.startsAt} onChange={(e) => update({ startsAt: e.target.value })} className={inputClass} />
+        </label>
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.commitResults} onChange={(e) => update({ commitResults: e.target.checked })} />
+        Commit the final standings on-chain
+      </label>
+      <button
+        type="submit"
+        disabled={isSaving || !form.name.trim()}
+        className="w-full px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 rounded-lg hover:from-green-600 hover:to-emerald-600 transition-all disabled:opacity-50"
+      >
+        {isSaving ? 'Creating...' : 'Create tournament'}
+      </button>
+    </form>
+  );
+}
+
+// Tournament lobby: upcoming and past tournaments, registration, pairings and
+// standings. Rounds are played on the main board through onPlay.
+function Tournaments({ socket, account, session, ensureSession, defaultName, activeRound, onPlay, onSelectPlayer, onClose }) {
+  const [tournaments, setTournaments] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [tournament, setTournament] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [showCreate, setShowCreate] = useState(false);
+  const [name, setName] = useState(defaultName || '');
+
+  const loadList = useCallback(() => {
+    fetchTournaments()
+      .then(setTournaments)
+      .catch(error => console.error('Error loading tournaments:', error));
+  }, []);
+
+  const loadSelected = useCallback(() => {
+    if (!selectedId) return;
+    fetchTournament(selectedId)
+      .then(setTournament)
+      .catch(error => console.error('Error loading tournament:', error));
+  }, [selectedId]);
+
+  useEffect(loadList, [loadList]);
+
+  useEffect(() => {
+    setTournament(null);
+    loadSelected();
+  }, [loadSelected]);
+
+  // Registrations, round changes and new scores are pushed by the backend
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdate = ({ id }) => {
+      loadList();
+      if (id === selectedId) loadSelected();
+    };
+    socket.on('tournamentUpdate', handleUpdate);
+    return () => socket.off('tournamentUpdate', handleUpdate);
+  }, [socket, selectedId, loadList, loadSelected]);
+
+  // Only admins get the create form; asking needs a session, so don't prompt for one
+  useEffect(() => {
+    if (!session) return;
+    fetchSessionInfo(session.token)
+      .then(info => setIsAdmin(info.tournamentAdmin))
+      .catch(() => setIsAdmin(false));
+  }, [session]);
+
+  const create = async (settings) => {
+    try {
+      const created = await createTournament((await ensureSession()).token, settings);
+      toast.success('Tournament created');
+      setShowCreate(false);
+      setSelectedId(created.id);
+      loadList();
+    } catch (error) {
+      toast.error(`Could not create tournament: ${error.message}`);
+    }
+  };
+
+  const register = async () => {
+    if (!account) {
+      toast.error('Connect your wallet to register');
+      return;
+    }
+
+    try {
+      setTournament(await registerForTournament((await ensureSession()).token, tournament.id, name.trim()));
+      toast.success("You're registered!");
+    } catch (error) {
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Sign-in cancelled' : `Could not register: ${error.message}`);
+    }
+  };
+
+  const isRegistered = tournament && account &&
+    tournament.players.some(player => player.address.toLowerCase() === account.toLowerCase());
+  const currentRound = tournament && tournament.status === 'running' && tournament.rounds[tournament.currentRound - 1];
+  const now = Date.now();
+  const roundLive = currentRound && now >= currentRound.startsAt && now < currentRound.endsAt;
+  const myMatch = currentRound && account && currentRound.matches.find(match => {
+    return match.playerB && [match.playerA, match.playerB].some(player => player.toLowerCase() === account.toLowerCase());
+  });
+  const isPlayingThis = activeRound && tournament && activeRound.id === tournament.id && activeRound.round === tournament.currentRound;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-2xl w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-2xl font-bold">{tournament ? tournament.name : 'Tournaments'}</h3>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        {!selectedId && (
+          <>
+            {isAdmin && (
+              <button onClick={() => setShowCreate(!showCreate)} className="mb-4 text-sm underline opacity-80 hover:opacity-100">
+                {showCreate ? 'Cancel' : '+ New tournament'}
+              </button>
+            )}
+            {showCreate && <CreateTournamentForm onCreate={create} />}
+
+            {tournaments.length === 0 ? (
+              <p className="text-center opacity-50 py-8">No tournaments yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {tournaments.map(item => (
+                  <div
+                    key={item.id}
+                    onClick={() => setSelectedId(item.id)}
+                    className="bg-white/10 rounded-lg p-3 flex justify-between items-center cursor-pointer hover:bg-white/20 transition-colors"
+                  >
+                    <div>
+                      <p className="font-semibold">{item.name}</p>
+                      <p className="text-xs opacity-70">
+                        {FORMAT_LABELS[item.format]} · {rulesLabel(item.rules)} · {item.playerCount} players
+                      </p>
+                    </div>
+                    <div className="text-right text-xs">
+                      <p className="font-semibold">{STATUS_LABELS[item.status]}</p>
+                      <p className="opacity-70">
+                        {item.status === 'running' ? `Round ${item.currentRound} of ${item.roundCount}` : formatTime(item.startsAt)}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {selectedId && tournament && (
+          <>
+            <p className="text-sm opacity-80 mb-4">
+              {FORMAT_LABELS[tournament.format]} · {rulesLabel(tournament.rules)} · {STATUS_LABELS[tournament.status]}
+              {tournament.status === 'registration' && ` · starts ${formatTime(tournament.startsAt)}`}
+              {tournament.status === 'running' && ` · round ${tournament.currentRound} of ${tournament.roundCount}`}
+            </p>
+            <p className="text-xs opacity-70 mb-4">
+              Everyone in a round plays the same board, once, without undo. The higher verified score wins the match.
+            </p>
+
+            {tournament.registrationOpen && !isRegistered && (
+              <div className="flex gap-2 mb-4">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Your name"
+                  maxLength={20}
+                  className="flex-1 px-4 py-2 rounded-lg bg-white/20 border border-white/30 text-white placeholder-white/50"
+                />
+                <button
+                  onClick={register}
+                  disabled={!name.trim()}
+                  className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 rounded-lg hover:from-green-600 hover:to-emerald-600 transition-all disabled:opacity-50"
+                >
+                  Register
+                </button>
+              </div>
+            )}
+            {tournament.registrationOpen && isRegistered && (
+              <p className="text-green-400 text-sm mb-4">You're registered. Round 1 starts {formatTime(tournament.startsAt)}.</p>
+            )}
+
+            {currentRound && myMatch && (
+              <button
+                onClick={() => onPlay(tournament)}
+                disabled={!roundLive || isPlayingThis}
+                className="w-full px-6 py-3 mb-4 bg-gradient-to-r from-yellow-500 to-pink-500 rounded-lg hover:from-yellow-600 hover:to-pink-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isPlayingThis
+                  ? `Playing round ${tournament.currentRound}`
+                  : roundLive ? `Play round ${tournament.currentRound}` : `Round ${tournament.currentRound} starts ${formatTime(currentRound.startsAt)}`}
+              </button>
+            )}
+
+            <h4 className="font-semibold mb-2">Standings</h4>
+            <div className="space-y-1 mb-4">
+              {tournament.standings.length === 0 && <p className="text-sm opacity-50">Nobody has registered yet.</p>}
+              {tournament.standings.map(row => (
+                <div
+                  key={row.address}
+                  onClick={() => onSelectPlayer && onSelectPlayer(row.address)}
+                  className="flex justify-between text-sm bg-white/10 rounded-lg px-3 py-2 cursor-pointer hover:bg-white/20 transition-colors"
+                >
+                  <span>
+                    #{row.rank} {row.name}
+                    {row.eliminatedIn !== null && <span className="opacity-60"> · out in round {row.eliminatedIn}</span>}
+                  </span>
+                  <span>
+                    {tournament.format === 'swiss' && <span className="font-bold mr-3">{row.points} pts</span>}
+                    <span className="opacity-80">{row.totalScore}</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {tournament.rounds.filter(round => round.matches.length > 0).map(round => (
+              <div key={round.round} className="mb-4">
+                <h4 className="font-semibold mb-1">
+                  Round {round.round}
+                  <span className="text-xs font-normal opacity-70"> · {formatTime(round.startsAt)} – {formatTime(round.endsAt)}</span>
+                </h4>
+                <div className="space-y-1">
+                  {round.matches.map(match => (
+                    <div key={match.position} className="flex justify-between text-sm bg-white/10 rounded-lg px-3 py-1">
+                      <span className={match.winner === match.playerA ? 'font-bold' : ''}>
+                        {match.nameA} {match.scoreA !== null && `(${match.scoreA})`}
+                      </span>
+                      {match.playerB ? (
+                        <span className={match.winner === match.playerB ? 'font-bold' : ''}>
+                          {match.scoreB !== null && `(${match.scoreB})`} {match.nameB}
+                        </span>
+                      ) : (
+                        <span className="opacity-60">bye</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            {tournament.resultsTx && (
+              <p className="text-xs opacity-70 mb-4">Final standings committed on-chain: {shortAddress(tournament.resultsTx)}</p>
+            )}
+
+            <button onClick={() => setSelectedId(null)} className="w-full px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition-all">
+              All tournaments
+            </button>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default Tournaments;
@@ -0,0 +1,281 @@
+// frontend/src/components/Versus.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { gridToTiles, moveTiles } from '../../../shared/tiles.js';
+import { parseVariantKey } from '../../../shared/variants.js';
+import GameBoard, { getTileColor } from './GameBoard.jsx';
+
+const KEY_DIRECTIONS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+const SWIPE_THRESHOLD = 30; // px
+
+// 83000 -> "1:23"
+const formatClock = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Opponents' boards are small and redrawn on every update, without animation
+function MiniBoard({ grid, size, variant }) {
+  return (
+    <div className="grid gap-0.5 aspect-square" style={{ gridTemplateColumns: `repeat(${size}, minmax(0, 1fr))` }}>
+      {grid.map((value, index) => (
+        <div
+          key={index}
+          className={`${getTileColor(value, variant)} rounded-sm flex items-center justify-center text-[10px] font-bold text-gray-800`}
+        >
+          {value > 0 && value}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Versus matches are run by backend/versus.js: this only sends directions and
+// draws the boards the server sends back
+function Versus({ socket, account, defaultName, onClose }) {
+  const [name, setName] = useState(defaultName || '');
+  const [attacks, setAttacks] = useState(true);
+  const [status, setStatus] = useState('idle'); // idle | waiting | playing | ended
+  const [match, setMatch] = useState(null);
+  const [players, setPlayers] = useState({});
+  const [tiles, setTiles] = useState([]);
+  const [results, setResults] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const touchStartRef = useRef(null);
+
+  const me = socket && players[socket.id];
+  const rules = match && parseVariantKey(match.rules);
+  const isRunning = status === 'playing' && match && now >= match.startsAt && now < match.endsAt;
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMatched = (data) => {
+      setMatch(data);
+      setPlayers(Object.fromEntries(data.players.map(player => [player.id, player])));
+      setTiles(gridToTiles(data.players.find(player => player.id === socket.id).grid));
+      setStatus('playing');
+    };
+
+    // Our own board animates from the move details; blockers and expiries come without them
+    const handleUpdate = ({ player, result }) => {
+      setPlayers(current => ({ ...current, [player.id]: player }));
+      if (player.id === socket.id) {
+        setTiles(current => (result ? moveTiles(current, result) : gridToTiles(player.grid)));
+      }
+    };
+
+    const handleAttack = ({ from, to }) => {
+      if (to === socket.id) toast.error('A blocker was dropped on your board!');
+      else if (from === socket.id) toast.success('Blocker sent!');
+    };
+
+    const handleEnd = (data) => {
+      setResults(data);
+      setStatus('ended');
+    };
+
+    socket.on('versus:matched', handleMatched);
+    socket.on('versus:update', handleUpdate);
+    socket.on('versus:attack', handleAttack);
+    socket.on('versus:end', handleEnd);
+    return () => {
+      socket.off('versus:matched', handleMatched);
+      socket.off('versus:update', handleUpdate);
+      socket.off('versus:attack', handleAttack);
+      socket.off('versus:end', handleEnd);
+    };
+  }, [socket]);
+
+  // Leave the queue or match when the window closes
+  useEffect(() => {
+    if (!socket) return;
+    return () => socket.emit('versus:leave');
+  }, [socket]);
+
+  useEffect(() => {
+    if (status !== 'playing') return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [status]);
+
+  const sendMove = (direction) => {
+    if (!isRunning || !me || me.over) return;
+    socket.emit('versus:move', { roomId: match.roomId, direction }, (response) => {
+      if (response.error) console.error('Versus move rejected:', response.error);
+    });
+  };
+
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      if (e.target.tagName === 'INPUT') return;
+      const direction = KEY_DIRECTIONS[e.key];
+      if (!direction) return;
+
+      e.preventDefault();
+      sendMove(direction);
+    };
+
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [isRunning, me, match]);
+
+  const handleTouchStart = (e) => {
+    touchStartRef.current = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!touchStartRef.current) return;
+    const dx = e.changedTouches[0].clientX - touchStartRef.current.x;
+    const dy = e.changedTouches[0].clientY - touchStartRef.current.y;
+    touchStartRef.current = null;
+
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_THRESHOLD) return;
+    if (Math.abs(dx) > Math.abs(dy)) sendMove(dx > 0 ? 'right' : 'left');
+    else sendMove(dy > 0 ? 'down' : 'up');
+  };
+
+  const join = () => {
+    if (!socket || !socket.connected) {
+      toast.error('Not connected to the game server');
+      return;
+    }
+
+    setResults(null);
+    setMatch(null);
+    socket.emit('versus:join', { name: name.trim() || 'Anonymous', address: account, attacks }, (response) => {
+      if (response.error) {
+        toast.error(response.error);
+        return;
+      }
+      setStatus('waiting');
+    });
+  };
+
+  const cancel = () => {
+    socket.emit('versus:leave');
+    setStatus('idle');
+  };
+
+  const opponents = Object.values(players).filter(player => player.id !== (socket && socket.id));
+  const buttonClass = 'flex-1 px-4 py-2 rounded-lg transition-all';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-gradient-to-br from-purple-800 to-blue-800 rounded-2xl p-8 max-w-3xl w-full shadow-2xl max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-2xl font-bold">Versus</h3>
+          <button onClick={onClose} className="text-2xl opacity-70 hover:opacity-100">×</button>
+        </div>
+
+        {status === 'idle' && (
+          <>
+            <p className="text-sm opacity-80 mb-4">
+              Two to four players get the same board. Highest score when the clock runs out wins.
+            </p>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Your name"
+              maxLength={20}
+              className="w-full px-4 py-2 rounded-lg bg-white/20 border border-white/30 text-white placeholder-white/50 mb-3"
+            />
+            <label className="flex items-center gap-2 text-sm mb-6">
+              <input type="checkbox" checked={attacks} onChange={(e) => setAttacks(e.target.checked)} />
+              Attacks: merging 128 or more drops a blocker on an opponent
+            </label>
+            <button onClick={join} className={`${buttonClass} w-full bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600`}>
+              Find a match
+            </button>
+          </>
+        )}
+
+        {status === 'waiting' && (
+          <div className="text-center py-8">
+            <p className="mb-4">Waiting for opponents...</p>
+            <button onClick={cancel} className={`${buttonClass} bg-white/20 hover:bg-white/30`}>Cancel</button>
+          </div>
+        )}
+
+        {(status === 'playing' || status === 'ended') && match && (
+          <div className="grid md:grid-cols-3 gap-6">
+            <div className="md:col-span-2">
+              <div className="flex justify-between text-sm mb-2">
+                <span className="font-bold">Score {me ? me.score : 0}</span>
+                <span className="font-bold">
+                  {now < match.startsAt ? `Starts in ${formatClock(match.startsAt - now)}` : formatClock(match.endsAt - now)}
+                </span>
+              </div>
+              <div
+                className="relative bg-gray-800/50 rounded-xl p-3 aspect-square touch-none"
+                onTouchStart={handleTouchStart}
+                onTouchEnd={handleTouchEnd}
+              >
+                <GameBoard tiles={tiles} size={rules.size} variant={rules.variant} />
+              </div>
+              {me && me.over && status === 'playing' && (
+                <p className="text-center text-sm mt-2 opacity-80">No moves left. Waiting for the others...</p>
+              )}
+            </div>
+
+            <div className="space-y-4">
+              {opponents.map(player => (
+                <div key={player.id} className={`bg-white/10 rounded-lg p-3 ${player.left || player.over ? 'opacity-50' : ''}`}>
+                  <div className="flex justify-between text-sm mb-2">
+                    <span className="font-semibold truncate">{player.name}</span>
+                    <span className="font-bold">{player.score}</span>
+                  </div>
+                  <MiniBoard grid={player.grid} size={rules.size} variant={rules.variant} />
+                  {player.left && <p className="text-xs mt-1">Left the match</p>}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {status === 'ended' && results && (
+          <div className="mt-6">
+            <h4 className="text-xl font-bold mb-2">
+              {results.winners.includes(socket.id) ? 'You win!' : 'Match over'}
+            </h4>
+            <div className="space-y-1 mb-4">
+              {results.results.map((result, index) => (
+                <div
+                  key={result.id}
+                  className={`flex justify-between text-sm rounded-lg px-3 py-2 ${result.id === socket.id ? 'bg-white/30' : 'bg-white/10'}`}
+                >
+                  <span>
+                    #{index + 1} {result.name}
+                    {results.winners.includes(result.id) && ' 🏆'}
+                    {result.left && ' (left)'}
+                  </span>
+                  <span className="font-bold">{result.score}</span>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-4">
+              <button onClick={join} className={`${buttonClass} bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600`}>
+                Play again
+              </button>
+              <button onClick={onClose} className={`${buttonClass} bg-white/20 hover:bg-white/30`}>Close</button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default Versus;
@@ -0,0 +1,58 @@
+// frontend/src/contracts/Achievements.js
+// Generated by scripts/abi.js from the Achievements artifact, do not edit. Run
+// `npm run compile` at the repo root after changing the contract.
+import { Contract } from 'ethers';
+import abi from '../../../shared/abi/Achievements.json';
+
+/** @typedef {import('ethers').AddressLike} AddressLike */
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+
+/**
+ * @template {Array<any>} A
+ * @template R
+ * @template {R | ContractTransactionResponse} D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} ContractMethod
+ */
+
+/**
+ * The Achievements functions, as ethers exposes them on the contract
+ * @typedef {{
+ *   ACHIEVEMENT_CLAIM_TYPEHASH: ContractMethod<[], string, string>,
+ *   achievementOf: ContractMethod<[arg0: BigNumberish], string, string>,
+ *   approve: ContractMethod<[arg0: AddressLike, arg1: BigNumberish], void, void>,
+ *   balanceOf: ContractMethod<[owner: AddressLike], bigint, bigint>,
+ *   claim: ContractMethod<[achievement: string, signature: BytesLike], bigint, ContractTransactionResponse>,
+ *   domainSeparator: ContractMethod<[], string, string>,
+ *   getApproved: ContractMethod<[tokenId: BigNumberish], string, string>,
+ *   hasAchievement: ContractMethod<[player: AddressLike, achievement: string], boolean, boolean>,
+ *   isApprovedForAll: ContractMethod<[arg0: AddressLike, arg1: AddressLike], boolean, boolean>,
+ *   locked: ContractMethod<[tokenId: BigNumberish], boolean, boolean>,
+ *   name: ContractMethod<[], string, string>,
+ *   owner: ContractMethod<[], string, string>,
+ *   ownerOf: ContractMethod<[tokenId: BigNumberish], string, string>,
+ *   'safeTransferFrom(address,address,uint256)': ContractMethod<[arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish], void, void>,
+ *   'safeTransferFrom(address,address,uint256,bytes)': ContractMethod<[arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BytesLike], void, void>,
+ *   setApprovalForAll: ContractMethod<[arg0: AddressLike, arg1: boolean], void, void>,
+ *   setVerifier: ContractMethod<[verifier: AddressLike], void, ContractTransactionResponse>,
+ *   supportsInterface: ContractMethod<[interfaceId: BytesLike], boolean, boolean>,
+ *   symbol: ContractMethod<[], string, string>,
+ *   tokenOf: ContractMethod<[arg0: AddressLike, arg1: BytesLike], bigint, bigint>,
+ *   totalSupply: ContractMethod<[], bigint, bigint>,
+ *   transferFrom: ContractMethod<[arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish], void, void>,
+ *   verifier: ContractMethod<[], string, string>
+ * }} AchievementsMethods
+ */
+
+export { abi };
+
+/**
+ * Achievements at `address`: connected to a signer it sends transactions, to a provider it only reads
+ * @param {string} address
+ * @param {import('ethers').ContractRunner} [runner]
+ * @returns {Contract & AchievementsMethods}
+ */
+export const connectAchievements = (address, runner) => {
+  return /** @type {Contract & AchievementsMethods} */ (new Contract(address, abi, runner));
+};
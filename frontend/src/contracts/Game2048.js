@@ -0,0 +1,58 @@
+// frontend/src/contracts/Game2048.js
+// Generated by scripts/abi.js from the Game2048 artifact, do not edit. Run
+// `npm run compile` at the repo root after changing the contract.
+import { Contract } from 'ethers';
+import abi from '../../../shared/abi/Game2048.json';
+
+/** @typedef {import('ethers').AddressLike} AddressLike */
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+
+/**
+ * @template {Array<any>} A
+ * @template R
+ * @template {R | ContractTransactionResponse} D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} ContractMethod
+ */
+
+/**
+ * The Game2048 functions, as ethers exposes them on the contract
+ * @typedef {{
+ *   DEFAULT_VARIANT: ContractMethod<[], string, string>,
+ *   MAX_LEADERBOARD_SIZE: ContractMethod<[], bigint, bigint>,
+ *   SCORE_ATTESTATION_TYPEHASH: ContractMethod<[], string, string>,
+ *   SCORE_SUBMISSION_TYPEHASH: ContractMethod<[], string, string>,
+ *   allScores: ContractMethod<[arg0: BigNumberish], [string, bigint, bigint, string, string], [string, bigint, bigint, string, string]>,
+ *   commitTournamentResults: ContractMethod<[tournamentId: BigNumberish, players: Array<AddressLike>, scores: Array<BigNumberish>], void, ContractTransactionResponse>,
+ *   domainSeparator: ContractMethod<[], string, string>,
+ *   getPlayerStats: ContractMethod<[player: AddressLike], { player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }, { player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>,
+ *   getPlayerStatsForVariant: ContractMethod<[player: AddressLike, variant: string], { player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }, { player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>,
+ *   getRecentScores: ContractMethod<[count: BigNumberish], Array<{ player: string, score: bigint, timestamp: bigint, playerName: string, variant: string }>, Array<{ player: string, score: bigint, timestamp: bigint, playerName: string, variant: string }>>,
+ *   getTopPlayers: ContractMethod<[count: BigNumberish], Array<{ player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>, Array<{ player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>>,
+ *   getTopPlayersForVariant: ContractMethod<[variant: string, count: BigNumberish], Array<{ player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>, Array<{ player: string, playerName: string, highScore: bigint, gamesPlayed: bigint, totalScore: bigint }>>,
+ *   getTotalGamesPlayed: ContractMethod<[], bigint, bigint>,
+ *   minScoreForLeaderboard: ContractMethod<[], bigint, bigint>,
+ *   owner: ContractMethod<[], string, string>,
+ *   setVerifier: ContractMethod<[verifier: AddressLike], void, ContractTransactionResponse>,
+ *   submitScore: ContractMethod<[score: BigNumberish, playerName: string, variant: string, gameId: BytesLike, nonce: BigNumberish, expiry: BigNumberish, signature: BytesLike], void, ContractTransactionResponse>,
+ *   submitScoreFor: ContractMethod<[player: AddressLike, score: BigNumberish, playerName: string, variant: string, gameId: BytesLike, nonce: BigNumberish, expiry: BigNumberish, signature: BytesLike, playerSignature: BytesLike], void, ContractTransactionResponse>,
+ *   tournamentResults: ContractMethod<[arg0: BigNumberish], string, string>,
+ *   usedNonces: ContractMethod<[arg0: BigNumberish], boolean, boolean>,
+ *   variantPlayers: ContractMethod<[arg0: BytesLike, arg1: BigNumberish], string, string>,
+ *   variantStats: ContractMethod<[arg0: BytesLike, arg1: AddressLike], [string, string, bigint, bigint, bigint], [string, string, bigint, bigint, bigint]>,
+ *   verifier: ContractMethod<[], string, string>
+ * }} Game2048Methods
+ */
+
+export { abi };
+
+/**
+ * Game2048 at `address`: connected to a signer it sends transactions, to a provider it only reads
+ * @param {string} address
+ * @param {import('ethers').ContractRunner} [runner]
+ * @returns {Contract & Game2048Methods}
+ */
+export const connectGame2048 = (address, runner) => {
+  return /** @type {Contract & Game2048Methods} */ (new Contract(address, abi, runner));
+};
@@ -0,0 +1,30 @@
+// frontend/src/deployments.js
+// Contracts and chain of the network selected by VITE_NETWORK, from the manifests
+// frontend/scripts/deploy.js writes to deployments/<network>.json.
+const MANIFEST_VERSION = 1;
+
+const manifests = import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' });
+
+export const NETWORK = import.meta.env.VITE_NETWORK || 'fluentTestnet';
+
+const loadManifest = (network) => {
+  const manifest = manifests[`../../deployments/${network}.json`];
+  if (!manifest) {
+    console.warn(`No deployments manifest for network "${network}", using VITE_CONTRACT_ADDRESS`);
+    return null;
+  }
+  if (manifest.version !== MANIFEST_VERSION) {
+    console.error(`Unsupported deployments manifest version ${manifest.version} for "${network}"`);
+    return null;
+  }
+  return manifest;
+};
+
+export const manifest = loadManifest(NETWORK);
+
+// Address of a contract, null when it isn't deployed on NETWORK. The typed clients
+// to talk to it are generated in ./contracts (see scripts/abi.js).
+export const getContract = (name) => {
+  const contract = manifest && manifest.contracts[name];
+  return { address: contract ? contract.address : null };
+};
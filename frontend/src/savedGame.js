@@ -0,0 +1,54 @@
+// frontend/src/savedGame.js
+// In-progress games are saved as their seed and move log, undos included; boards,
+// the RNG and the undo history are rebuilt by replaying, so a save can't hold an impossible board.
+import { encodeMoves, decodeMoves, replayGame } from '../../shared/replay.js';
+
+const STORAGE_KEY = 'savedGame';
+// Version 1 saves dropped undone moves from the log and can't be verified
+const SAVE_VERSION = 2;
+
+export const serializeGame = ({ game, seed, moves, daily = null, tournament = null, undoCount, milestones }) => ({
+  version: SAVE_VERSION,
+  seed,
+  moves: encodeMoves(moves),
+  variant: game.variant,
+  size: game.size,
+  winTile: game.winTile,
+  score: game.score,
+  over: game.over,
+  daily,
+  tournament,
+  undoCount,
+  milestones,
+  updatedAt: Date.now(),
+});
+
+// Replay a save, the way the backend replays a submitted game.
+// Returns { game, rng, moves, moveCount, history, milestones, undoCount } or null if it doesn't hold up.
+export const restoreGame = (saved) => {
+  if (!saved || saved.version !== SAVE_VERSION) return null;
+
+  try {
+    const { size, variant, winTile } = saved;
+    const replay = replayGame({ seed: saved.seed, moves: saved.moves, size, variant, winTile });
+    if (!replay.valid || replay.score !== saved.score) return null;
+
+    const { state: game, rng, moveCount, history, milestones, undoCount } = replay;
+    return { game, rng, moves: decodeMoves(saved.moves), moveCount, history, milestones, undoCount };
+  } catch (error) {
+    console.error('Error restoring saved game:', error);
+    return null;
+  }
+};
+
+export const loadLocalGame = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveLocalGame = (saved) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+};
@@ -0,0 +1,108 @@
+// frontend/src/submissionQueue.js
+// Scores waiting to go on-chain. An entry keeps the game log and player name, so it
+// can be verified and sent again after a closed tab, a wrong network or a flaky RPC;
+// App.jsx works through the queue and retries with backoff.
+//
+// Entry status:
+//   pending - waiting for its next attempt (nextAttemptAt)
+//   signing - being verified and signed, or waiting for the wallet
+//   sent    - transaction out (txHash), waiting to be mined
+//   mined   - on-chain; submittedEarlier if an earlier attempt had used its nonce,
+//             with txHash null unless that transaction is known
+//   failed  - gave up; can be retried from the pending submissions panel
+
+const STORAGE_KEY = 'scoreQueue';
+
+export const MAX_ATTEMPTS = 8;
+const BASE_DELAY = 15 * 1000; // ms
+const MAX_DELAY = 10 * 60 * 1000; // ms
+// A transaction not mined after this long is checked and, if still pending, replaced
+export const STUCK_AFTER = 2 * 60 * 1000; // ms
+// Mined entries stay in the panel for a day
+const KEEP_MINED = 24 * 60 * 60 * 1000; // ms
+// Replacements must pay at least 10% more; bump by 25% to be safe
+const FEE_BUMP = 125n;
+
+export const createEntry = ({ player, playerName, score, log }) => {
+  const now = Date.now();
+  return {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    player,
+    playerName,
+    score,
+    log,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    txHash: null,
+    sentAt: null,
+    relayed: false,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// Wait after the nth failed attempt: 15s, 30s, 1m... up to 10m
+export const getRetryDelay = (attempts) => Math.min(BASE_DELAY * 2 ** Math.max(0, attempts - 1), MAX_DELAY);
+
+export const isDue = (entry, now = Date.now()) => {
+  return (entry.status === 'pending' || entry.status === 'sent') && entry.nextAttemptAt <= now;
+};
+
+// On load, sent transactions are checked right away; an entry left 'signing'
+// when the tab closed never got a transaction out
+export const loadQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    const now = Date.now();
+    return queue
+      .filter(entry => entry.status !== 'mined' || entry.updatedAt > now - KEEP_MINED)
+      .map(entry => {
+        if (entry.status === 'signing') return { ...entry, status: 'pending', nextAttemptAt: now };
+        if (entry.status === 'sent') return { ...entry, nextAttemptAt: now };
+        return entry;
+      });
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveQueue = (queue) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+};
+
+export const explorerTxUrl = (explorerUrl, txHash) => `${explorerUrl.replace(/\/$/, '')}/tx/${txHash}`;
+
+// Resend a stuck transaction with the same nonce and higher fees. Returns the new
+// transaction, the original if it was mined meanwhile, or null if it was dropped
+// or its nonce has been used.
+export const replaceTransaction = async (signer, txHash) => {
+  const tx = await signer.provider.getTransaction(txHash);
+  if (!tx || tx.blockNumber) return tx;
+
+  const bump = (fee) => fee * FEE_BUMP / 100n;
+  const max = (a, b) => (b && b > a ? b : a);
+  const feeData = await signer.provider.getFeeData();
+  const fees = tx.maxFeePerGas
+    ? {
+        maxFeePerGas: max(bump(tx.maxFeePerGas), feeData.maxFeePerGas),
+        maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas),
+      }
+    : { gasPrice: max(bump(tx.gasPrice), feeData.gasPrice) };
+
+  try {
+    return await signer.sendTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      ...fees,
+    });
+  } catch (error) {
+    // Another transaction with this nonce (e.g. an earlier replacement) was mined
+    if (error.code === 'NONCE_EXPIRED') return null;
+    throw error;
+  }
+};
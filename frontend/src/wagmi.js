@@ -0,0 +1,51 @@
+// frontend/src/wagmi.js
+// Wallet setup: the Fluent chain and the wagmi config behind RainbowKit's connect
+// modal (injected wallets, WalletConnect, Coinbase Wallet, ...). The game talks to
+// its contracts with ethers, so useEthersSigner turns wagmi's wallet client into a signer.
+import { useMemo } from 'react';
+import { ethers } from 'ethers';
+import { defineChain } from 'viem';
+import { useConnectorClient } from 'wagmi';
+import { getDefaultConfig } from '@rainbow-me/rainbowkit';
+import { NETWORK, manifest } from './deployments.js';
+
+// The chain the game runs on; the deployments manifest of VITE_NETWORK overrides the
+// Fluent testnet defaults, so a local Hardhat node works the same way
+export const fluent = defineChain({
+  id: manifest ? manifest.chainId : 20994, // 0x5202
+  name: manifest ? `Fluent (${NETWORK})` : 'Fluent Testnet',
+  nativeCurrency: { name: 'Fluent', symbol: 'FLU', decimals: 18 },
+  rpcUrls: {
+    default: { http: [import.meta.env.VITE_RPC_URL || (manifest && manifest.rpcUrl) || 'https://rpc.testnet.fluent.xyz/'] },
+  },
+  // Local nodes have no explorer
+  blockExplorers: manifest && !manifest.explorerUrl ? undefined : {
+    default: { name: 'Blockscout', url: manifest ? manifest.explorerUrl : 'https://blockscout.testnet.fluent.xyz' },
+  },
+  testnet: true,
+});
+
+// WalletConnect needs a project id from cloud.walletconnect.com; injected wallets work without one
+const WALLETCONNECT_PROJECT_ID = import.meta.env.VITE_WALLETCONNECT_PROJECT_ID || 'blockchain-2048';
+
+if (!import.meta.env.VITE_WALLETCONNECT_PROJECT_ID) {
+  console.warn('VITE_WALLETCONNECT_PROJECT_ID not set, WalletConnect wallets will not be able to connect');
+}
+
+export const wagmiConfig = getDefaultConfig({
+  appName: 'Blockchain 2048',
+  projectId: WALLETCONNECT_PROJECT_ID,
+  chains: [fluent],
+});
+
+// ethers signer for the connected wallet on `chainId`; null while disconnected or on another chain
+export const useEthersSigner = ({ chainId } = {}) => {
+  const { data: client } = useConnectorClient({ chainId });
+
+  return useMemo(() => {
+    if (!client) return null;
+    const { account, chain, transport } = client;
+    const provider = new ethers.BrowserProvider(transport, { chainId: chain.id, name: chain.name });
+    return new ethers.JsonRpcSigner(provider, account.address);
+  }, [client]);
+};
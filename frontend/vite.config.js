@@ -13,6 +13,10 @@ export default defineConfig(({ mode }) => {
       host: '0.0.0.0',
       port: 5173,
       strictPort: true,
+      fs: {
+        // Allow importing the game engine from ../shared
+        allow: ['..'],
+      },
     },
     define: {
       global: 'globalThis',
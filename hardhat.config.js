@@ -0,0 +1,29 @@
+// hardhat.config.js
+// Compiles contracts/ into artifacts/, the single source of the contract ABIs
+// (see frontend/scripts/abi.js). Deploy with:
+//   npx hardhat run frontend/scripts/deploy.js --network <network>
+require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
+module.exports = {
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
+  networks: {
+    fluentDevnet: {
+      url: process.env.FLUENT_DEVNET_RPC_URL || "https://rpc.dev.gblend.xyz/",
+      chainId: 20993,
+      accounts,
+    },
+    fluentTestnet: {
+      url: process.env.RPC_URL || "https://rpc.testnet.fluent.xyz/",
+      chainId: 20994,
+      accounts,
+    },
+  },
+};
@@ -0,0 +1,105 @@
+// shared/achievements.js
+// Achievement catalog. The backend evaluates it after every verified game
+// (backend/achievements.js); the frontend uses it to draw badges.
+//
+// check() gets { game, stats }:
+//   game  - the verified game: variant (its rule set, e.g. 'classic'), maxTile,
+//           moveCount, undoCount, won, winMove, winTime (ms from the backend handing
+//           out the seed to verification, null for untimed games), event
+//           ('daily', 'tournament' or null)
+//   stats - the player's verified history including this game: gamesPlayed,
+//           variantsPlayed (rule sets played), dailyStreak (days in a row up to this game)
+
+import { VARIANTS } from './variants.js';
+
+// Tile thresholds only mean something for doubling variants
+const doubles = (game) => VARIANTS[game.variant].merge === 'classic';
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-game',
+    name: 'First steps',
+    description: 'Get a game verified',
+    icon: '🎮',
+    check: ({ stats }) => stats.gamesPlayed >= 1,
+  },
+  {
+    id: 'first-win',
+    name: 'Winner',
+    description: "Reach a variant's winning tile",
+    icon: '🏆',
+    check: ({ game }) => game.won,
+  },
+  {
+    id: 'no-undo-2048',
+    name: 'No regrets',
+    description: 'Reach 2048 without using undo',
+    icon: '🎯',
+    check: ({ game }) => doubles(game) && game.maxTile >= 2048 && game.undoCount === 0,
+  },
+  {
+    id: 'tile-4096',
+    name: 'Beyond 2048',
+    description: 'Make a 4096 tile',
+    icon: '🚀',
+    check: ({ game }) => doubles(game) && game.maxTile >= 4096,
+  },
+  {
+    // A 2048 needs around 940 moves, so this is a win on a lower target tile
+    id: 'efficient-win',
+    name: 'Efficient',
+    description: 'Win in under 500 moves',
+    icon: '⚡',
+    check: ({ game }) => game.won && game.winMove < 500,
+  },
+  {
+    // Timed by the backend: only games whose seed it handed out have a winTime
+    id: 'speed-win',
+    name: 'Speed runner',
+    description: 'Get a win verified within 10 minutes of starting the game',
+    icon: '⏱️',
+    check: ({ game }) => game.winTime !== null && game.winTime <= 10 * 60 * 1000,
+  },
+  {
+    id: 'games-10',
+    name: 'Regular',
+    description: 'Play 10 verified games',
+    icon: '🔟',
+    check: ({ stats }) => stats.gamesPlayed >= 10,
+  },
+  {
+    id: 'games-100',
+    name: 'Centurion',
+    description: 'Play 100 verified games',
+    icon: '💯',
+    check: ({ stats }) => stats.gamesPlayed >= 100,
+  },
+  {
+    id: 'daily-streak-7',
+    name: 'Week streak',
+    description: 'Play the daily challenge 7 days in a row',
+    icon: '🔥',
+    check: ({ stats }) => stats.dailyStreak >= 7,
+  },
+  {
+    id: 'all-variants',
+    name: 'Explorer',
+    description: 'Play a verified game of every variant',
+    icon: '🧭',
+    check: ({ stats }) => Object.keys(VARIANTS).every(variant => stats.variantsPlayed.includes(variant)),
+  },
+  {
+    id: 'tournament-game',
+    name: 'Competitor',
+    description: 'Play a tournament round',
+    icon: '⚔️',
+    check: ({ game }) => game.event === 'tournament',
+  },
+];
+
+export const getAchievement = (id) => ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+
+// Achievements a game unlocks, leaving out the ones already held
+export const evaluateAchievements = ({ game, stats, unlocked = [] }) => {
+  return ACHIEVEMENTS.filter(achievement => !unlocked.includes(achievement.id) && achievement.check({ game, stats }));
+};
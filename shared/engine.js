@@ -0,0 +1,203 @@
+// shared/engine.js
+// Pure 2048 rules. Functions never mutate the board they are given and take
+// the random source as a parameter so games can be replayed deterministically.
+
+import { VARIANTS, MERGE_RULES, BLOCKED, DEFAULT_VARIANT, isMilestoneTile } from './variants.js';
+
+export const DEFAULT_SIZE = 4;
+export const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+const getRules = (variant = DEFAULT_VARIANT) => {
+  const rules = VARIANTS[variant];
+  if (!rules) throw new Error(`Unknown variant: ${variant}`);
+  return rules;
+};
+
+// Cell indices of every row/column, ordered in the direction tiles slide towards
+export const getLines = (size, direction) => {
+  const lines = [];
+  const reversed = direction === 'right' || direction === 'down';
+  const horizontal = direction === 'left' || direction === 'right';
+
+  for (let a = 0; a < size; a++) {
+    const line = [];
+    for (let b = 0; b < size; b++) {
+      const pos = reversed ? size - 1 - b : b;
+      line.push(horizontal ? a * size + pos : pos * size + a);
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+// Split a line at blocked cells; tiles only slide within a segment
+const getSegments = (grid, line) => {
+  const segments = [[]];
+  for (const index of line) {
+    if (grid[index] === BLOCKED) segments.push([]);
+    else segments[segments.length - 1].push(index);
+  }
+  return segments.filter(segment => segment.length > 0);
+};
+
+export const getEmptyCells = (grid) => {
+  const empty = [];
+  grid.forEach((cell, index) => {
+    if (cell === 0) empty.push(index);
+  });
+  return empty;
+};
+
+export const getMaxTile = (grid) => Math.max(0, ...grid);
+
+// Pick a tile value from the variant's spawn weights
+const pickSpawnValue = (spawn, roll) => {
+  let cumulative = 0;
+  for (const { value, weight } of spawn) {
+    cumulative += weight;
+    if (roll < cumulative) return value;
+  }
+  return spawn[spawn.length - 1].value;
+};
+
+// Place a new tile on a random empty cell (2 at 90%, 4 at 10% in classic rules)
+export const spawnTile = (grid, rng = Math.random, variant = DEFAULT_VARIANT) => {
+  const emptyCells = getEmptyCells(grid);
+  if (emptyCells.length === 0) return { grid, spawned: null };
+
+  const index = emptyCells[Math.floor(rng() * emptyCells.length)];
+  const value = pickSpawnValue(getRules(variant).spawn, rng());
+
+  const newGrid = [...grid];
+  newGrid[index] = value;
+
+  return { grid: newGrid, spawned: { index, value } };
+};
+
+const placeObstacles = (grid, count, rng) => {
+  const newGrid = [...grid];
+  for (let i = 0; i < count; i++) {
+    const emptyCells = getEmptyCells(newGrid);
+    newGrid[emptyCells[Math.floor(rng() * emptyCells.length)]] = BLOCKED;
+  }
+  return newGrid;
+};
+
+export const createGame = ({
+  size = DEFAULT_SIZE,
+  rng = Math.random,
+  variant = DEFAULT_VARIANT,
+  winTile,
+} = {}) => {
+  const rules = getRules(variant);
+
+  let grid = placeObstacles(Array(size * size).fill(0), rules.obstacles(size), rng);
+  grid = spawnTile(grid, rng, variant).grid;
+  grid = spawnTile(grid, rng, variant).grid;
+
+  return { size, variant, winTile: winTile || rules.winTile, grid, score: 0, over: false, won: false };
+};
+
+export const isGameOver = (grid, size, variant = DEFAULT_VARIANT) => {
+  if (grid.includes(0)) return false;
+
+  const canMerge = MERGE_RULES[getRules(variant).merge];
+  const mergeable = (a, b) => a !== BLOCKED && b !== BLOCKED && canMerge(a, b);
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const current = grid[i * size + j];
+
+      if (j < size - 1 && mergeable(current, grid[i * size + j + 1])) return false;
+      if (i < size - 1 && mergeable(current, grid[(i + 1) * size + j])) return false;
+    }
+  }
+
+  return true;
+};
+
+// Slide and merge without spawning. Each tile merges at most once per move.
+export const slide = (grid, size, direction, variant = DEFAULT_VARIANT) => {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown direction: ${direction}`);
+  }
+
+  const canMerge = MERGE_RULES[getRules(variant).merge];
+  const newGrid = grid.map(cell => (cell === BLOCKED ? BLOCKED : 0));
+  const moves = [];
+  const merges = [];
+  let points = 0;
+
+  for (const line of getLines(size, direction)) {
+    for (const segment of getSegments(grid, line)) {
+      const tiles = segment.filter(index => grid[index] !== 0);
+      let target = 0;
+
+      for (let i = 0; i < tiles.length; i++) {
+        const from = tiles[i];
+        const to = segment[target];
+        const value = grid[from];
+        const next = tiles[i + 1];
+
+        if (next !== undefined && canMerge(value, grid[next])) {
+          const mergedValue = value + grid[next];
+          newGrid[to] = mergedValue;
+          points += mergedValue;
+          merges.push({ index: to, value: mergedValue, from: [from, next] });
+          moves.push({ from, to, value }, { from: next, to, value: grid[next] });
+          i++;
+        } else {
+          newGrid[to] = value;
+          if (from !== to) moves.push({ from, to, value });
+        }
+
+        target++;
+      }
+    }
+  }
+
+  const moved = moves.some(({ from, to }) => from !== to);
+
+  return { grid: newGrid, moved, points, moves, merges };
+};
+
+// Milestone tiles created for the first time by a move's merges, smallest first
+export const findNewMilestones = (merges, reached = [], variant = DEFAULT_VARIANT) => {
+  const created = new Set(merges.map(merge => merge.value));
+  return [...created]
+    .filter(value => isMilestoneTile(value, variant) && !reached.includes(value))
+    .sort((a, b) => a - b);
+};
+
+// Apply one player move: slide, spawn a tile and check for game over.
+// Returns the next state together with what happened during the move.
+export const applyMove = (state, direction, rng = Math.random) => {
+  const { size, grid, score, over, variant = DEFAULT_VARIANT } = state;
+
+  if (over) {
+    return { state, moved: false, points: 0, moves: [], merges: [], spawned: null };
+  }
+
+  const result = slide(grid, size, direction, variant);
+  if (!result.moved) {
+    return { state, moved: false, points: 0, moves: [], merges: [], spawned: null };
+  }
+
+  const { grid: newGrid, spawned } = spawnTile(result.grid, rng, variant);
+
+  return {
+    state: {
+      ...state,
+      grid: newGrid,
+      score: score + result.points,
+      over: isGameOver(newGrid, size, variant),
+      won: Boolean(state.won) || getMaxTile(newGrid) >= state.winTile,
+    },
+    moved: true,
+    points: result.points,
+    moves: result.moves,
+    merges: result.merges,
+    spawned,
+  };
+};
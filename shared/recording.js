@@ -0,0 +1,133 @@
+// shared/recording.js
+// Recordings: a finished game as seed, variant and move log, small enough to
+// share as a file or in a URL. Anything loaded is replayed before it is trusted.
+
+import { createGame, applyMove } from './engine.js';
+import { createRng } from './rng.js';
+import { encodeMoves, decodeMoves, replayGame, withoutUndos } from './replay.js';
+import { DEFAULT_VARIANT_KEY, parseVariantKey } from './variants.js';
+
+export const RECORDING_FORMAT = 'blockchain-2048-recording';
+export const RECORDING_VERSION = 1;
+
+const MOVE_INDEX = { U: 0, D: 1, L: 2, R: 3 };
+const MOVE_LETTERS = 'UDLR';
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Undone moves are left out: the moves that stayed on the board replay to the same game
+export const createRecording = ({ seed, variant = DEFAULT_VARIANT_KEY, moves, score, player = null }) => ({
+  format: RECORDING_FORMAT,
+  version: RECORDING_VERSION,
+  variant,
+  seed,
+  moves: encodeMoves(withoutUndos(typeof moves === 'string' ? decodeMoves(moves) : moves)),
+  score,
+  player,
+});
+
+// Check an imported recording by replaying it; returns a clean copy or throws
+export const parseRecording = (data) => {
+  if (!data || data.format !== RECORDING_FORMAT) {
+    throw new Error('Not a 2048 recording');
+  }
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${data.version}`);
+  }
+  if (typeof data.seed !== 'number' && typeof data.seed !== 'string') {
+    throw new Error('Recording has no seed');
+  }
+
+  const rules = parseVariantKey(data.variant);
+  if (!rules) {
+    throw new Error(`Unknown variant "${data.variant}"`);
+  }
+
+  const replay = replayGame({ seed: data.seed, moves: String(data.moves), ...rules });
+  if (!replay.valid) {
+    throw new Error(`Invalid recording: ${replay.error}`);
+  }
+  if (replay.score !== data.score) {
+    throw new Error(`Recording claims ${data.score} points but replays to ${replay.score}`);
+  }
+
+  return createRecording({ ...data, player: data.player || null });
+};
+
+// Compact form for URLs: "r1.classic/4x4.n12345.2048.301.<moves>", with moves
+// packed three to a character. Seeds are "n<number>" or "s<base64url utf-8>".
+export const packRecording = ({ variant, seed, moves, score }) => {
+  const seedToken = typeof seed === 'number'
+    ? `n${seed}`
+    : `s${bytesToBase64Url(new TextEncoder().encode(seed))}`;
+
+  let packed = '';
+  for (let i = 0; i < moves.length; i += 3) {
+    const digits = [0, 1, 2].map(j => MOVE_INDEX[moves[i + j]] ?? 0);
+    packed += BASE64URL[digits[0] * 16 + digits[1] * 4 + digits[2]];
+  }
+
+  return ['r' + RECORDING_VERSION, variant, seedToken, score, moves.length, packed].join('.');
+};
+
+// Inverse of packRecording; the result still needs parseRecording
+export const unpackRecording = (text) => {
+  const parts = String(text).split('.');
+  if (parts.length !== 6 || parts[0] !== 'r' + RECORDING_VERSION) {
+    throw new Error('Not a 2048 recording link');
+  }
+
+  const [, variant, seedToken, score, count, packed] = parts;
+  const seed = seedToken[0] === 'n'
+    ? Number(seedToken.slice(1))
+    : new TextDecoder().decode(base64UrlToBytes(seedToken.slice(1)));
+
+  let moves = '';
+  for (const char of packed) {
+    const value = BASE64URL.indexOf(char);
+    if (value === -1) throw new Error('Corrupt recording link');
+    moves += MOVE_LETTERS[value >> 4] + MOVE_LETTERS[(value >> 2) & 3] + MOVE_LETTERS[value & 3];
+  }
+
+  return createRecording({ variant, seed, moves: moves.slice(0, Number(count)), score: Number(score) });
+};
+
+// Every position of a recording: frames[0] is the opening board, frames[i] the
+// board after move i together with the applyMove result that produced it
+export const recordingFrames = ({ seed, variant, moves }) => {
+  const { variant: name, size, winTile } = parseVariantKey(variant);
+  const rng = createRng(seed);
+  const frames = [{ state: createGame({ size, variant: name, winTile, rng }), result: null }];
+
+  for (const direction of decodeMoves(moves)) {
+    const result = applyMove(frames[frames.length - 1].state, direction, rng);
+    frames.push({ state: result.state, result });
+  }
+  return frames;
+};
+
+const bytesToBase64Url = (bytes) => {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.ceil(((Math.min(3, bytes.length - i)) * 8) / 6);
+    for (let j = 0; j < chars; j++) out += BASE64URL[(chunk >> (18 - 6 * j)) & 63];
+  }
+  return out;
+};
+
+const base64UrlToBytes = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE64URL.indexOf(char);
+    if (value === -1) throw new Error('Corrupt recording link');
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 255);
+    }
+  }
+  return new Uint8Array(bytes);
+};
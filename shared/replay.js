@@ -0,0 +1,116 @@
+// shared/replay.js
+// Move logs: a game is fully described by its seed and the directions played.
+// Undos are logged too ('Z'), so a game that used them can't pass for one that didn't.
+
+import { createGame, applyMove, getMaxTile, findNewMilestones, DEFAULT_SIZE } from './engine.js';
+import { createRng } from './rng.js';
+import { DEFAULT_VARIANT } from './variants.js';
+
+// Logged in place of a direction when the last move was taken back
+export const UNDO = 'undo';
+// Moves that can be taken back in a row
+export const UNDO_LIMIT = 10;
+
+const MOVE_CODES = { up: 'U', down: 'D', left: 'L', right: 'R', [UNDO]: 'Z' };
+const CODE_MOVES = Object.fromEntries(Object.entries(MOVE_CODES).map(([dir, code]) => [code, dir]));
+
+// ['up', 'left'] -> 'UL'
+export const encodeMoves = (directions) => {
+  return directions.map((direction, i) => {
+    const code = MOVE_CODES[direction];
+    if (!code) throw new Error(`Invalid direction "${direction}" at position ${i}`);
+    return code;
+  }).join('');
+};
+
+export const decodeMoves = (encoded) => {
+  return [...encoded].map((code, i) => {
+    const direction = CODE_MOVES[code];
+    if (!direction) throw new Error(`Invalid move code "${code}" at position ${i}`);
+    return direction;
+  });
+};
+
+// Directions still on the board once undone moves are taken out. Undo restores
+// the random state as well, so these replay to the same game without any undos.
+export const withoutUndos = (directions) => {
+  const played = [];
+  for (const direction of directions) {
+    if (direction === UNDO) played.pop();
+    else played.push(direction);
+  }
+  return played;
+};
+
+// Re-simulate a game from its seed. Every logged move must change the board
+// and no move may follow game over, otherwise the log is rejected. An undo
+// restores the board, score, milestones and random state from before the last
+// move, up to UNDO_LIMIT in a row, and is counted in undoCount.
+// Milestones are reported with the move count at which each tile first appeared.
+// The random generator and undo history are returned as they stand after the last
+// move, so a game can be resumed from its log.
+export const replayGame = ({ seed, moves, size = DEFAULT_SIZE, variant = DEFAULT_VARIANT, winTile }) => {
+  let directions;
+  try {
+    directions = decodeMoves(typeof moves === 'string' ? moves : encodeMoves(moves));
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  let rng = createRng(seed);
+  let state = createGame({ size, variant, winTile, rng });
+  let milestones = [];
+  let moveCount = 0;
+  let undoCount = 0;
+  const history = [];
+
+  for (let i = 0; i < directions.length; i++) {
+    if (directions[i] === UNDO) {
+      if (history.length === 0) {
+        return { valid: false, error: `Undo at move ${i} has no move to take back` };
+      }
+      const snapshot = history.pop();
+      state = snapshot.game;
+      rng = createRng(snapshot.rngState);
+      milestones = snapshot.milestones;
+      moveCount = snapshot.moveCount;
+      undoCount++;
+      continue;
+    }
+
+    if (state.over) {
+      return { valid: false, error: `Move ${i} played after game over` };
+    }
+
+    // Same snapshot the client takes before each move
+    const snapshot = { game: state, rngState: rng.getState(), milestones, moveCount };
+    const result = applyMove(state, directions[i], rng);
+    if (!result.moved) {
+      return { valid: false, error: `Move ${i} (${directions[i]}) does not change the board` };
+    }
+
+    history.push(snapshot);
+    if (history.length > UNDO_LIMIT) history.shift();
+
+    state = result.state;
+    moveCount++;
+    const reached = milestones.map(milestone => milestone.tile);
+    milestones = [
+      ...milestones,
+      ...findNewMilestones(result.merges, reached, variant).map(tile => ({ tile, move: moveCount })),
+    ];
+  }
+
+  return {
+    valid: true,
+    state,
+    score: state.score,
+    maxTile: getMaxTile(state.grid),
+    moveCount,
+    undoCount,
+    won: state.won,
+    milestones,
+    rng,
+    history,
+  };
+};
@@ -0,0 +1,35 @@
+// shared/rng.js
+// Seeded PRNG (mulberry32) so a game can be replayed tile for tile from its seed
+
+// Turn any seed (number or string) into an unsigned 32-bit integer
+export const seedToInt = (seed) => {
+  if (typeof seed === 'number') return seed >>> 0;
+
+  // FNV-1a hash for string seeds such as dates or game ids
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000);
+
+// Returns a Math.random compatible function. Its current state can be read
+// with getState() and passed back to createRng to resume the same sequence.
+export const createRng = (seed) => {
+  let state = seedToInt(seed);
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.getState = () => state;
+
+  return random;
+};
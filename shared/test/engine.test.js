@@ -0,0 +1,191 @@
+// shared/test/engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { slide, spawnTile, applyMove, createGame, isGameOver, getLines, findNewMilestones } from '../engine.js';
+import { createRng, seedToInt } from '../rng.js';
+import { BLOCKED, variantKey, parseVariantKey } from '../variants.js';
+
+// Always picks the first empty cell and the most likely spawn value
+const firstCell = () => 0;
+
+test('getLines orders cells in the direction tiles slide towards', () => {
+  assert.deepEqual(getLines(2, 'left'), [[0, 1], [2, 3]]);
+  assert.deepEqual(getLines(2, 'right'), [[1, 0], [3, 2]]);
+  assert.deepEqual(getLines(2, 'up'), [[0, 2], [1, 3]]);
+  assert.deepEqual(getLines(2, 'down'), [[2, 0], [3, 1]]);
+});
+
+test('slide merges equal neighbours and scores the merged value', () => {
+  const result = slide([
+    2, 2, 0, 0,
+    0, 4, 0, 4,
+    8, 0, 0, 0,
+    0, 0, 0, 0,
+  ], 4, 'left');
+
+  assert.deepEqual(result.grid, [
+    4, 0, 0, 0,
+    8, 0, 0, 0,
+    8, 0, 0, 0,
+    0, 0, 0, 0,
+  ]);
+  assert.equal(result.moved, true);
+  assert.equal(result.points, 12);
+  assert.deepEqual(result.merges, [
+    { index: 0, value: 4, from: [0, 1] },
+    { index: 4, value: 8, from: [5, 7] },
+  ]);
+});
+
+test('slide merges each tile at most once per move', () => {
+  assert.deepEqual(slide([2, 2, 2, 2, ...Array(12).fill(0)], 4, 'left').grid.slice(0, 4), [4, 4, 0, 0]);
+  assert.deepEqual(slide([2, 2, 4, 0, 0, 0, 0, 0, 0], 3, 'left').grid.slice(0, 3), [4, 4, 0]);
+  assert.deepEqual(slide([4, 4, 8, 0, 0, 0, 0, 0, 0], 3, 'right').grid.slice(0, 3), [0, 8, 8]);
+});
+
+test('slide merges the tiles nearest the wall first', () => {
+  assert.deepEqual(slide([2, 2, 2, 0, 0, 0, 0, 0, 0], 3, 'right').grid.slice(0, 3), [0, 2, 4]);
+});
+
+test('slide reports moved: false when nothing can move', () => {
+  const result = slide([2, 4, 0, 0], 2, 'left');
+  assert.equal(result.moved, false);
+  assert.equal(result.points, 0);
+  assert.deepEqual(result.moves, []);
+});
+
+test('slide keeps blocked cells in place and does not slide through them', () => {
+  const result = slide([0, BLOCKED, 2, 0, 0, 0, 0, 0, 0], 3, 'left');
+  assert.deepEqual(result.grid.slice(0, 3), [0, BLOCKED, 2]);
+  assert.equal(result.moved, false);
+});
+
+test('slide follows the fibonacci merge rule', () => {
+  const result = slide([2, 3, 0, 0], 2, 'left', 'fibonacci');
+  assert.deepEqual(result.grid, [5, 0, 0, 0]);
+  assert.equal(result.points, 5);
+  assert.equal(slide([2, 5, 0, 0], 2, 'left', 'fibonacci').moved, false);
+});
+
+test('slide rejects unknown directions', () => {
+  assert.throws(() => slide([0, 0, 0, 0], 2, 'sideways'), /Unknown direction/);
+});
+
+test('spawnTile places a tile on an empty cell without touching the input', () => {
+  const grid = [2, 0, 0, 4];
+  const { grid: next, spawned } = spawnTile(grid, firstCell);
+
+  assert.deepEqual(spawned, { index: 1, value: 2 });
+  assert.deepEqual(next, [2, 2, 0, 4]);
+  assert.deepEqual(grid, [2, 0, 0, 4]);
+});
+
+test('spawnTile uses the variant spawn weights', () => {
+  const rolls = [0, 0.95];
+  const rng = () => rolls.shift();
+  assert.equal(spawnTile([0, 0, 0, 0], rng).spawned.value, 4);
+  assert.equal(spawnTile([0, 0, 0, 0], firstCell, 'fibonacci').spawned.value, 1);
+});
+
+test('spawnTile does nothing on a full board', () => {
+  const grid = [2, 4, 8, 16];
+  assert.deepEqual(spawnTile(grid, firstCell), { grid, spawned: null });
+});
+
+test('createRng repeats its sequence for a seed and resumes from getState', () => {
+  const a = createRng('2026-10-18');
+  const b = createRng('2026-10-18');
+  assert.deepEqual([a(), a(), a()], [b(), b(), b()]);
+
+  const resumed = createRng(a.getState());
+  assert.equal(resumed(), a());
+  assert.equal(seedToInt(-1), 0xffffffff);
+});
+
+test('createGame is deterministic for a seed', () => {
+  const a = createGame({ rng: createRng(42) });
+  const b = createGame({ rng: createRng(42) });
+
+  assert.deepEqual(a.grid, b.grid);
+  assert.equal(a.grid.filter(cell => cell !== 0).length, 2);
+  assert.equal(a.score, 0);
+  assert.equal(a.winTile, 2048);
+});
+
+test('createGame places obstacles for the obstacles variant', () => {
+  const game = createGame({ size: 4, variant: 'obstacles', rng: createRng(1) });
+  assert.equal(game.grid.filter(cell => cell === BLOCKED).length, 2);
+});
+
+test('isGameOver is false while a cell is empty or a merge is possible', () => {
+  assert.equal(isGameOver([2, 4, 8, 0], 2), false);
+  assert.equal(isGameOver([2, 4, 2, 8], 2), false);
+  assert.equal(isGameOver([2, 2, 4, 8], 2), false);
+});
+
+test('isGameOver is true on a full board with no merges', () => {
+  assert.equal(isGameOver([2, 4, 4, 2], 2), true);
+  assert.equal(isGameOver([2, 4, 8, 16, 32, 64, 128, 256, 512], 3), true);
+  assert.equal(isGameOver([BLOCKED, BLOCKED, 2, 4], 2), true);
+  assert.equal(isGameOver([3, 8, 13, 2], 2, 'fibonacci'), true);
+  assert.equal(isGameOver([2, 3, 8, 13], 2, 'fibonacci'), false);
+});
+
+test('applyMove slides, adds the points and spawns one tile', () => {
+  const state = { size: 2, variant: 'classic', winTile: 8, grid: [2, 2, 0, 0], score: 10, over: false, won: false };
+  const result = applyMove(state, 'left', firstCell);
+
+  assert.equal(result.moved, true);
+  assert.equal(result.points, 4);
+  assert.deepEqual(result.spawned, { index: 1, value: 2 });
+  assert.deepEqual(result.state.grid, [4, 2, 0, 0]);
+  assert.equal(result.state.score, 14);
+  assert.deepEqual(state.grid, [2, 2, 0, 0]);
+});
+
+test('applyMove does not spawn when the board does not change', () => {
+  const state = { size: 2, variant: 'classic', winTile: 8, grid: [2, 4, 0, 0], score: 0, over: false, won: false };
+  const result = applyMove(state, 'left', () => assert.fail('rng used'));
+
+  assert.equal(result.moved, false);
+  assert.equal(result.state, state);
+});
+
+test('applyMove detects the win tile and game over', () => {
+  const won = applyMove({ size: 2, variant: 'classic', winTile: 8, grid: [4, 4, 0, 0], score: 0, over: false, won: false }, 'left', firstCell);
+  assert.equal(won.state.won, true);
+
+  const open = applyMove({ size: 2, variant: 'classic', winTile: 2048, grid: [0, 4, 8, 2], score: 0, over: false, won: false }, 'left', firstCell);
+  assert.deepEqual(open.state.grid, [4, 2, 8, 2]);
+  assert.equal(open.state.over, false);
+
+  const over = applyMove({ size: 2, variant: 'classic', winTile: 2048, grid: [0, 4, 8, 16], score: 0, over: false, won: false }, 'left', firstCell);
+  assert.deepEqual(over.state.grid, [4, 2, 8, 16]);
+  assert.equal(over.state.over, true);
+});
+
+test('applyMove ignores moves after game over', () => {
+  const state = { size: 2, variant: 'classic', winTile: 2048, grid: [2, 4, 4, 2], score: 0, over: true, won: false };
+  assert.equal(applyMove(state, 'left').moved, false);
+});
+
+test('findNewMilestones reports milestone tiles created for the first time', () => {
+  const merges = [{ value: 1024 }, { value: 512 }, { value: 8 }];
+  assert.deepEqual(findNewMilestones(merges), [512, 1024]);
+  assert.deepEqual(findNewMilestones(merges, [512]), [1024]);
+});
+
+test('variant keys carry the win tile only when it is not the variant default', () => {
+  assert.equal(variantKey('classic', 4), 'classic/4x4');
+  assert.equal(variantKey('classic', 4, 2048), 'classic/4x4');
+  assert.equal(variantKey('classic', 5, 1024), 'classic/5x5/1024');
+
+  assert.deepEqual(parseVariantKey('classic/4x4'), { variant: 'classic', size: 4, winTile: 2048 });
+  assert.deepEqual(parseVariantKey('fibonacci/5x5/987'), { variant: 'fibonacci', size: 5, winTile: 987 });
+  // Default win tiles are left out of the key, and only the listed ones can be chosen
+  assert.equal(parseVariantKey('classic/4x4/2048'), null);
+  assert.equal(parseVariantKey('classic/4x4/1000'), null);
+  assert.equal(parseVariantKey('classic/4x4/987'), null);
+  assert.equal(parseVariantKey('classic/9x9'), null);
+});
@@ -0,0 +1,152 @@
+// shared/test/replay.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGame, applyMove, DIRECTIONS } from '../engine.js';
+import { createRng } from '../rng.js';
+import { encodeMoves, decodeMoves, replayGame, withoutUndos, UNDO, UNDO_LIMIT } from '../replay.js';
+import { createRecording } from '../recording.js';
+
+// Play a seeded game by always taking the first direction that moves,
+// up to `limit` moves or game over
+const playGame = ({ seed, size = 4, variant = 'classic', limit = Infinity }) => {
+  const rng = createRng(seed);
+  let state = createGame({ size, variant, rng });
+  const moves = [];
+
+  while (!state.over && moves.length < limit) {
+    for (const direction of DIRECTIONS) {
+      const result = applyMove(state, direction, rng);
+      if (result.moved) {
+        state = result.state;
+        moves.push(direction);
+        break;
+      }
+    }
+  }
+  return { state, moves };
+};
+
+test('encodeMoves and decodeMoves round-trip', () => {
+  const directions = ['up', 'down', 'left', 'right', 'left'];
+  assert.equal(encodeMoves(directions), 'UDLRL');
+  assert.deepEqual(decodeMoves('UDLRL'), directions);
+  assert.throws(() => decodeMoves('UX'), /Invalid move code "X" at position 1/);
+  assert.throws(() => encodeMoves(['up', 'sideways']), /Invalid direction/);
+});
+
+test('replayGame reproduces the score and board of a played game', () => {
+  const { state, moves } = playGame({ seed: 7, limit: 200 });
+  const replay = replayGame({ seed: 7, moves: encodeMoves(moves) });
+
+  assert.equal(replay.valid, true);
+  assert.equal(replay.score, state.score);
+  assert.deepEqual(replay.state.grid, state.grid);
+  assert.equal(replay.moveCount, moves.length);
+  assert.equal(replay.maxTile, Math.max(...state.grid));
+});
+
+test('replayGame supports other variants and board sizes', () => {
+  const { state, moves } = playGame({ seed: 'fib', size: 5, variant: 'fibonacci', limit: 100 });
+  const replay = replayGame({ seed: 'fib', moves, size: 5, variant: 'fibonacci' });
+
+  assert.equal(replay.valid, true);
+  assert.equal(replay.score, state.score);
+});
+
+test('replayGame decides the win by the win tile the game was played to', () => {
+  const { moves } = playGame({ seed: 7 });
+  const standard = replayGame({ seed: 7, moves: encodeMoves(moves) });
+  const short = replayGame({ seed: 7, moves: encodeMoves(moves), winTile: standard.maxTile });
+
+  assert.equal(standard.won, false);
+  assert.equal(short.won, true);
+  assert.equal(short.score, standard.score);
+});
+
+test('replayGame hands back the random state and undo history to resume from', () => {
+  const { moves } = playGame({ seed: 5, limit: 40 });
+  const full = replayGame({ seed: 5, moves: encodeMoves(moves) });
+  const resumed = replayGame({ seed: 5, moves: encodeMoves(moves.slice(0, 30)) });
+
+  let state = resumed.state;
+  for (const direction of moves.slice(30)) {
+    state = applyMove(state, direction, resumed.rng).state;
+  }
+  assert.deepEqual(state.grid, full.state.grid);
+
+  // The last snapshot is the board before the last move
+  assert.equal(resumed.history.length, UNDO_LIMIT);
+  const last = resumed.history[resumed.history.length - 1];
+  assert.equal(last.moveCount, 29);
+  assert.deepEqual(last.game.grid, replayGame({ seed: 5, moves: encodeMoves(moves.slice(0, 29)) }).state.grid);
+});
+
+test('replayGame starts a different seed from a different board', () => {
+  assert.notDeepEqual(replayGame({ seed: 1, moves: '' }).state.grid, replayGame({ seed: 2, moves: '' }).state.grid);
+});
+
+test('replayGame rejects moves that do not change the board', () => {
+  const { moves } = playGame({ seed: 3, limit: 20 });
+  const replay = replayGame({ seed: 3, moves: encodeMoves(moves) + 'UUUUUUUUUUUUUUUUUUUU' });
+
+  assert.equal(replay.valid, false);
+  assert.match(replay.error, /does not change the board/);
+});
+
+test('replayGame rejects moves played after game over', () => {
+  const { state, moves } = playGame({ seed: 11, size: 3 });
+  assert.equal(state.over, true);
+
+  const replay = replayGame({ seed: 11, size: 3, moves: encodeMoves(moves) + 'L' });
+  assert.equal(replay.valid, false);
+  assert.equal(replay.error, `Move ${moves.length} played after game over`);
+});
+
+test('replayGame rejects malformed move logs', () => {
+  const replay = replayGame({ seed: 1, moves: 'LRX' });
+  assert.equal(replay.valid, false);
+  assert.match(replay.error, /Invalid move code/);
+});
+
+test('replayGame counts undos logged as Z and takes the moves back', () => {
+  const { moves } = playGame({ seed: 9, limit: 30 });
+  const plain = replayGame({ seed: 9, moves });
+  // Play two extra moves, take them back, then finish as before
+  const extra = playGame({ seed: 9, limit: 32 }).moves.slice(30);
+  const withUndo = replayGame({ seed: 9, moves: [...moves, ...extra, UNDO, UNDO] });
+
+  assert.equal(encodeMoves([UNDO]), 'Z');
+  assert.equal(withUndo.valid, true);
+  assert.equal(withUndo.undoCount, 2);
+  assert.equal(withUndo.score, plain.score);
+  assert.deepEqual(withUndo.state.grid, plain.state.grid);
+  assert.equal(withUndo.moveCount, plain.moveCount);
+  assert.equal(plain.undoCount, 0);
+});
+
+test('replayGame replays the same spawn after an undo', () => {
+  const { moves } = playGame({ seed: 4, limit: 10 });
+  const redone = [...moves.slice(0, 9), UNDO, moves[8], moves[9]];
+  const replay = replayGame({ seed: 4, moves: redone });
+
+  assert.equal(replay.valid, true);
+  assert.deepEqual(replay.state.grid, replayGame({ seed: 4, moves }).state.grid);
+});
+
+test('replayGame rejects undos with no move to take back', () => {
+  assert.match(replayGame({ seed: 1, moves: 'Z' }).error, /Undo at move 0 has no move to take back/);
+
+  const { moves } = playGame({ seed: 1, limit: UNDO_LIMIT + 2 });
+  const tooMany = encodeMoves(moves) + 'Z'.repeat(UNDO_LIMIT);
+  assert.equal(replayGame({ seed: 1, moves: tooMany }).valid, true);
+  assert.equal(replayGame({ seed: 1, moves: tooMany + 'Z' }).valid, false);
+});
+
+test('withoutUndos and recordings keep only the moves left on the board', () => {
+  assert.deepEqual(withoutUndos(['up', 'left', UNDO, 'right']), ['up', 'right']);
+
+  const { moves } = playGame({ seed: 6, limit: 5 });
+  const recording = createRecording({ seed: 6, moves: [...moves, 'up', UNDO], score: 0 });
+  assert.equal(recording.moves, encodeMoves(moves));
+});
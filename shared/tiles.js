@@ -0,0 +1,47 @@
+// shared/tiles.js
+// Tiles with stable ids, so a renderer can follow each tile across moves.
+// Not part of the game state: the engine only deals in grids, these are
+// derived from a grid and then advanced with what applyMove reports.
+//
+// A tile is { id, value, index } plus one of:
+//   isNew    - spawned by the last move
+//   merged   - created by the last move from two tiles
+//   consumed - one of those two tiles; it slides into place and is dropped on the next move
+
+let nextTileId = 1;
+const createTile = (value, index, flags = {}) => ({ id: nextTileId++, value, index, ...flags });
+
+// Fresh tiles for a board shown without a move: a new game, an undo, a restored save
+export const gridToTiles = (grid) => {
+  const tiles = [];
+  grid.forEach((value, index) => {
+    if (value !== 0) tiles.push(createTile(value, index));
+  });
+  return tiles;
+};
+
+// Advance tiles by one applyMove result ({ moves, merges, spawned })
+export const moveTiles = (tiles, { moves, merges, spawned }) => {
+  const byIndex = new Map();
+  for (const tile of tiles) {
+    if (!tile.consumed) byIndex.set(tile.index, { id: tile.id, value: tile.value, index: tile.index });
+  }
+
+  const destinations = new Map(moves.map(({ from, to }) => [from, to]));
+  const mergedSources = new Set(merges.flatMap(merge => merge.from));
+  const next = [];
+
+  for (const [index, tile] of byIndex) {
+    const to = destinations.has(index) ? destinations.get(index) : index;
+    next.push(mergedSources.has(index) ? { ...tile, index: to, consumed: true } : { ...tile, index: to });
+  }
+
+  for (const { index, value } of merges) {
+    next.push(createTile(value, index, { merged: true }));
+  }
+  if (spawned) {
+    next.push(createTile(spawned.value, spawned.index, { isNew: true }));
+  }
+
+  return next;
+};
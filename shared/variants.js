@@ -0,0 +1,109 @@
+// shared/variants.js
+// Rule sets. A score is only comparable to scores of the same variant, board
+// size and win tile, so leaderboards are keyed by variantKey(), e.g. "classic/4x4".
+
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 8;
+export const DEFAULT_VARIANT = 'classic';
+
+// Immovable cell, used by the obstacles variant
+export const BLOCKED = -1;
+
+// Fibonacci numbers up to the largest safe integer, with 1 only once
+const FIBONACCI = [1, 2];
+while (FIBONACCI[FIBONACCI.length - 1] < Number.MAX_SAFE_INTEGER / 2) {
+  FIBONACCI.push(FIBONACCI[FIBONACCI.length - 1] + FIBONACCI[FIBONACCI.length - 2]);
+}
+const FIBONACCI_INDEX = new Map(FIBONACCI.map((value, index) => [value, index]));
+
+export const MERGE_RULES = {
+  // Equal tiles combine: 2 + 2 = 4
+  classic: (a, b) => a === b,
+  // Neighbouring Fibonacci numbers combine: 1 + 1 = 2, 2 + 3 = 5, 5 + 8 = 13
+  fibonacci: (a, b) => {
+    if (a === 1 && b === 1) return true;
+    const i = FIBONACCI_INDEX.get(a);
+    const j = FIBONACCI_INDEX.get(b);
+    return i !== undefined && j !== undefined && Math.abs(i - j) === 1;
+  },
+};
+
+export const VARIANTS = {
+  classic: {
+    name: 'Classic',
+    merge: 'classic',
+    spawn: [{ value: 2, weight: 0.9 }, { value: 4, weight: 0.1 }],
+    winTile: 2048,
+    obstacles: () => 0,
+  },
+  obstacles: {
+    name: 'Obstacles',
+    merge: 'classic',
+    spawn: [{ value: 2, weight: 0.9 }, { value: 4, weight: 0.1 }],
+    winTile: 2048,
+    // One blocked cell per 8 cells, at least one
+    obstacles: (size) => Math.max(1, Math.floor((size * size) / 8)),
+  },
+  fibonacci: {
+    name: 'Fibonacci',
+    merge: 'fibonacci',
+    spawn: [{ value: 1, weight: 0.9 }, { value: 2, weight: 0.1 }],
+    winTile: 2584,
+    obstacles: () => 0,
+  },
+};
+
+// Win tiles a game can be played to, per merge rule; each variant's own win tile is among them
+export const WIN_TILES = {
+  classic: [256, 512, 1024, 2048, 4096, 8192],
+  fibonacci: [233, 377, 610, 987, 1597, 2584, 4181],
+};
+
+export const BOARD_SIZES = Array.from({ length: MAX_SIZE - MIN_SIZE + 1 }, (_, i) => MIN_SIZE + i);
+
+// Position of a tile value in its variant's sequence (2 -> 1, 4 -> 2, ...), used for colouring
+export const getTileLevel = (value, variant = DEFAULT_VARIANT) => {
+  if (value <= 0) return 0;
+  if (VARIANTS[variant] && VARIANTS[variant].merge === 'fibonacci') {
+    return (FIBONACCI_INDEX.get(value) ?? 0) + 1;
+  }
+  return Math.log2(value);
+};
+
+// Tiles worth celebrating: the variant's win tile, the two steps before it and
+// everything above (512, 1024, 2048, 4096... in classic)
+export const isMilestoneTile = (value, variant = DEFAULT_VARIANT) => {
+  const rules = VARIANTS[variant] || VARIANTS[DEFAULT_VARIANT];
+  return value > 0 && getTileLevel(value, variant) >= getTileLevel(rules.winTile, variant) - 2;
+};
+
+// The variant's own win tile is left out of the key: "classic/4x4", but "classic/4x4/1024"
+export const variantKey = (variant, size, winTile) => {
+  const key = `${variant}/${size}x${size}`;
+  return winTile && VARIANTS[variant] && winTile !== VARIANTS[variant].winTile ? `${key}/${winTile}` : key;
+};
+
+export const DEFAULT_VARIANT_KEY = variantKey(DEFAULT_VARIANT, 4);
+
+// "obstacles/5x5" -> { variant: 'obstacles', size: 5, winTile: 2048 }, or null if not a known variant.
+// Keys naming the variant's own win tile are not canonical and rejected like unknown ones.
+export const parseVariantKey = (key) => {
+  const match = /^([a-z]+)\/(\d+)x(\d+)(?:\/(\d+))?$/.exec(String(key));
+  if (!match || match[2] !== match[3]) return null;
+
+  const variant = match[1];
+  const size = Number(match[2]);
+  if (!VARIANTS[variant] || size < MIN_SIZE || size > MAX_SIZE) return null;
+
+  const { winTile, merge } = VARIANTS[variant];
+  if (match[4] === undefined) return { variant, size, winTile };
+
+  const chosen = Number(match[4]);
+  if (chosen === winTile || !WIN_TILES[merge].includes(chosen)) return null;
+  return { variant, size, winTile: chosen };
+};
+
+// All leaderboard keys, in display order
+export const listVariantKeys = () => {
+  return Object.keys(VARIANTS).flatMap(variant => BOARD_SIZES.map(size => variantKey(variant, size)));
+};
@@ -0,0 +1,140 @@
+// test/Achievements.test.js
+// Runs on the in-process Hardhat network: npx hardhat test
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const CLAIM_TYPES = {
+  AchievementClaim: [
+    { name: "player", type: "address" },
+    { name: "achievement", type: "string" },
+  ],
+};
+
+describe("Achievements", function () {
+  let achievements, owner, verifier, player, other;
+
+  // Same signature the backend's verifier produces (backend/verifier.js attestAchievement)
+  const sign = async (achievement, to = player, signer = verifier) => {
+    const domain = {
+      name: "Game2048Achievements",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await achievements.getAddress(),
+    };
+    return signer.signTypedData(domain, CLAIM_TYPES, { player: to.address, achievement });
+  };
+
+  beforeEach(async function () {
+    [owner, verifier, player, other] = await ethers.getSigners();
+    achievements = await ethers.deployContract("Achievements", [verifier.address]);
+  });
+
+  describe("claim", function () {
+    it("mints a locked badge for a claim signed by the verifier", async function () {
+      const signature = await sign("tile-2048");
+
+      await expect(achievements.connect(player).claim("tile-2048", signature))
+        .to.emit(achievements, "Transfer")
+        .withArgs(ethers.ZeroAddress, player.address, 1)
+        .and.to.emit(achievements, "Locked")
+        .withArgs(1)
+        .and.to.emit(achievements, "AchievementMinted")
+        .withArgs(player.address, 1, "tile-2048");
+
+      expect(await achievements.ownerOf(1)).to.equal(player.address);
+      expect(await achievements.balanceOf(player.address)).to.equal(1);
+      expect(await achievements.achievementOf(1)).to.equal("tile-2048");
+      expect(await achievements.tokenOf(player.address, ethers.id("tile-2048"))).to.equal(1);
+      expect(await achievements.hasAchievement(player.address, "tile-2048")).to.equal(true);
+      expect(await achievements.hasAchievement(other.address, "tile-2048")).to.equal(false);
+      expect(await achievements.totalSupply()).to.equal(1);
+    });
+
+    it("rejects claims not signed by the verifier", async function () {
+      await expect(achievements.connect(player).claim("tile-2048", await sign("tile-2048", player, other))).to.be.revertedWith(
+        "Invalid claim"
+      );
+      await expect(achievements.connect(player).claim("tile-2048", await sign("tile-2048", player, player))).to.be.revertedWith(
+        "Invalid claim"
+      );
+    });
+
+    it("binds the claim to the player and the achievement", async function () {
+      const signature = await sign("tile-2048");
+
+      await expect(achievements.connect(other).claim("tile-2048", signature)).to.be.revertedWith("Invalid claim");
+      await expect(achievements.connect(player).claim("tile-4096", signature)).to.be.revertedWith("Invalid claim");
+    });
+
+    it("rejects malformed signatures", async function () {
+      const signature = await sign("tile-2048");
+      await expect(achievements.connect(player).claim("tile-2048", "0x1234")).to.be.revertedWith("Invalid signature length");
+
+      // The same signature with the high-s value recovers to the verifier too, and must not count
+      const { r, s, v } = ethers.Signature.from(signature);
+      const n = BigInt("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141");
+      const flipped = ethers.concat([r, ethers.toBeHex(n - BigInt(s), 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+      await expect(achievements.connect(player).claim("tile-2048", flipped)).to.be.revertedWith("Invalid signature");
+
+      await expect(achievements.connect(player).claim("", await sign(""))).to.be.revertedWith("Achievement required");
+    });
+
+    it("mints each achievement once per player", async function () {
+      const signature = await sign("tile-2048");
+      await achievements.connect(player).claim("tile-2048", signature);
+
+      await expect(achievements.connect(player).claim("tile-2048", signature)).to.be.revertedWith("Already minted");
+      await expect(achievements.connect(player).claim("tile-2048", await sign("tile-2048"))).to.be.revertedWith("Already minted");
+
+      // Other achievements, and other players, still get their own tokens
+      await achievements.connect(player).claim("tile-4096", await sign("tile-4096"));
+      await achievements.connect(other).claim("tile-2048", await sign("tile-2048", other));
+      expect(await achievements.tokenOf(player.address, ethers.id("tile-4096"))).to.equal(2);
+      expect(await achievements.ownerOf(3)).to.equal(other.address);
+      expect(await achievements.balanceOf(player.address)).to.equal(2);
+    });
+
+    it("stops accepting claims from a replaced verifier", async function () {
+      const signature = await sign("tile-2048");
+      await expect(achievements.connect(other).setVerifier(other.address)).to.be.revertedWith("Only owner");
+      await achievements.connect(owner).setVerifier(other.address);
+
+      await expect(achievements.connect(player).claim("tile-2048", signature)).to.be.revertedWith("Invalid claim");
+      await achievements.connect(player).claim("tile-2048", await sign("tile-2048", player, other));
+    });
+  });
+
+  describe("soulbound", function () {
+    beforeEach(async function () {
+      await achievements.connect(player).claim("tile-2048", await sign("tile-2048"));
+    });
+
+    it("reports every token as locked (ERC-5192)", async function () {
+      expect(await achievements.locked(1)).to.equal(true);
+      await expect(achievements.locked(2)).to.be.revertedWith("Unknown token");
+
+      expect(await achievements.supportsInterface("0xb45a3c0e")).to.equal(true);
+      expect(await achievements.supportsInterface("0x80ac58cd")).to.equal(true);
+      expect(await achievements.supportsInterface("0x01ffc9a7")).to.equal(true);
+      expect(await achievements.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("can't be transferred or approved", async function () {
+      const holder = achievements.connect(player);
+
+      await expect(holder.transferFrom(player.address, other.address, 1)).to.be.revertedWith("Soulbound");
+      await expect(holder["safeTransferFrom(address,address,uint256)"](player.address, other.address, 1)).to.be.revertedWith(
+        "Soulbound"
+      );
+      await expect(
+        holder["safeTransferFrom(address,address,uint256,bytes)"](player.address, other.address, 1, "0x")
+      ).to.be.revertedWith("Soulbound");
+      await expect(holder.approve(other.address, 1)).to.be.revertedWith("Soulbound");
+      await expect(holder.setApprovalForAll(other.address, true)).to.be.revertedWith("Soulbound");
+
+      expect(await achievements.ownerOf(1)).to.equal(player.address);
+      expect(await achievements.getApproved(1)).to.equal(ethers.ZeroAddress);
+      expect(await achievements.isApprovedForAll(player.address, other.address)).to.equal(false);
+    });
+  });
+});
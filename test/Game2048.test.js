@@ -0,0 +1,401 @@
+// test/Game2048.test.js
+// Runs on the in-process Hardhat network: npx hardhat test
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const ATTESTATION_TYPES = {
+  ScoreAttestation: [
+    { name: "player", type: "address" },
+    { name: "score", type: "uint256" },
+    { name: "variant", type: "string" },
+    { name: "gameId", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Signed by the player for a relayed submission (submitScoreFor)
+const SUBMISSION_TYPES = {
+  ScoreSubmission: [
+    { name: "player", type: "address" },
+    { name: "score", type: "uint256" },
+    { name: "playerName", type: "string" },
+    { name: "variant", type: "string" },
+    { name: "gameId", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+describe("Game2048", function () {
+  let game, owner, verifier, player, other;
+
+  // Same signature the backend's verifier produces (backend/verifier.js attestScore)
+  const attest = async (overrides = {}, signer = verifier) => {
+    const value = {
+      player: player.address,
+      score: 1000,
+      variant: "classic/4x4",
+      gameId: ethers.hexlify(ethers.randomBytes(32)),
+      nonce: ethers.toBigInt(ethers.randomBytes(32)),
+      expiry: (await time.latest()) + 3600,
+      ...overrides,
+    };
+    return { ...value, signature: await signer.signTypedData(await domain(), ATTESTATION_TYPES, value) };
+  };
+
+  const domain = async () => ({
+    name: "Game2048",
+    version: "1",
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    verifyingContract: await game.getAddress(),
+  });
+
+  const submit = (attestation, from = player, name = "Alice") => {
+    return game.connect(from).submitScore(
+      attestation.score,
+      name,
+      attestation.variant,
+      attestation.gameId,
+      attestation.nonce,
+      attestation.expiry,
+      attestation.signature
+    );
+  };
+
+  // Relayed through `other`, so fresh wallets without funds can play
+  const relay = async (wallet, score, name) => {
+    const attestation = await attest({ player: wallet.address, score });
+    const submission = { ...attestation, playerName: name };
+    const playerSignature = await wallet.signTypedData(await domain(), SUBMISSION_TYPES, submission);
+    return game.connect(other).submitScoreFor(
+      wallet.address,
+      score,
+      name,
+      attestation.variant,
+      attestation.gameId,
+      attestation.nonce,
+      attestation.expiry,
+      attestation.signature,
+      playerSignature
+    );
+  };
+
+  beforeEach(async function () {
+    [owner, verifier, player, other] = await ethers.getSigners();
+    game = await ethers.deployContract("Game2048", [verifier.address]);
+  });
+
+  describe("submitScore", function () {
+    it("accepts a score attested by the verifier", async function () {
+      const attestation = await attest();
+
+      await expect(submit(attestation))
+        .to.emit(game, "GamePlayed")
+        .withArgs(player.address, 1000, await time.latest() + 1, "classic/4x4");
+      expect(await game.usedNonces(attestation.nonce)).to.equal(true);
+      expect((await game.getPlayerStats(player.address)).highScore).to.equal(1000);
+    });
+
+    it("rejects attestations signed by anyone but the verifier", async function () {
+      await expect(submit(await attest({}, other))).to.be.revertedWith("Invalid attestation");
+      await expect(submit(await attest({}, owner))).to.be.revertedWith("Invalid attestation");
+    });
+
+    it("rejects a nonce that was already used", async function () {
+      const attestation = await attest();
+      await submit(attestation);
+
+      await expect(submit(attestation)).to.be.revertedWith("Nonce already used");
+      // Not even with a fresh signature for another game
+      await expect(submit(await attest({ nonce: attestation.nonce, score: 2000 }))).to.be.revertedWith("Nonce already used");
+    });
+
+    it("rejects expired attestations", async function () {
+      const attestation = await attest({ expiry: (await time.latest()) + 60 });
+      await time.increase(120);
+
+      await expect(submit(attestation)).to.be.revertedWith("Attestation expired");
+    });
+
+    it("rejects an attestation used by another account or with changed fields", async function () {
+      const attestation = await attest();
+
+      await expect(submit(attestation, other)).to.be.revertedWith("Invalid attestation");
+      await expect(submit({ ...attestation, score: 5000 })).to.be.revertedWith("Invalid attestation");
+      await expect(submit({ ...attestation, variant: "classic/5x5" })).to.be.revertedWith("Invalid attestation");
+      await expect(submit({ ...attestation, expiry: attestation.expiry + 1 })).to.be.revertedWith("Invalid attestation");
+    });
+
+    it("rejects direct calls without a verifier signature", async function () {
+      const unsigned = { ...(await attest()), signature: "0x" };
+      await expect(submit(unsigned)).to.be.revertedWith("Invalid signature length");
+
+      // A player signing their own score doesn't help either
+      await expect(submit(await attest({}, player))).to.be.revertedWith("Invalid attestation");
+      expect(await game.getTotalGamesPlayed()).to.equal(0);
+    });
+
+    it("rejects attestations for a verifier that was replaced", async function () {
+      const attestation = await attest();
+      await game.connect(owner).setVerifier(other.address);
+
+      await expect(submit(attestation)).to.be.revertedWith("Invalid attestation");
+      await expect(submit(await attest({}, other))).to.emit(game, "GamePlayed");
+    });
+  });
+
+  describe("submitScore validation", function () {
+    it("rejects a zero score", async function () {
+      await expect(submit(await attest({ score: 0 }))).to.be.revertedWith("Score must be greater than 0");
+    });
+
+    it("requires a player name", async function () {
+      await expect(submit(await attest(), player, "")).to.be.revertedWith("Player name required");
+    });
+
+    it("requires a variant", async function () {
+      await expect(submit(await attest({ variant: "" }))).to.be.revertedWith("Variant required");
+    });
+  });
+
+  describe("submitScoreFor", function () {
+    // The player's consent to the exact submission the relayer sends
+    const signSubmission = async (attestation, name = "Alice", signer = player) => {
+      return signer.signTypedData(await domain(), SUBMISSION_TYPES, { ...attestation, playerName: name });
+    };
+
+    const submitFor = (attestation, playerSignature, name = "Alice") => {
+      return game.connect(other).submitScoreFor(
+        attestation.player,
+        attestation.score,
+        name,
+        attestation.variant,
+        attestation.gameId,
+        attestation.nonce,
+        attestation.expiry,
+        attestation.signature,
+        playerSignature
+      );
+    };
+
+    it("records a relayed score for the player who signed it", async function () {
+      const attestation = await attest();
+
+      await expect(submitFor(attestation, await signSubmission(attestation)))
+        .to.emit(game, "GamePlayed")
+        .withArgs(player.address, 1000, await time.latest() + 1, "classic/4x4");
+      expect((await game.getPlayerStats(player.address)).highScore).to.equal(1000);
+      expect((await game.getPlayerStats(other.address)).gamesPlayed).to.equal(0);
+    });
+
+    it("rejects a player signature that doesn't verify", async function () {
+      const attestation = await attest();
+      const playerSignature = await signSubmission(attestation);
+
+      // Signed by the relayer itself, or over another domain
+      await expect(submitFor(attestation, await signSubmission(attestation, "Alice", other))).to.be.revertedWith(
+        "Invalid player signature"
+      );
+      const foreign = await player.signTypedData({ ...(await domain()), name: "Other" }, SUBMISSION_TYPES, {
+        ...attestation,
+        playerName: "Alice",
+      });
+      await expect(submitFor(attestation, foreign)).to.be.revertedWith("Invalid player signature");
+      await expect(submitFor(attestation, playerSignature.slice(0, -2))).to.be.revertedWith("Invalid signature length");
+    });
+
+    it("rejects a signature from a different player", async function () {
+      // `other` signs their own copy of the submission, which is then sent as player's
+      const attestation = await attest();
+      const theirs = await signSubmission({ ...attestation, player: other.address }, "Alice", other);
+
+      await expect(submitFor(attestation, theirs)).to.be.revertedWith("Invalid player signature");
+      expect((await game.getPlayerStats(player.address)).gamesPlayed).to.equal(0);
+    });
+
+    it("rejects a changed player name", async function () {
+      const attestation = await attest();
+      const playerSignature = await signSubmission(attestation, "Alice");
+
+      await expect(submitFor(attestation, playerSignature, "Mallory")).to.be.revertedWith("Invalid player signature");
+      await expect(submitFor({ ...attestation, score: 2000 }, playerSignature)).to.be.revertedWith("Invalid player signature");
+    });
+
+    it("rejects a replayed nonce", async function () {
+      const attestation = await attest();
+      const playerSignature = await signSubmission(attestation);
+      await submitFor(attestation, playerSignature);
+
+      await expect(submitFor(attestation, playerSignature)).to.be.revertedWith("Nonce already used");
+
+      // Nor can the nonce be spent again directly by the player
+      await expect(submit(attestation)).to.be.revertedWith("Nonce already used");
+    });
+  });
+
+  describe("player stats", function () {
+    it("accumulates games and total score and keeps the high score", async function () {
+      await submit(await attest({ score: 1000 }));
+      await submit(await attest({ score: 3000 }));
+      await submit(await attest({ score: 2000 }));
+
+      const stats = await game.getPlayerStats(player.address);
+      expect(stats.player).to.equal(player.address);
+      expect(stats.gamesPlayed).to.equal(3);
+      expect(stats.totalScore).to.equal(6000);
+      expect(stats.highScore).to.equal(3000);
+    });
+
+    it("takes the name of the high score game", async function () {
+      await submit(await attest({ score: 1000 }), player, "Alice");
+      await submit(await attest({ score: 500 }), player, "Ally");
+      expect((await game.getPlayerStats(player.address)).playerName).to.equal("Alice");
+
+      await expect(submit(await attest({ score: 2000 }), player, "Alicia"))
+        .to.emit(game, "NewHighScore")
+        .withArgs(player.address, "Alicia", 2000, await time.latest() + 1, "classic/4x4");
+      expect((await game.getPlayerStats(player.address)).playerName).to.equal("Alicia");
+    });
+
+    it("only emits NewHighScore for a better score", async function () {
+      await submit(await attest({ score: 1000 }));
+      await expect(submit(await attest({ score: 1000 }))).not.to.emit(game, "NewHighScore");
+    });
+
+    it("keeps every variant apart", async function () {
+      await submit(await attest({ score: 1000 }));
+      await submit(await attest({ score: 5000, variant: "fibonacci/4x4" }));
+
+      expect((await game.getPlayerStats(player.address)).highScore).to.equal(1000);
+      const fibonacci = await game.getPlayerStatsForVariant(player.address, "fibonacci/4x4");
+      expect(fibonacci.highScore).to.equal(5000);
+      expect(fibonacci.gamesPlayed).to.equal(1);
+      expect(await game.getTotalGamesPlayed()).to.equal(2);
+    });
+  });
+
+  describe("getTopPlayers", function () {
+    it("orders players by high score", async function () {
+      await submit(await attest({ score: 2000 }), player, "Alice");
+      await submit(await attest({ player: other.address, score: 5000 }), other, "Bob");
+      await submit(await attest({ player: owner.address, score: 3000 }), owner, "Carol");
+      // A lower score later doesn't move a player down
+      await submit(await attest({ player: other.address, score: 100 }), other, "Bob");
+
+      const top = await game.getTopPlayers(10);
+      expect(top.map(entry => entry.playerName)).to.deep.equal(["Bob", "Carol", "Alice"]);
+      expect(top.map(entry => entry.highScore)).to.deep.equal([5000n, 3000n, 2000n]);
+      expect(top[0].gamesPlayed).to.equal(2);
+    });
+
+    it("returns at most the requested number of players", async function () {
+      await submit(await attest({ score: 2000 }), player, "Alice");
+      await submit(await attest({ player: other.address, score: 5000 }), other, "Bob");
+
+      expect(await game.getTopPlayers(0)).to.have.length(0);
+      const top = await game.getTopPlayers(1);
+      expect(top).to.have.length(1);
+      expect(top[0].playerName).to.equal("Bob");
+    });
+
+    it("is empty without games and only lists the default variant", async function () {
+      expect(await game.getTopPlayers(10)).to.have.length(0);
+
+      await submit(await attest({ variant: "classic/5x5" }));
+      expect(await game.getTopPlayers(10)).to.have.length(0);
+      expect(await game.getTopPlayersForVariant("classic/5x5", 10)).to.have.length(1);
+    });
+
+    it("caps the leaderboard at MAX_LEADERBOARD_SIZE players", async function () {
+      const size = Number(await game.MAX_LEADERBOARD_SIZE());
+      for (let i = 0; i <= size; i++) {
+        await relay(ethers.Wallet.createRandom(), i + 1, `Player ${i}`);
+      }
+
+      const top = await game.getTopPlayers(size + 10);
+      expect(top).to.have.length(size);
+      expect(top[0].highScore).to.equal(size + 1);
+      expect(top[size - 1].highScore).to.equal(2);
+    });
+  });
+
+  describe("getRecentScores", function () {
+    it("is empty without games", async function () {
+      expect(await game.getRecentScores(5)).to.have.length(0);
+    });
+
+    it("returns the latest scores, oldest first", async function () {
+      for (const score of [100, 200, 300]) {
+        await submit(await attest({ score }));
+      }
+
+      const recent = await game.getRecentScores(2);
+      expect(recent.map(entry => entry.score)).to.deep.equal([200n, 300n]);
+      expect(recent[1].player).to.equal(player.address);
+      expect(recent[1].playerName).to.equal("Alice");
+      expect(recent[1].variant).to.equal("classic/4x4");
+    });
+
+    it("returns every score when asked for more than there are, and none for 0", async function () {
+      await submit(await attest({ score: 100 }));
+      await submit(await attest({ score: 200 }));
+
+      expect((await game.getRecentScores(10)).map(entry => entry.score)).to.deep.equal([100n, 200n]);
+      expect(await game.getRecentScores(0)).to.have.length(0);
+    });
+  });
+
+  describe("setVerifier", function () {
+    it("can only be called by the owner", async function () {
+      await expect(game.connect(other).setVerifier(other.address)).to.be.revertedWith("Only owner");
+      await expect(game.connect(owner).setVerifier(other.address))
+        .to.emit(game, "VerifierChanged")
+        .withArgs(verifier.address, other.address);
+    });
+  });
+
+  describe("commitTournamentResults", function () {
+    // Final standings as the backend's tournament scheduler sends them
+    const standings = () => [[player.address, other.address], [5000, 3000]];
+
+    it("stores a hash of the standings and emits them", async function () {
+      const [players, scores] = standings();
+      const resultsHash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [players, scores])
+      );
+
+      await expect(game.connect(verifier).commitTournamentResults(7, players, scores))
+        .to.emit(game, "TournamentResults")
+        .withArgs(7, resultsHash, players, scores);
+      expect(await game.tournamentResults(7)).to.equal(resultsHash);
+      expect(await game.tournamentResults(8)).to.equal(ethers.ZeroHash);
+    });
+
+    it("can only be called by the verifier", async function () {
+      for (const signer of [owner, player, other]) {
+        await expect(game.connect(signer).commitTournamentResults(7, ...standings())).to.be.revertedWith("Only verifier");
+      }
+
+      // A replaced verifier loses the right along with attesting scores
+      await game.connect(owner).setVerifier(other.address);
+      await expect(game.connect(verifier).commitTournamentResults(7, ...standings())).to.be.revertedWith("Only verifier");
+      await expect(game.connect(other).commitTournamentResults(7, ...standings())).to.emit(game, "TournamentResults");
+    });
+
+    it("commits each tournament's results once", async function () {
+      await game.connect(verifier).commitTournamentResults(7, ...standings());
+      await expect(game.connect(verifier).commitTournamentResults(7, [player.address], [1])).to.be.revertedWith(
+        "Results already committed"
+      );
+    });
+
+    it("rejects empty or mismatched standings", async function () {
+      await expect(game.connect(verifier).commitTournamentResults(7, [], [])).to.be.revertedWith("Players required");
+      await expect(game.connect(verifier).commitTournamentResults(7, [player.address], [1, 2])).to.be.revertedWith(
+        "Length mismatch"
+      );
+      expect(await game.tournamentResults(7)).to.equal(ethers.ZeroHash);
+    });
+  });
+});